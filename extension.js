@@ -3,109 +3,125 @@ const vscode = require('vscode');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const crypto = require('crypto');
-const { exec, execFile } = require('child_process');
-const util = require('util');
-
-// Convert exec/execFile to promise-based functions for async/await usage
-const execPromise = util.promisify(exec);
-const execFilePromise = util.promisify(execFile);
-
-// Constants
-const EXTENSION_NAME = 'Claude Image Paste';
-const CONFIG_SECTION = 'claudeImagePaste';
-const COMMAND_TIMEOUT = 10000; // 10 seconds
-const SUPPORTED_IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.bmp', '.webp', '.svg', '.ico', '.tiff', '.tif'];
-
-// Windows reserved filenames that cannot be used
-const WINDOWS_RESERVED_NAMES = /^(CON|PRN|AUX|NUL|COM[1-9]|LPT[1-9])(\.|$)/i;
+const {
+    EXTENSION_NAME,
+    CONFIG_SECTION,
+    SUPPORTED_IMAGE_EXTENSIONS
+} = require('./src/constants');
+const { windowsToWslPath, isWindowsPath, configurePathTranslation } = require('./src/paths');
+const { detectPlatform, getPlatform } = require('./src/platform');
+const { getImageFromClipboard, disposeProviders } = require('./src/clipboard');
+const { MAX_CLIPBOARD_BYTES, createTimestampedFilename, readImageFiles } = require('./src/clipboard/common');
+const { ensureSupportedFormat, findAvailablePath } = require('./src/image/convert');
+const { processImage } = require('./src/image/process');
+const { hashData, findDuplicate, recordImage } = require('./src/manifest');
+const { listTrackedImages, planCleanup, deleteTrackedImages, applyRetention } = require('./src/retention');
+const { registerGallery } = require('./src/gallery');
+const { formatSize } = require('./src/util');
+const { buildEditorSnippet, shouldInsertIntoEditor } = require('./src/snippets');
+const { registerPasteProvider } = require('./src/pasteProvider');
+const { detectShell } = require('./src/shell');
+const { selectInsertionProfile, buildInsertionText } = require('./src/insertion');
+const { parsePathMappings, selectPathMappings, mapImagePath } = require('./src/pathMapping');
+const { hasOpenTerminals, findTerminalByName, pickTerminal, registerTerminalSelection } = require('./src/terminal');
+const { resolveWorkspaceFolder } = require('./src/workspace');
+const { registerClipboardWatch } = require('./src/watch');
+const { DEFAULT_FILENAME_TEMPLATE, validateFilename, resolveImageFilename } = require('./src/filename');
+const { readGitBranch } = require('./src/git');
+const { ensureIgnored, removeUnusedEntries } = require('./src/gitignore');
+const { log, setLogChannel, showLog } = require('./src/log');
+const { registerDiagnostics } = require('./src/diagnostics');
+const { createApi } = require('./src/api');
+const { setTransport: setClipboardTransport } = require('./src/clipboard/remote');
+const { createCommandTransport, isRemoteClipboardWindow } = require('./src/remote/transport');
+const { writeWorkspaceImage } = require('./src/remote/workspaceWriter');
+const { detectImageFormat } = require('./src/image/format');
+const { stripMetadata } = require('./src/image/metadata');
+const { annotateImage, registerAnnotator } = require('./src/annotator');
+
+// Pasted Images view (set in activate)
+let gallery = null;
+
+// Fires onDidPasteImage for the extension API (set in activate)
+let pasteEvents = null;
 
 // ==================== HELPER FUNCTIONS ====================
 
-/**
- * Converts a Windows path to WSL path format for Node.js file operations
- * @param {string} winPath - Windows path (e.g., "C:\Users\...")
- * @returns {string} WSL path (e.g., "/mnt/c/Users/...")
- */
-function windowsToWslPath(winPath) {
-    return winPath
-        .replace(/\\/g, '/')
-        .replace(/^([A-Z]):/, (match, drive) => `/mnt/${drive.toLowerCase()}`);
-}
-
-/**
- * Converts a WSL path to Windows path format
- * @param {string} wslPath - WSL path (e.g., "/mnt/c/Users/...")
- * @returns {string} Windows path (e.g., "C:\Users\...")
- */
-function wslToWindowsPath(wslPath) {
-    return wslPath
-        .replace(/^\/mnt\/([a-z])/, (match, drive) => `${drive.toUpperCase()}:`)
-        .replace(/\//g, '\\');
-}
-
-/**
- * Generates a cryptographically random filename suffix
- * @returns {string} Random hex string
- */
-function generateRandomSuffix() {
-    return crypto.randomBytes(8).toString('hex');
-}
-
 /**
  * Shows an error message with the extension name prefix
  * @param {string} message - The error message to display
  */
 function showErrorMessage(message) {
-    vscode.window.showErrorMessage(`${EXTENSION_NAME}: ${message}`);
+    log.error(message);
+    vscode.window.showErrorMessage(`${EXTENSION_NAME}: ${message}`, 'Show Log').then(choice => {
+        if (choice) {
+            showLog();
+        }
+    });
 }
 
 /**
  * Shows a success message with file information
  * Handles errors gracefully if file is no longer accessible
- * @param {string} filePath - Path to the successfully processed file
+ * @param {string|string[]} filePaths - Path(s) to the successfully processed file(s)
+ * @param {Object} [details]
+ * @param {number} [details.metadataRemoved=0] - How many of the images had metadata removed
+ * @param {Function} [details.onAnnotate] - Adds an "Annotate" button that calls this function
  */
-function showSuccessMessage(filePath) {
+function showSuccessMessage(filePaths, { metadataRemoved = 0, onAnnotate } = {}) {
+    const show = message => {
+        if (!onAnnotate) {
+            vscode.window.showInformationMessage(message);
+            return;
+        }
+        vscode.window.showInformationMessage(message, 'Annotate').then(choice => {
+            if (choice) {
+                onAnnotate();
+            }
+        });
+    };
+
+    // Privacy indicator: ", metadata removed" (", metadata removed from 2" for several images)
+    let metadataNote = '';
+    if (metadataRemoved > 0) {
+        metadataNote = Array.isArray(filePaths) && filePaths.length !== 1
+            ? `, metadata removed from ${metadataRemoved}`
+            : ', metadata removed';
+    }
+
+    if (Array.isArray(filePaths)) {
+        if (filePaths.length !== 1) {
+            let totalBytes = 0;
+            for (const filePath of filePaths) {
+                try {
+                    totalBytes += fs.statSync(filePath).size;
+                } catch (error) {
+                    // Skip files that are no longer accessible
+                }
+            }
+            show(
+                `${EXTENSION_NAME}: Inserted ${filePaths.length} images (${Math.round(totalBytes / 1024)}KB${metadataNote})`
+            );
+            return;
+        }
+        filePaths = filePaths[0];
+    }
+
+    const filePath = filePaths;
     try {
         const stats = fs.statSync(filePath);
         const sizeKB = Math.round(stats.size / 1024);
-        vscode.window.showInformationMessage(
-            `${EXTENSION_NAME}: Inserted ${path.basename(filePath)} (${sizeKB}KB)`
+        show(
+            `${EXTENSION_NAME}: Inserted ${path.basename(filePath)} (${sizeKB}KB${metadataNote})`
         );
     } catch (error) {
         // Fallback without size if file is no longer accessible
-        vscode.window.showInformationMessage(
-            `${EXTENSION_NAME}: Inserted ${path.basename(filePath)}`
+        show(
+            `${EXTENSION_NAME}: Inserted ${path.basename(filePath)}${metadataNote ? ` (${metadataNote.slice(2)})` : ''}`
         );
     }
 }
 
-/**
- * Ensures the save directory is in .gitignore
- * @param {string} workspacePath - Path to workspace root
- * @param {string} dirName - Directory name to add to .gitignore
- */
-function ensureGitignore(workspacePath, dirName) {
-    const gitignorePath = path.join(workspacePath, '.gitignore');
-    const entry = `\n# Claude Image Paste screenshots\n${dirName}/\n`;
-
-    try {
-        if (fs.existsSync(gitignorePath)) {
-            const content = fs.readFileSync(gitignorePath, 'utf8');
-            // Check if already in gitignore
-            if (!content.includes(`${dirName}/`) && !content.includes(`${dirName}\n`)) {
-                fs.appendFileSync(gitignorePath, entry);
-            }
-        } else {
-            // Create .gitignore if it doesn't exist
-            fs.writeFileSync(gitignorePath, entry.trim() + '\n');
-        }
-    } catch (error) {
-        // Silently fail - gitignore is nice to have but not critical
-        console.log('Could not update .gitignore:', error.message);
-    }
-}
-
 /**
  * Validates the save directory path for security issues
  * @param {string} customDir - User-provided directory path
@@ -141,205 +157,169 @@ function validateSaveDirectory(customDir, workspacePath) {
 }
 
 /**
- * Cleans up old images in the directory, keeping only the most recent N files
- * Handles errors gracefully for individual files
- * @param {string} directory - Path to the image directory
- * @param {number} maxImages - Maximum number of images to keep
+ * Reads the retention settings, enforcing their bounds
+ * @param {vscode.WorkspaceConfiguration} config - Extension configuration
+ * @returns {import('./src/retention').RetentionPolicy} Retention policy
  */
-function cleanupOldImages(directory, maxImages) {
-    // Ensure maxImages is at least 1
-    maxImages = Math.max(1, maxImages);
-
-    try {
-        const files = fs.readdirSync(directory)
-            .filter(file => SUPPORTED_IMAGE_EXTENSIONS.some(ext =>
-                file.toLowerCase().endsWith(ext)))
-            .map(file => {
-                const filePath = path.join(directory, file);
-                try {
-                    return {
-                        name: file,
-                        path: filePath,
-                        mtime: fs.statSync(filePath).mtime.getTime()
-                    };
-                } catch (error) {
-                    // Skip files we can't stat (permissions, deleted, etc.)
-                    return null;
-                }
-            })
-            .filter(item => item !== null)
-            .sort((a, b) => b.mtime - a.mtime); // Sort by newest first
-
-        // Delete files beyond the limit
-        if (files.length > maxImages) {
-            const filesToDelete = files.slice(maxImages);
-            for (const file of filesToDelete) {
-                try {
-                    fs.unlinkSync(file.path);
-                    console.log(`Cleaned up old image: ${file.name}`);
-                } catch (error) {
-                    console.log(`Failed to delete ${file.name}: ${error.message}`);
-                }
-            }
-        }
-    } catch (error) {
-        console.log('Could not cleanup old images:', error.message);
-    }
+function getRetentionPolicy(config) {
+    return {
+        maxImages: Math.min(100, Math.max(1, config.get('maxImages', 10))),
+        maxAgeDays: Math.max(0, config.get('maxImageAgeDays', 0)),
+        maxTotalMegabytes: Math.max(0, config.get('maxTotalMegabytes', 0))
+    };
 }
 
 /**
- * Handles moving the image to a custom save directory if configured
- * @param {string} tempImagePath - Path to the temporary image file (WSL format in WSL, Windows format on Windows)
- * @param {string} platform - Current platform: 'windows' or 'wsl'
- * @returns {Promise<string>} - Final path where the image was saved
+ * Resolves, validates and creates the configured save directory
+ * Relative directories are resolved against the workspace folder; directories inside it are kept out
+ * of Git according to gitignoreMode.
+ * saveDirectory is read with the folder as scope, so each folder of a multi-root workspace can set its own.
+ * @param {string} platform - Current platform: 'windows', 'wsl' or 'linux'
+ * @param {boolean} [prepare=true] - Create the directory and update the Git ignore rules (false for read-only lookups)
+ * @param {vscode.WorkspaceFolder} [workspaceFolder] - Folder the paste belongs to (defaults to the first folder)
+ * @returns {string|null} Absolute save directory, or null if images stay in the temp directory
  */
-async function handleCustomSaveDirectory(tempImagePath, platform) {
-    const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+function resolveSaveDirectory(platform, prepare = true, workspaceFolder = vscode.workspace.workspaceFolders?.[0]) {
+    const config = vscode.workspace.getConfiguration(CONFIG_SECTION, workspaceFolder?.uri);
     const customDirectory = config.get('saveDirectory');
-    let finalPath = tempImagePath;
-
-    // If custom directory is set, move the file there
-    if (customDirectory && customDirectory.trim() !== '') {
-        const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-
-        // Validate directory for security issues
-        const validationError = validateSaveDirectory(customDirectory, workspaceFolder?.uri.fsPath);
-        if (validationError) {
-            throw new Error(validationError);
-        }
-
-        let expandedDir = customDirectory.replace(/^~/, os.homedir());
-
-        // If path is relative, make it relative to workspace root
-        if (!path.isAbsolute(expandedDir)) {
-            if (workspaceFolder) {
-                let workspacePath = workspaceFolder.uri.fsPath;
+    if (!customDirectory || customDirectory.trim() === '') {
+        return null;
+    }
 
-                // Normalize workspace path to match our working format
-                if (platform === 'wsl' && workspacePath.match(/^[A-Z]:/i)) {
-                    // Workspace path is Windows format but we need WSL format
-                    workspacePath = windowsToWslPath(workspacePath);
-                }
+    // Validate directory for security issues
+    const validationError = validateSaveDirectory(customDirectory, workspaceFolder?.uri.fsPath);
+    if (validationError) {
+        throw new Error(validationError);
+    }
 
-                // Use path.posix for WSL paths, path for Windows
-                if (platform === 'wsl') {
-                    expandedDir = workspacePath + '/' + expandedDir;
-                } else {
-                    expandedDir = path.join(workspacePath, expandedDir);
-                }
+    let expandedDir = customDirectory.replace(/^~/, os.homedir());
 
-                // Auto-add to .gitignore
-                ensureGitignore(workspacePath, customDirectory);
-            } else {
-                throw new Error('Relative save directory requires an open workspace folder');
-            }
-        }
+    // Normalize workspace path to match our working format
+    let workspacePath = workspaceFolder?.uri.fsPath;
+    if (workspacePath && platform === 'wsl' && isWindowsPath(workspacePath)) {
+        // Workspace path is Windows format but we need WSL format
+        workspacePath = windowsToWslPath(workspacePath);
+    }
 
-        // Create directory if it doesn't exist
-        try {
-            if (!fs.existsSync(expandedDir)) {
-                fs.mkdirSync(expandedDir, { recursive: true, mode: 0o755 });
-            }
-        } catch (error) {
-            throw new Error(`Failed to create directory '${customDirectory}': ${error.message}`);
+    // If path is relative, make it relative to the workspace folder
+    if (!path.isAbsolute(expandedDir)) {
+        if (!workspacePath) {
+            throw new Error('Relative save directory requires an open workspace folder');
         }
-
-        // Extract filename using path.basename for reliability
-        let fileName = path.basename(tempImagePath);
-
-        // Apply custom filename prefix if configured (with validation)
-        const filenamePrefix = config.get('filenamePrefix', 'img_');
-        if (filenamePrefix !== 'img_' && fileName.startsWith('img_')) {
-            // Validate prefix doesn't contain path separators or invalid chars
-            if (/[\/\\<>:"|?*\0]/.test(filenamePrefix)) {
-                throw new Error('Invalid filenamePrefix: contains forbidden characters');
-            }
-            fileName = fileName.replace(/^img_/, filenamePrefix);
+        // Use path.posix for WSL paths, path for Windows
+        if (platform === 'wsl') {
+            expandedDir = workspacePath + '/' + expandedDir;
+        } else {
+            expandedDir = path.join(workspacePath, expandedDir);
         }
+    }
 
-        // Build final path
-        finalPath = platform === 'wsl'
-            ? expandedDir + '/' + fileName
-            : path.join(expandedDir, fileName);
-
-        // Final safety check: ensure filename doesn't contain path traversal
-        if (fileName.includes('/') || fileName.includes('\\') || fileName.includes('..')) {
-            throw new Error('Invalid filename detected');
-        }
+    // Keep the images out of Git (gitignoreMode)
+    if (prepare && workspacePath) {
+        ensureIgnored(expandedDir, config.get('gitignoreMode', 'gitignore'), workspacePath);
+    }
 
-        // Use copy + delete instead of rename for cross-filesystem moves (WSL/Windows)
-        try {
-            fs.copyFileSync(tempImagePath, finalPath);
-            fs.unlinkSync(tempImagePath);
-        } catch (error) {
-            // Provide user-friendly error messages (sanitized)
-            let userMsg = 'Failed to save image';
-            if (error.code === 'ENOENT') {
-                userMsg = 'Save directory could not be accessed';
-            } else if (error.code === 'EACCES') {
-                userMsg = 'Permission denied when saving image';
-            } else if (error.code === 'ENOSPC') {
-                userMsg = 'Disk is full';
-            }
-            throw new Error(userMsg);
+    // Create directory if it doesn't exist
+    try {
+        if (prepare && !fs.existsSync(expandedDir)) {
+            fs.mkdirSync(expandedDir, { recursive: true, mode: 0o755 });
         }
-
-        // Cleanup old images, keeping only the most recent N (enforce bounds: 1-100)
-        const maxImages = Math.min(100, Math.max(1, config.get('maxImages', 10)));
-        cleanupOldImages(expandedDir, maxImages);
+    } catch (error) {
+        throw new Error(`Failed to create directory '${customDirectory}': ${error.message}`);
     }
 
-    return finalPath;
+    return expandedDir;
 }
 
 /**
- * Validates a filename for security and filesystem compatibility
- * @param {string} value - The filename to validate
- * @param {string} originalExt - The original file extension
- * @returns {string|null} Error message if invalid, null if valid
+ * Reads the filenameTemplate setting
+ * The older filenamePrefix setting still replaces "img_" while the template is the default.
+ * @param {vscode.WorkspaceConfiguration} config - Extension configuration
+ * @param {string} [override] - Template passed by a command argument or API call instead of the setting
+ * @returns {string} Template to resolve
  */
-function validateFilename(value, originalExt) {
-    if (!value || value.trim() === '') {
-        return 'File name cannot be empty';
-    }
-
-    // Block path separators (path traversal)
-    if (/[\/\\]/.test(value)) {
-        return 'File name cannot contain path separators';
+function getFilenameTemplate(config, override) {
+    if (override) {
+        return override;
     }
-
-    // Block invalid Windows/Linux characters
-    if (/[<>:"|?*\0]/.test(value)) {
-        return 'File name contains invalid characters';
+    const template = config.get('filenameTemplate', DEFAULT_FILENAME_TEMPLATE) || DEFAULT_FILENAME_TEMPLATE;
+    const filenamePrefix = config.get('filenamePrefix', 'img_');
+    if (template !== DEFAULT_FILENAME_TEMPLATE || filenamePrefix === 'img_') {
+        return template;
     }
-
-    // Block Windows reserved names
-    if (WINDOWS_RESERVED_NAMES.test(value)) {
-        return 'File name cannot use reserved system names (CON, PRN, etc.)';
+    // Validate prefix doesn't contain path separators or invalid chars
+    if (/[\/\\<>:"|?*\0{}]/.test(filenamePrefix)) {
+        throw new Error('Invalid filenamePrefix: contains forbidden characters');
     }
+    return template.replace(/^img_/, filenamePrefix);
+}
 
-    // Block leading/trailing spaces or dots (problematic on Windows)
-    if (/^[\s.]|[\s.]$/.test(value)) {
-        return 'File name cannot start or end with spaces or dots';
+/**
+ * Writes image bytes into a directory, never overwriting an existing file
+ * This is the only place pasted images touch the disk, so all checks happen before it.
+ * @param {string} directory - Save directory, or the system temp directory
+ * @param {string} fileName - Desired filename ("name_2.png", "name_3.png", ... if it is taken)
+ * @param {Buffer} data - Image bytes
+ * @param {number} [mode] - File permissions (private for the temp directory)
+ * @returns {string} Path of the written file
+ */
+function writeImageFile(directory, fileName, data, mode) {
+    // Final safety check: ensure filename doesn't contain path traversal
+    if (fileName.includes('/') || fileName.includes('\\') || fileName.includes('..')) {
+        throw new Error('Invalid filename detected');
     }
 
-    // Length check (255 is typical filesystem limit)
-    if (value.length > 255) {
-        return 'File name is too long (max 255 characters)';
+    const extension = path.extname(fileName);
+    const baseName = path.basename(fileName, extension);
+    try {
+        for (;;) {
+            const finalPath = findAvailablePath(directory, baseName, extension);
+            try {
+                fs.writeFileSync(finalPath, data, { flag: 'wx', mode });
+                return finalPath;
+            } catch (error) {
+                // Created by someone else since the check: try the next name
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+            }
+        }
+    } catch (error) {
+        // Provide user-friendly error messages (sanitized)
+        let userMsg = 'Failed to save image';
+        if (error.code === 'ENOENT') {
+            userMsg = 'Save directory could not be accessed';
+        } else if (error.code === 'EACCES') {
+            userMsg = 'Permission denied when saving image';
+        } else if (error.code === 'ENOSPC') {
+            userMsg = 'Disk is full';
+        }
+        throw new Error(userMsg);
     }
+}
 
-    // Ensure valid image extension is preserved
-    const ext = path.extname(value).toLowerCase();
-    if (!ext || !SUPPORTED_IMAGE_EXTENSIONS.includes(ext)) {
-        return `File must have a valid image extension (${originalExt} recommended)`;
+/**
+ * Reads the image processing settings, enforcing their bounds
+ * @param {vscode.WorkspaceConfiguration} config - Extension configuration
+ * @returns {import('./src/image/process').ProcessingOptions|null} Options, or null if processing is disabled
+ */
+function getProcessingOptions(config) {
+    if (!config.get('resizeImages', true)) {
+        return null;
     }
-
-    return null;
+    return {
+        maxWidth: Math.min(8000, Math.max(16, config.get('maxImageWidth', 1568))),
+        maxHeight: Math.min(8000, Math.max(16, config.get('maxImageHeight', 1568))),
+        maxBytes: Math.max(10240, config.get('maxImageBytes', 5242880)),
+        outputFormat: config.get('outputFormat', 'original'),
+        quality: Math.min(100, Math.max(1, config.get('outputQuality', 85))),
+        keepOriginal: config.get('keepOriginal', false)
+    };
 }
 
 /**
  * Prompts the user to rename the file if desired
- * Includes validation and overwrite confirmation
+ * Names that are invalid or already taken are refused in the input box, so nothing is overwritten.
  * @param {string} currentPath - Current path of the file
  * @returns {Promise<string>} - Final path after potential rename
  */
@@ -347,12 +327,14 @@ async function promptForFileRename(currentPath) {
     const currentName = path.basename(currentPath);
     const currentExt = path.extname(currentName);
     const baseName = path.basename(currentName, currentExt);
+    const dir = path.dirname(currentPath);
 
     const newName = await vscode.window.showInputBox({
         prompt: 'Enter a new name for the image (or press Enter to keep current name)',
         value: currentName,
         valueSelection: [0, baseName.length], // Pre-select only the base name, not extension
-        validateInput: (value) => validateFilename(value, currentExt)
+        validateInput: (value) => validateFilename(value, currentExt) ||
+            (value !== currentName && fs.existsSync(path.join(dir, value)) ? `File "${value}" already exists` : null)
     });
 
     // If user cancelled (undefined) or kept same name
@@ -360,19 +342,12 @@ async function promptForFileRename(currentPath) {
         return currentPath;
     }
 
-    const dir = path.dirname(currentPath);
     const newPath = path.join(dir, newName);
-
-    // Check if target file already exists
     try {
+        // Taken since the input box checked it
         if (fs.existsSync(newPath)) {
-            const overwrite = await vscode.window.showWarningMessage(
-                `File "${newName}" already exists. Overwrite?`,
-                'Yes', 'No'
-            );
-            if (overwrite !== 'Yes') {
-                return currentPath; // Keep original name
-            }
+            showErrorMessage(`File "${newName}" already exists; kept "${currentName}"`);
+            return currentPath;
         }
 
         fs.renameSync(currentPath, newPath);
@@ -384,264 +359,888 @@ async function promptForFileRename(currentPath) {
 }
 
 /**
- * Main extension activation function
- * Registers the paste image command and sets up event handlers
- * @param {vscode.ExtensionContext} context - VS Code extension context
+ * Inserts references for one or more images into a terminal
+ * The text comes from the insertion profile matching the terminal (Claude Code's @path by default);
+ * paths with spaces or other special characters are quoted for the terminal's shell. Path mappings
+ * for the terminal (Docker, SSH) rewrite the paths to where the terminal sees them.
+ * @param {vscode.Terminal} terminal - Terminal to send the text to
+ * @param {string[]} imagePaths - Image paths (WSL format in WSL, native elsewhere)
+ * @param {string} platform - Current platform: 'windows', 'wsl' or 'linux'
  */
-function activate(context) {
-    // Register the main command for pasting images
-    let disposable = vscode.commands.registerCommand('claude-image-paste.pasteImage', async () => {
-        try {
-            // Step 1: Validate platform compatibility (Windows or WSL only)
-            const platform = getPlatform();
-            if (!platform) {
-                showErrorMessage('Only supported on Windows and WSL environments');
-                return;
-            }
+async function insertReferences(terminal, imagePaths, platform) {
+    const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+    const configuredShell = config.get('terminalShell', 'auto');
+    const shell = configuredShell === 'auto' ? detectShell(terminal, platform) : configuredShell;
+    const profile = selectInsertionProfile(config.get('insertionProfiles', []), terminal.name);
+    const workspacePath = resolveWorkspaceFolder({ terminal }, platform)?.uri.fsPath;
+
+    const mappings = await selectPathMappings(parsePathMappings(config.get('pathMappings', [])), terminal);
+    const mapPath = imagePath => mapImagePath(mappings, imagePath, { platform, workspacePath });
+    if (mappings.length > 0) {
+        const uncovered = imagePaths.filter(imagePath => !mapPath(imagePath));
+        if (uncovered.length > 0) {
+            warnUnmappedDirectory(terminal, path.dirname(uncovered[0]), mappings);
+        }
+    }
 
-            // Step 2: Ensure there's an active terminal to paste into
-            const activeTerminal = vscode.window.activeTerminal;
-            if (!activeTerminal) {
-                showErrorMessage('No active terminal found. Please open a terminal first.');
-                return;
-            }
+    const text = buildInsertionText(profile, imagePaths, { platform, shell, workspacePath, mapPath });
+    terminal.sendText(text, profile.pressEnter);
+}
 
-            // Step 3: Check workspace if relative saveDirectory is configured
-            const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
-            const customDirectory = config.get('saveDirectory');
-            if (customDirectory && !path.isAbsolute(customDirectory) &&
-                !customDirectory.startsWith('~') &&
-                !vscode.workspace.workspaceFolders?.[0]) {
-                showErrorMessage('Relative save directory requires an open workspace folder');
-                return;
-            }
+/**
+ * Warns that images were saved outside every path mapping of the terminal they are inserted into
+ * @param {vscode.Terminal} terminal - Target terminal
+ * @param {string} directory - Folder the images were saved in
+ * @param {import('./src/pathMapping').PathMapping[]} mappings - Rules that apply to the terminal
+ */
+function warnUnmappedDirectory(terminal, directory, mappings) {
+    const names = mappings.map(mapping => mapping.name).join(', ');
+    log.warn(`${directory} is outside the path mappings for "${terminal.name}" (${names})`);
+    vscode.window.showWarningMessage(
+        `${EXTENSION_NAME}: ${directory} is not covered by a path mapping for "${terminal.name}", so the reference may not resolve there. Save into a mounted folder or add a mapping.`,
+        'Open Settings'
+    ).then(action => {
+        if (action === 'Open Settings') {
+            vscode.commands.executeCommand('workbench.action.openSettings', `${CONFIG_SECTION}.pathMappings`);
+        }
+    });
+}
 
-            // Debug: Show that the command was triggered
-            vscode.window.setStatusBarMessage('$(loading~spin) Claude Image Paste: Processing clipboard...', 5000);
+/**
+ * Resolves the terminal for the references
+ * @param {vscode.Terminal|string} [terminal] - Terminal, or the name of an open terminal; picked
+ *   automatically (possibly with a quick pick) when omitted
+ * @returns {Promise<vscode.Terminal|undefined>} Target terminal, undefined if the pick was cancelled
+ * @throws {Error} If no terminal is open, or no open terminal has the given name
+ */
+async function resolveTerminal(terminal) {
+    if (terminal && typeof terminal === 'object') {
+        return terminal;
+    }
+    if (typeof terminal === 'string') {
+        const named = findTerminalByName(terminal);
+        if (!named) {
+            throw new Error(`No open terminal named "${terminal}"`);
+        }
+        return named;
+    }
+    if (!hasOpenTerminals()) {
+        throw new Error('No terminal found. Please open a terminal first.');
+    }
+    return pickTerminal();
+}
 
-            // Step 4: Execute the main image processing workflow
-            try {
-                // Step 4a: Extract image from clipboard using PowerShell (returns Windows path)
-                let imagePath = await getImageFromClipboard(platform);
+/**
+ * Picks the terminal for the references, reporting an error when there is none
+ * @param {vscode.Terminal|string} [terminal] - Terminal or terminal name to use instead of picking one
+ * @returns {Promise<vscode.Terminal|undefined>} Target terminal, undefined if none or the pick was cancelled
+ */
+async function chooseTerminal(terminal) {
+    try {
+        return await resolveTerminal(terminal);
+    } catch (error) {
+        showErrorMessage(error.message);
+        return undefined;
+    }
+}
 
-                if (!imagePath) {
-                    showErrorMessage('No image found in clipboard');
-                    return;
-                }
+/**
+ * Checks, converts, downscales and strips one pasted image without writing anything
+ * @param {import('./src/clipboard').ClipboardImage} image - Pasted image data
+ * @param {Object|null} processingOptions - Result of getProcessingOptions (null when resizing is off)
+ * @param {string} metadataMode - stripMetadata setting
+ * @returns {Promise<{data: Buffer, fileName: string, original: {data: Buffer, fileName: string}|null,
+ *   metadataRemoved: boolean}>} Bytes to save, their filename and the unprocessed file to keep
+ * @throws {Error} If the image is empty, too large or cannot be read or converted (named after the
+ *   copied file when there is one)
+ */
+async function prepareImage(image, processingOptions, metadataMode) {
+    const displayName = image.sourceName || image.fileName;
+    if (image.data.length === 0) {
+        throw new Error(`"${displayName}" is empty`);
+    }
+    if (image.data.length > MAX_CLIPBOARD_BYTES) {
+        throw new Error(`"${displayName}" is larger than ${formatSize(MAX_CLIPBOARD_BYTES)}`);
+    }
 
-                // Step 4b: Convert to WSL path for fs operations if we're in WSL
-                if (platform === 'wsl') {
-                    imagePath = windowsToWslPath(imagePath);
-                }
+    // Verify the real format and convert BMP/TIFF/ICO/SVG to PNG
+    let prepared = await ensureSupportedFormat(image.data, image.fileName, displayName);
+
+    // Downscale/recompress to fit Claude's image limits (if enabled)
+    let original = null;
+    if (processingOptions) {
+        try {
+            const processed = await processImage(prepared.data, prepared.fileName, processingOptions);
+            prepared = processed;
+            original = processed.original;
+        } catch (error) {
+            throw new Error(`Failed to process "${displayName}": ${error.message}`);
+        }
+    }
 
-                // Step 4c: Move to custom directory if user has configured one
-                imagePath = await handleCustomSaveDirectory(imagePath, platform);
+    // Remove location, device and text metadata without re-encoding (stripMetadata)
+    let metadataRemoved = false;
+    if (metadataMode !== 'off') {
+        const stripped = stripMetadata(prepared.data, { keepOrientation: metadataMode === 'keepOrientation' });
+        if (stripped.unreadable) {
+            // Fail loudly: the user asked for the metadata to go
+            log.warn(`Could not parse ${displayName} to remove its metadata; saved unchanged`);
+            vscode.window.showWarningMessage(
+                `${EXTENSION_NAME}: Could not remove the metadata from "${displayName}" (unreadable file structure); it was saved with its metadata.`
+            );
+        } else if (stripped.removed.length > 0) {
+            log.info(`Removed ${stripped.removed.join(', ')} from ${displayName}`);
+            prepared = { ...prepared, data: stripped.data };
+            metadataRemoved = true;
+        }
+    }
 
-                // Step 4d: Give user opportunity to rename the file (if not skipped)
-                const skipRenamePrompt = config.get('skipRenamePrompt', false);
+    return { data: prepared.data, fileName: prepared.fileName, original, metadataRemoved };
+}
 
-                if (!skipRenamePrompt) {
-                    imagePath = await promptForFileRename(imagePath);
-                }
+/**
+ * Saves pasted images: size check, deduplication, format verification and conversion,
+ * downscaling, metadata removal, a single write to the save directory, optional rename,
+ * manifest record and retention cleanup
+ * Every image is checked and converted before the first one is written. An image that fails is
+ * skipped (and listed in options.summary.skipped) while the others are saved; if none can be
+ * saved, the first error is thrown.
+ * @param {import('./src/clipboard').ClipboardImage[]} images - Pasted image data
+ * @param {string} platform - Current platform: 'windows', 'wsl' or 'linux'
+ * @param {Object} [options]
+ * @param {boolean} [options.skipRenamePrompt] - Override the skipRenamePrompt setting
+ * @param {vscode.WorkspaceFolder} [options.workspaceFolder] - Folder whose save directory is used
+ * @param {vscode.Terminal} [options.terminal] - Terminal receiving the references ({terminalName} token)
+ * @param {string} [options.filenameTemplate] - Override the filenameTemplate setting
+ * @param {{metadataRemoved: number, skipped?: string[]}} [options.summary] - Counts the images whose
+ *   metadata was removed and collects the names of skipped images (for the notifications)
+ * @returns {Promise<string[]>} Final image paths, in paste order
+ */
+async function saveImages(images, platform, options = {}) {
+    const config = vscode.workspace.getConfiguration(CONFIG_SECTION, options.workspaceFolder?.uri);
+    const skipRenamePrompt = options.skipRenamePrompt ?? config.get('skipRenamePrompt', false);
+    const processingOptions = getProcessingOptions(config);
+    const metadataMode = config.get('stripMetadata', 'keepOrientation');
+    const saveDirectory = resolveSaveDirectory(platform, true, options.workspaceFolder);
+    const deduplicate = saveDirectory !== null && config.get('deduplicateImages', true);
+    const directory = saveDirectory || os.tmpdir();
+    // In SSH/container/Codespaces windows the save directory is written through the workspace file system
+    const writeThroughWorkspace = saveDirectory !== null && isRemoteClipboardWindow(vscode.env.remoteName);
+    const template = getFilenameTemplate(config, options.filenameTemplate);
+    const templateValues = {
+        date: new Date(),
+        workspace: options.workspaceFolder?.name,
+        terminalName: options.terminal?.name,
+        gitBranch: template.includes('{gitBranch}')
+            ? readGitBranch(options.workspaceFolder?.uri.fsPath || directory, options.workspaceFolder?.uri.fsPath)
+            : undefined
+    };
+
+    // Check and convert every image before anything is written
+    const pending = [];
+    const failures = [];
+    for (const image of images) {
+        // Reuse an identical image already in the save directory (or earlier in this paste)
+        const hash = deduplicate ? hashData(image.data) : null;
+        const sameAsEarlier = hash ? pending.find(item => item.hash === hash && !item.duplicatePath) : null;
+        if (sameAsEarlier) {
+            pending.push({ sameAs: sameAsEarlier });
+            continue;
+        }
+        const duplicatePath = hash ? findDuplicate(saveDirectory, hash) : null;
+        if (duplicatePath) {
+            pending.push({ hash, duplicatePath });
+            continue;
+        }
 
-                // Step 4e: Convert path for terminal and insert with @ prefix
-                const terminalPath = (platform === 'wsl') ? imagePath : windowsToWslPath(imagePath);
-                activeTerminal.sendText(`@${terminalPath}`, false);
+        try {
+            pending.push({ hash, image, prepared: await prepareImage(image, processingOptions, metadataMode) });
+        } catch (error) {
+            log.warn(`Skipping pasted image: ${error.message}`);
+            failures.push({ name: image.sourceName || image.fileName, error });
+        }
+    }
+    if (pending.length === 0 && failures.length > 0) {
+        throw failures[0].error;
+    }
+    if (options.summary) {
+        options.summary.skipped = options.summary.skipped || [];
+        options.summary.skipped.push(...failures.map(failure => failure.name));
+    }
 
-                // Step 4f: Show success notification with file details
-                showSuccessMessage(imagePath);
+    const imagePaths = [];
+    const savedOriginals = [];
+    for (const item of pending) {
+        if (item.sameAs) {
+            imagePaths.push(item.sameAs.imagePath);
+            continue;
+        }
+        if (item.duplicatePath) {
+            try {
+                // Mark as recently used so maxImages cleanup keeps it
+                const now = new Date();
+                fs.utimesSync(item.duplicatePath, now, now);
             } catch (error) {
-                showErrorMessage(error.message);
+                log.warn(`Could not refresh duplicate image: ${error.message}`);
             }
+            item.imagePath = item.duplicatePath;
+            imagePaths.push(item.duplicatePath);
+            continue;
+        }
 
-        } catch (error) {
-            // Handle any unexpected errors
-            showErrorMessage(`Unexpected error: ${error.message}`);
+        const { hash, image, prepared } = item;
+        if (prepared.metadataRemoved && options.summary) {
+            options.summary.metadataRemoved++;
         }
-    });
 
-    // Register the command with VS Code for cleanup on deactivation
-    context.subscriptions.push(disposable);
-}
+        // Name the image from the template, now that its final format is known
+        const fileName = resolveImageFilename(template, directory, {
+            ...templateValues,
+            hash: hash || hashData(image.data),
+            ext: path.extname(prepared.fileName).slice(1)
+        });
 
-// ==================== CORE FUNCTIONS ====================
+        // Write once, at the final location (the temp directory if no save directory is set)
+        const mode = saveDirectory ? undefined : 0o600;
+        const write = async (name, data) => (writeThroughWorkspace
+            ? (await writeWorkspaceImage(vscode.Uri.file(directory), name, data)).fsPath
+            : writeImageFile(directory, name, data, mode));
+        let imagePath = await write(fileName, prepared.data);
 
-/**
- * Determines the current platform and checks compatibility
- * Uses multiple detection methods for robustness
- * @returns {string|null} 'windows' for native Windows, 'wsl' for Windows Subsystem for Linux, or null if unsupported
- */
-function getPlatform() {
-    // Check if running on native Windows
-    if (process.platform === 'win32') {
-        return 'windows';
-    }
+        // Give user opportunity to rename the file (if not skipped)
+        if (!skipRenamePrompt) {
+            imagePath = await promptForFileRename(imagePath);
+        }
 
-    // Check if running on WSL (Linux with Windows integration)
-    if (process.platform === 'linux') {
-        // Method 1: Check for WSL environment variable (most reliable)
-        if (process.env.WSL_DISTRO_NAME || process.env.WSLENV) {
-            return 'wsl';
+        // Remember the image (and its hash) for future deduplication and cleanup
+        if (saveDirectory) {
+            recordImage(imagePath, hash);
         }
 
-        // Method 2: Check for WSL interop file
-        if (fs.existsSync('/proc/sys/fs/binfmt_misc/WSLInterop')) {
-            return 'wsl';
+        // The unprocessed original is named after the final image name, so it follows a rename
+        if (prepared.original) {
+            const originalName = `${path.basename(imagePath, path.extname(imagePath))}_original` +
+                path.extname(prepared.original.fileName);
+            const originalPath = await write(originalName, prepared.original.data);
+            if (saveDirectory) {
+                recordImage(originalPath, null);
+            }
+            savedOriginals.push(originalPath);
         }
 
-        // Method 3: Fallback - check for Windows mount point
-        if (fs.existsSync('/mnt/c/Windows')) {
-            return 'wsl';
+        item.imagePath = imagePath;
+        imagePaths.push(imagePath);
+    }
+
+    // Apply retention limits to images this extension saved (never the ones just pasted or their originals)
+    if (saveDirectory) {
+        applyRetention(saveDirectory, getRetentionPolicy(config),
+            [...imagePaths, ...savedOriginals].map(imagePath => path.basename(imagePath)));
+    }
+
+    gallery?.refresh();
+    pasteEvents?.fire({ paths: imagePaths, workspaceFolder: options.workspaceFolder });
+    return imagePaths;
+}
+
+/**
+ * Opens pasted images in the annotate editor, one after the other
+ * Results in the save directory are recorded in its manifest without a hash: an edited image is no
+ * longer a duplicate of the clipboard content it came from.
+ * @param {string[]} imagePaths - Images to edit
+ * @param {string|null} saveDirectory - Configured save directory (null for the temp directory)
+ * @returns {Promise<string[]>} Paths to reference: "_annotated" copies replace their image
+ */
+async function annotateImages(imagePaths, saveDirectory) {
+    const results = [];
+    let edited = false;
+    for (const imagePath of imagePaths) {
+        const result = await annotateImage(imagePath);
+        if (result && path.dirname(result) === saveDirectory) {
+            recordImage(result, null);
         }
+        edited = edited || result !== null;
+        results.push(result || imagePath);
     }
 
-    // Unsupported platform (e.g., macOS, other Linux distributions)
-    return null;
+    if (edited) {
+        gallery?.refresh();
+    }
+    return results;
 }
 
 /**
- * Gets the Windows temp directory path from WSL
- * @returns {Promise<string>} Windows temp directory in WSL path format
+ * Annotates images whose references were already inserted (the "Annotate" notification button)
+ * Images saved over keep their reference; references to "_annotated" copies are inserted afterwards.
+ * @param {string[]} imagePaths - Inserted images
+ * @param {vscode.Terminal} [terminal] - Terminal that received the references
+ * @param {vscode.WorkspaceFolder} [workspaceFolder] - Folder the images were saved for
  */
-async function getWindowsTempDir() {
+async function annotateInsertedImages(imagePaths, terminal, workspaceFolder) {
     try {
-        // Try to get actual Windows temp path
-        const { stdout } = await execPromise('cmd.exe /c echo %TEMP%', { timeout: 5000 });
-        const winTemp = stdout.trim();
-        if (winTemp && !winTemp.includes('%')) {
-            return windowsToWslPath(winTemp);
+        let chosen = imagePaths;
+        if (imagePaths.length > 1) {
+            const picks = await vscode.window.showQuickPick(
+                imagePaths.map(imagePath => ({ label: path.basename(imagePath), imagePath })),
+                { placeHolder: 'Select the images to annotate', canPickMany: true }
+            );
+            if (!picks || picks.length === 0) {
+                return;
+            }
+            chosen = picks.map(pick => pick.imagePath);
+        }
+
+        const platform = getPlatform();
+        const results = await annotateImages(chosen, resolveSaveDirectory(platform, false, workspaceFolder));
+        const copies = results.filter((result, index) => result !== chosen[index]);
+        if (copies.length > 0 && terminal && vscode.window.terminals.includes(terminal)) {
+            await insertReferences(terminal, copies, platform);
+            terminal.show();
         }
     } catch (error) {
-        // Ignore errors, fall through to default
+        showErrorMessage(error.message);
+    }
+}
+
+/**
+ * Reads the clipboard, saves its images and inserts the references
+ * Shared by the paste command and the extension API; problems are thrown, not shown.
+ * @param {Object} [options]
+ * @param {boolean} [options.insert=true] - Insert the references (false only saves the images)
+ * @param {string} [options.target] - 'editor' to prefer the active document editor (see resolvePasteTarget)
+ * @param {vscode.Terminal|string} [options.terminal] - Terminal, or terminal name, receiving the references
+ * @param {boolean} [options.skipRenamePrompt] - Override the skipRenamePrompt setting
+ * @param {string} [options.filenameTemplate] - Override the filenameTemplate setting
+ * @param {boolean} [options.annotate] - Open the annotate editor first when annotateImages is "always"
+ *     (set by the paste command, never by the extension API)
+ * @returns {Promise<{imagePaths: string[], skipped: string[], metadataRemoved: number, terminal: vscode.Terminal,
+ *     workspaceFolder: vscode.WorkspaceFolder}|null>} Saved images, skipped copied files, how many images had
+ *     metadata removed and where the references went, or null if the terminal pick was cancelled
+ */
+async function pasteFromClipboard(options = {}) {
+    // Step 1: Validate platform compatibility (Windows, WSL or Linux desktop)
+    const platform = getPlatform();
+    if (!platform) {
+        throw new Error('Only supported on Windows, WSL and Linux environments');
+    }
+
+    // Step 2: Ensure there's a terminal (or a document editor) to paste into
+    const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+    let target = {};
+    if (options.insert !== false) {
+        target = await resolvePasteTarget(options, config);
+        if (!target) {
+            throw new Error('No terminal found. Please open a terminal first.');
+        }
+        if (!target.editor && !target.terminal) {
+            return null; // Terminal pick cancelled
+        }
+    } else if (options.terminal) {
+        target = { terminal: await resolveTerminal(options.terminal) };
+    }
+
+    // Step 3: Find the workspace folder (terminal cwd or document) and check it
+    // exists if a relative saveDirectory is configured
+    const workspaceFolder = resolveWorkspaceFolder(target, platform);
+    const customDirectory = vscode.workspace.getConfiguration(CONFIG_SECTION, workspaceFolder?.uri)
+        .get('saveDirectory');
+    if (customDirectory && !path.isAbsolute(customDirectory) &&
+        !customDirectory.startsWith('~') &&
+        !workspaceFolder) {
+        throw new Error('Relative save directory requires an open workspace folder');
     }
 
-    // Fallback: Use user's temp in Windows profile
-    const userProfile = process.env.USERPROFILE || '';
-    if (userProfile) {
-        return windowsToWslPath(userProfile) + '/AppData/Local/Temp';
+    // Show that the command was triggered
+    vscode.window.setStatusBarMessage('$(loading~spin) Claude Image Paste: Processing clipboard...', 5000);
+
+    // Step 4: Read image(s) from clipboard into memory using the configured provider
+    const maxFiles = Math.min(50, Math.max(1, config.get('maxFilesPerPaste', 10)));
+    const { images, skipped } = await getImageFromClipboard(
+        platform, config.get('clipboardProvider', 'auto'), maxFiles);
+    if (images.length === 0) {
+        throw new Error('No image found in clipboard');
     }
 
-    // Last resort fallback
-    return '/mnt/c/Windows/Temp';
+    // Step 5: Save, convert, process and optionally rename each image
+    const summary = { metadataRemoved: 0, skipped };
+    let imagePaths = await saveImages(images, platform, {
+        workspaceFolder,
+        terminal: target.terminal,
+        skipRenamePrompt: options.skipRenamePrompt,
+        filenameTemplate: options.filenameTemplate,
+        summary
+    });
+    log.info(`Pasted ${imagePaths.join(', ')}`);
+
+    // Crop and annotate before anything is inserted (annotateImages: "always")
+    const annotateMode = vscode.workspace.getConfiguration(CONFIG_SECTION, workspaceFolder?.uri)
+        .get('annotateImages', 'skip');
+    if (options.annotate && annotateMode === 'always') {
+        imagePaths = await annotateImages(imagePaths, resolveSaveDirectory(platform, false, workspaceFolder));
+    }
+
+    // Step 6: Insert the references in one go
+    if (target.editor) {
+        await insertIntoEditor(target.editor, imagePaths);
+    } else if (options.insert !== false) {
+        await insertReferences(target.terminal, imagePaths, platform);
+        if (target.terminal !== vscode.window.activeTerminal) {
+            target.terminal.show();
+        }
+    }
+
+    return {
+        imagePaths,
+        skipped,
+        metadataRemoved: summary.metadataRemoved,
+        terminal: target.terminal,
+        workspaceFolder
+    };
 }
 
 /**
- * Extracts image from clipboard using PowerShell and saves it to temp directory
- * Handles both copied image files and screenshot/bitmap data from clipboard
- * Uses random filenames to prevent race conditions
- * @param {string} platform - 'windows' or 'wsl'
- * @returns {Promise<string>} Path to the saved image file
+ * Saves image bytes from another extension through the paste pipeline
+ * @param {Uint8Array} buffer - Image bytes (any supported format)
+ * @param {import('./src/api').SaveOptions} [options] - Target and naming options
+ * @returns {Promise<string>} Saved image path
  */
-async function getImageFromClipboard(platform) {
-    // PowerShell script that handles both file drops and bitmap clipboard data
-    const psScript = `
-$ErrorActionPreference = 'Stop'
-Add-Type -AssemblyName System.Windows.Forms
-Add-Type -AssemblyName System.Drawing
-
-$files = [System.Windows.Forms.Clipboard]::GetFileDropList()
-if ($files -and $files.Count -gt 0) {
-    $sourceFile = $files[0]
-    if (Test-Path $sourceFile) {
-        $imageExtensions = @('.png', '.jpg', '.jpeg', '.gif', '.bmp', '.webp', '.svg', '.ico', '.tiff', '.tif')
-        $extension = [System.IO.Path]::GetExtension($sourceFile).ToLower()
-        if ($imageExtensions -contains $extension) {
-            $dateString = Get-Date -Format "yyyyMMdd_HHmmss"
-            $tempPath = [System.IO.Path]::Combine([System.IO.Path]::GetTempPath(), "img_$dateString$extension")
-            Copy-Item -Path $sourceFile -Destination $tempPath -Force
-            Write-Output $tempPath
-            exit 0
-        }
+async function saveImageBuffer(buffer, options = {}) {
+    const platform = getPlatform();
+    if (!platform) {
+        throw new Error('Only supported on Windows, WSL and Linux environments');
+    }
+    const data = Buffer.from(buffer);
+    const format = data.length > 0 ? detectImageFormat(data) : null;
+    if (!format) {
+        throw new Error('Buffer does not hold a supported image');
     }
-}
 
-$image = [System.Windows.Forms.Clipboard]::GetImage()
-if ($image -ne $null) {
-    $dateString = Get-Date -Format "yyyyMMdd_HHmmss"
-    $tempPath = [System.IO.Path]::Combine([System.IO.Path]::GetTempPath(), "img_$dateString.png")
-    $image.Save($tempPath, [System.Drawing.Imaging.ImageFormat]::Png)
-    $image.Dispose()
-    Write-Output $tempPath
-    exit 0
+    const terminal = options.terminal ? await resolveTerminal(options.terminal) : undefined;
+    const [imagePath] = await saveImages([{ data, fileName: createTimestampedFilename(format.extension) }], platform, {
+        workspaceFolder: options.workspaceFolder || resolveWorkspaceFolder({ terminal }, platform),
+        terminal,
+        skipRenamePrompt: options.skipRenamePrompt,
+        filenameTemplate: options.filenameTemplate
+    });
+    return imagePath;
 }
 
-Write-Error "No image in clipboard"
-exit 1
-`.trim();
+/**
+ * Lists the images saved in a workspace folder's save directory
+ * @param {vscode.WorkspaceFolder} [workspaceFolder] - Folder (defaults to the active terminal's folder)
+ * @returns {import('./src/retention').TrackedImage[]} Tracked images, newest first ([] without a save directory)
+ */
+function listPastedImages(workspaceFolder) {
+    const platform = getPlatform();
+    if (!platform) {
+        return [];
+    }
+    const folder = workspaceFolder || resolveWorkspaceFolder({ terminal: vscode.window.activeTerminal }, platform);
+    const saveDirectory = resolveSaveDirectory(platform, false, folder);
+    return saveDirectory && fs.existsSync(saveDirectory) ? listTrackedImages(saveDirectory) : [];
+}
 
-    // Generate random filename to prevent race conditions
-    const randomSuffix = generateRandomSuffix();
-    const scriptName = `claude_clip_${randomSuffix}.ps1`;
+/**
+ * Decides where the pasted references go
+ * A terminal named in the arguments always receives them. Otherwise the editor is used when the
+ * keybinding fired in an editor (or no terminal is open) and the insertIntoEditor setting allows
+ * its language, and a terminal is picked in all other cases.
+ * @param {{target?: string, terminal?: vscode.Terminal|string}} args - Command arguments (the editor
+ *     keybinding passes target: 'editor')
+ * @param {vscode.WorkspaceConfiguration} config - Extension configuration
+ * @returns {Promise<{editor?: vscode.TextEditor, terminal?: vscode.Terminal}|null>} Paste target
+ *     (empty if the terminal pick was cancelled), or null if there is nowhere to paste
+ */
+async function resolvePasteTarget(args, config) {
+    if (args.terminal) {
+        return { terminal: await resolveTerminal(args.terminal) };
+    }
 
-    // Write script to temp file
-    let scriptPath;
-    let psExecutable;
-    let psArgs;
+    const mode = config.get('insertIntoEditor', 'documents');
+    const editor = vscode.window.activeTextEditor;
+    const editorAllowed = editor && shouldInsertIntoEditor(editor.document.languageId, mode);
 
-    if (platform === 'wsl') {
-        // Get Windows temp directory for WSL
-        const winTempDir = await getWindowsTempDir();
-        scriptPath = `${winTempDir}/${scriptName}`;
+    if (args.target === 'editor' && editorAllowed) {
+        return { editor };
+    }
+    if (hasOpenTerminals()) {
+        return { terminal: await pickTerminal() };
+    }
+    if (editorAllowed) {
+        return { editor };
+    }
+    return null;
+}
 
-        try {
-            fs.writeFileSync(scriptPath, psScript, { mode: 0o600 });
-        } catch (error) {
-            // Fallback to /mnt/c/Windows/Temp if user temp fails
-            scriptPath = `/mnt/c/Windows/Temp/${scriptName}`;
-            fs.writeFileSync(scriptPath, psScript, { mode: 0o600 });
+/**
+ * Inserts a language-aware snippet for the images at every cursor of an editor
+ * @param {vscode.TextEditor} editor - Target editor
+ * @param {string[]} imagePaths - Saved image paths
+ */
+async function insertIntoEditor(editor, imagePaths) {
+    const document = editor.document;
+    const documentPath = document.isUntitled ? null : document.uri.fsPath;
+    const text = buildEditorSnippet(document.languageId, documentPath, imagePaths);
+    await editor.edit(builder => {
+        for (const selection of editor.selections) {
+            builder.replace(selection, text);
         }
+    });
+}
 
-        // Convert to Windows path for PowerShell - use array syntax to prevent injection
-        const winScriptPath = wslToWindowsPath(scriptPath);
-        psExecutable = 'powershell.exe';
-        psArgs = ['-NoProfile', '-ExecutionPolicy', 'Bypass', '-File', winScriptPath];
-    } else {
-        // Native Windows
-        scriptPath = path.join(os.tmpdir(), scriptName);
-        fs.writeFileSync(scriptPath, psScript);
-        psExecutable = 'powershell';
-        psArgs = ['-NoProfile', '-ExecutionPolicy', 'Bypass', '-File', scriptPath];
+/**
+ * Shows the summary of copied/selected files that were not inserted
+ * The reason for each image that failed conversion is in the log.
+ * @param {string[]} skipped - Names of skipped files
+ */
+function showSkippedMessage(skipped) {
+    if (skipped.length > 0) {
+        const names = skipped.slice(0, 5).join(', ') + (skipped.length > 5 ? ', ...' : '');
+        vscode.window.showWarningMessage(
+            `${EXTENSION_NAME}: Skipped ${skipped.length} file(s) that were not images, were over 50 MB, could not be converted or exceeded maxFilesPerPaste: ${names}`
+        );
     }
+}
 
-    // Execute PowerShell using execFile (array syntax prevents command injection)
+/**
+ * Runs existing image files through the paste pipeline and inserts them into the terminal
+ * The files are read into memory first, so the originals are never moved, converted or resized.
+ * Relative paths are resolved against the workspace folder of the receiving terminal.
+ * @param {Array<vscode.Uri|string>} uris - Image files to send (Uris, or paths from command arguments)
+ * @param {Object} [options] - Command arguments
+ * @param {vscode.Terminal|string} [options.terminal] - Terminal, or terminal name, receiving the references
+ * @param {boolean} [options.skipRenamePrompt] - Override the skipRenamePrompt setting
+ * @param {string} [options.filenameTemplate] - Override the filenameTemplate setting
+ * @returns {Promise<string[]|undefined>} Saved image paths, undefined if nothing was sent
+ */
+async function sendFilesToClaude(uris, options = {}) {
     try {
-        const { stdout, stderr } = await execFilePromise(psExecutable, psArgs, {
-            timeout: COMMAND_TIMEOUT,
-            maxBuffer: 1024 * 1024
+        const platform = getPlatform();
+        if (!platform) {
+            showErrorMessage('Only supported on Windows, WSL and Linux environments');
+            return;
+        }
+
+        if (uris.length === 0) {
+            showErrorMessage('No image files selected');
+            return;
+        }
+
+        const terminal = await chooseTerminal(options.terminal);
+        if (!terminal) {
+            return;
+        }
+        const workspaceFolder = resolveWorkspaceFolder({ terminal }, platform);
+        const baseDirectory = workspaceFolder?.uri.fsPath || process.cwd();
+
+        // Read like a clipboard file drop (same cap and skip rules)
+        const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+        const maxFiles = Math.min(50, Math.max(1, config.get('maxFilesPerPaste', 10)));
+        const filePaths = uris.map(uri => (typeof uri === 'string' ? path.resolve(baseDirectory, uri) : uri.fsPath));
+        const { images, skipped } = readImageFiles(filePaths, maxFiles);
+        if (images.length === 0) {
+            showErrorMessage('None of the selected files are images');
+            return;
+        }
+
+        const summary = { metadataRemoved: 0, skipped };
+        let imagePaths = await saveImages(images, platform, {
+            workspaceFolder,
+            terminal,
+            skipRenamePrompt: options.skipRenamePrompt,
+            filenameTemplate: options.filenameTemplate,
+            summary
         });
+        const annotateMode = vscode.workspace.getConfiguration(CONFIG_SECTION, workspaceFolder?.uri)
+            .get('annotateImages', 'skip');
+        if (annotateMode === 'always') {
+            imagePaths = await annotateImages(imagePaths, resolveSaveDirectory(platform, false, workspaceFolder));
+        }
+        await insertReferences(terminal, imagePaths, platform);
+        terminal.show();
+
+        showSuccessMessage(imagePaths, {
+            ...summary,
+            onAnnotate: annotateMode === 'button'
+                ? () => annotateInsertedImages(imagePaths, terminal, workspaceFolder)
+                : undefined
+        });
+        showSkippedMessage(skipped);
+        return imagePaths;
+    } catch (error) {
+        showErrorMessage(error.message);
+    }
+}
+
+/**
+ * Returns the file shown in the active editor tab (text editor or image preview)
+ * @returns {vscode.Uri|undefined} Resource of the active tab
+ */
+function getActiveTabUri() {
+    const input = vscode.window.tabGroups?.activeTabGroup.activeTab?.input;
+    return input?.uri || vscode.window.activeTextEditor?.document.uri;
+}
+
+/**
+ * Main extension activation function
+ * Registers the paste image command and sets up event handlers
+ * @param {vscode.ExtensionContext} context - VS Code extension context
+ * @returns {import('./src/api').ClaudeImagePasteApi} API for other extensions
+ */
+function activate(context) {
+    // Internal details (sanitized out of error messages) go to the output channel
+    const logChannel = vscode.window.createOutputChannel(EXTENSION_NAME, { log: true });
+    setLogChannel(logChannel);
+    context.subscriptions.push(logChannel, { dispose: () => setLogChannel(null) });
+
+    // In remote windows the clipboard is read on the user's machine by the companion extension
+    setClipboardTransport(createCommandTransport({
+        commands: vscode.commands,
+        extensions: vscode.extensions,
+        remoteName: vscode.env.remoteName
+    }));
+    context.subscriptions.push({ dispose: () => setClipboardTransport(null) });
+
+    configurePathTranslation({
+        useWslpath: vscode.workspace.getConfiguration(CONFIG_SECTION).get('useWslpath', false)
+    });
 
-        // Clean up script file
+    // Register the main command for pasting images (arguments: see pasteFromClipboard)
+    let disposable = vscode.commands.registerCommand('claude-image-paste.pasteImage', async (args = {}) => {
         try {
-            fs.unlinkSync(scriptPath);
-        } catch (e) {
-            // Ignore cleanup errors
+            const result = await pasteFromClipboard({ ...args, insert: true, annotate: true });
+            if (!result) {
+                return undefined; // Terminal pick cancelled
+            }
+
+            // Show success notification with file details (and the Annotate button if annotateImages is
+            // "button"), and summarize copied files that were not inserted
+            const annotateMode = vscode.workspace.getConfiguration(CONFIG_SECTION, result.workspaceFolder?.uri)
+                .get('annotateImages', 'skip');
+            showSuccessMessage(result.imagePaths, {
+                metadataRemoved: result.metadataRemoved,
+                onAnnotate: annotateMode === 'button'
+                    ? () => annotateInsertedImages(result.imagePaths, result.terminal, result.workspaceFolder)
+                    : undefined
+            });
+            showSkippedMessage(result.skipped);
+            return result.imagePaths;
+        } catch (error) {
+            showErrorMessage(error.message);
+            return undefined;
         }
+    });
 
-        const result = stdout.trim();
-        if (!result) {
-            const errMsg = stderr ? stderr.trim() : 'No image in clipboard';
-            throw new Error(errMsg);
+    // Register the command with VS Code for cleanup on deactivation
+    context.subscriptions.push(disposable);
+
+    // Send existing image files from the Explorer, an editor tab or a file picker
+    context.subscriptions.push(
+        vscode.commands.registerCommand('claude-image-paste.sendToClaude', (uri, uris) => {
+            // From keybindings.json or tasks: { paths, terminal, skipRenamePrompt, filenameTemplate }
+            if (uri && Array.isArray(uri.paths)) {
+                return sendFilesToClaude(uri.paths, uri);
+            }
+            if (Array.isArray(uris) && uris.length > 0) {
+                return sendFilesToClaude(uris);
+            }
+            const target = uri instanceof vscode.Uri ? uri : getActiveTabUri();
+            return sendFilesToClaude(target ? [target] : []);
+        }),
+        vscode.commands.registerCommand('claude-image-paste.pickImages', async () => {
+            const uris = await vscode.window.showOpenDialog({
+                canSelectMany: true,
+                openLabel: 'Send to Claude',
+                defaultUri: vscode.workspace.workspaceFolders?.[0]?.uri,
+                filters: { Images: SUPPORTED_IMAGE_EXTENSIONS.map(ext => ext.slice(1)) }
+            });
+            if (uris && uris.length > 0) {
+                await sendFilesToClaude(uris);
+            }
+        })
+    );
+
+    // Which terminal receives the references
+    registerTerminalSelection(context);
+
+    // Output channel and the diagnostics report for bug reports
+    context.subscriptions.push(
+        vscode.commands.registerCommand('claude-image-paste.showLog', showLog)
+    );
+    registerDiagnostics(context, {
+        detectPlatform,
+        resolveSaveDirectory: (platform, workspaceFolder) => resolveSaveDirectory(platform, false, workspaceFolder)
+    });
+
+    // Manual cleanup with a preview of what will be deleted
+    context.subscriptions.push(
+        vscode.commands.registerCommand('claude-image-paste.cleanupImages', cleanupImagesNow)
+    );
+
+    // Sends saved images to the chosen terminal; false if there was none
+    const sendToTerminal = async (imagePaths) => {
+        const terminal = await chooseTerminal();
+        if (!terminal) {
+            return false;
         }
+        await insertReferences(terminal, imagePaths, getPlatform());
+        terminal.show();
+        return true;
+    };
+
+    // Pasted Images gallery view (shows the save directory of the active terminal's folder)
+    gallery = registerGallery(context, {
+        getSaveDirectory: getCurrentSaveDirectory,
+        insertReferences: sendToTerminal,
+        validateFilename
+    });
 
-        return result;
-    } catch (execError) {
-        // Clean up script file on error
-        try {
-            fs.unlinkSync(scriptPath);
-        } catch (e) {
-            // Ignore cleanup errors
+    // Crop and annotate editor (annotateImages setting)
+    registerAnnotator(context, { writeImageFile });
+    context.subscriptions.push(
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration(`${CONFIG_SECTION}.saveDirectory`)) {
+                gallery.refresh();
+            }
+            if (event.affectsConfiguration(`${CONFIG_SECTION}.gitignoreMode`)) {
+                for (const folder of vscode.workspace.workspaceFolders || []) {
+                    const folderConfig = vscode.workspace.getConfiguration(CONFIG_SECTION, folder.uri);
+                    // The entry may be in a nested repository or submodule holding the save directory
+                    let saveDirectory = null;
+                    try {
+                        saveDirectory = resolveSaveDirectory(getPlatform(), false, folder);
+                    } catch (error) {
+                        log.debug(`No save directory for ${folder.name}: ${error.message}`);
+                    }
+                    removeUnusedEntries(folder.uri.fsPath, folderConfig.get('gitignoreMode', 'gitignore'), saveDirectory);
+                }
+            }
+            if (event.affectsConfiguration(`${CONFIG_SECTION}.useWslpath`)) {
+                configurePathTranslation({
+                    useWslpath: vscode.workspace.getConfiguration(CONFIG_SECTION).get('useWslpath', false)
+                });
+            }
+        }),
+        vscode.window.onDidChangeActiveTerminal(() => {
+            if ((vscode.workspace.workspaceFolders?.length || 0) > 1) {
+                gallery.refresh();
+            }
+        })
+    );
+
+    // Watch mode: new clipboard images are saved to the active terminal's folder and queued
+    registerClipboardWatch(context, {
+        getPlatform,
+        saveImages: (images, platform) => saveImages(images, platform, {
+            skipRenamePrompt: true,
+            workspaceFolder: resolveWorkspaceFolder({ terminal: vscode.window.activeTerminal }, platform),
+            terminal: vscode.window.activeTerminal
+        }),
+        insertReferences: sendToTerminal
+    });
+
+    // Regular Ctrl+V of an image into Markdown/HTML/plain text documents
+    registerPasteProvider(context, {
+        getPlatform,
+        saveImages: (images, platform, workspaceFolder) =>
+            saveImages(images, platform, { skipRenamePrompt: true, workspaceFolder })
+    });
+
+    // API for other extensions
+    pasteEvents = new vscode.EventEmitter();
+    context.subscriptions.push(pasteEvents, { dispose: () => { pasteEvents = null; } });
+    return createApi({
+        pasteFromClipboard,
+        saveImageBuffer,
+        insertReferences: async (imagePaths, terminal) => {
+            const platform = getPlatform();
+            if (!platform) {
+                throw new Error('Only supported on Windows, WSL and Linux environments');
+            }
+            const target = await resolveTerminal(terminal);
+            if (!target) {
+                return false;
+            }
+            await insertReferences(target, imagePaths, platform);
+            return true;
+        },
+        listPastedImages,
+        onDidPasteImage: pasteEvents.event
+    });
+}
+
+/**
+ * Looks up the save directory of the workspace folder the active terminal (or editor) is in
+ * @returns {string|null} Save directory, or null if not configured
+ */
+function getCurrentSaveDirectory() {
+    const platform = getPlatform();
+    if (!platform) {
+        return null;
+    }
+    const workspaceFolder = resolveWorkspaceFolder({ terminal: vscode.window.activeTerminal }, platform);
+    return resolveSaveDirectory(platform, false, workspaceFolder);
+}
+
+/**
+ * "Clean up pasted images now" command
+ * Lists every image the extension saved; those violating the retention settings are pre-selected
+ */
+async function cleanupImagesNow() {
+    try {
+        const platform = getPlatform();
+        const workspaceFolder = platform
+            ? resolveWorkspaceFolder({ terminal: vscode.window.activeTerminal }, platform)
+            : undefined;
+        const saveDirectory = platform ? resolveSaveDirectory(platform, false, workspaceFolder) : null;
+        if (!saveDirectory || !fs.existsSync(saveDirectory)) {
+            vscode.window.showInformationMessage(
+                `${EXTENSION_NAME}: No save directory with pasted images (set claudeImagePaste.saveDirectory)`
+            );
+            return;
         }
 
-        if (execError.killed) {
-            throw new Error('Clipboard access timed out. Please try again.');
+        const images = listTrackedImages(saveDirectory);
+        if (images.length === 0) {
+            vscode.window.showInformationMessage(`${EXTENSION_NAME}: No pasted images to clean up`);
+            return;
         }
 
-        // Provide user-friendly error messages (sanitized - don't expose internal details)
-        if (execError.message && execError.message.includes('No image in clipboard')) {
-            throw new Error('No image found in clipboard. Copy an image first.');
+        const config = vscode.workspace.getConfiguration(CONFIG_SECTION, workspaceFolder?.uri);
+        const plan = planCleanup(images, getRetentionPolicy(config));
+        const reasons = new Map(plan.map(item => [item.image.name, item.reason]));
+
+        const items = images.map(image => ({
+            label: image.name,
+            description: `${formatSize(image.size)} · ${new Date(image.mtime).toLocaleString()}`,
+            detail: reasons.has(image.name) ? `Retention: ${reasons.get(image.name)}` : undefined,
+            picked: reasons.has(image.name),
+            image
+        }));
+
+        const selected = await vscode.window.showQuickPick(items, {
+            canPickMany: true,
+            title: `Clean up pasted images (${images.length} in ${saveDirectory})`,
+            placeHolder: 'Images selected below will be deleted'
+        });
+        if (!selected || selected.length === 0) {
+            return;
         }
 
-        throw new Error('Clipboard access failed. Please try again.');
+        const confirm = await vscode.window.showWarningMessage(
+            `Delete ${selected.length} pasted image(s)?`,
+            { modal: true },
+            'Delete'
+        );
+        if (confirm !== 'Delete') {
+            return;
+        }
+
+        const deleted = deleteTrackedImages(saveDirectory, selected.map(item => item.image));
+        gallery?.refresh();
+        vscode.window.showInformationMessage(`${EXTENSION_NAME}: Deleted ${deleted} image(s)`);
+    } catch (error) {
+        showErrorMessage(error.message);
     }
 }
 
@@ -652,7 +1251,46 @@ exit 1
  * Clean up any resources if needed
  */
 function deactivate() {
-    // Currently no cleanup needed, but this is where we'd add it if required
+    // Stop the clipboard helper process
+    disposeProviders();
+
+    // Optional cleanup on shutdown: apply the retention limits or remove every pasted image
+    try {
+        const platform = getPlatform();
+        if (!platform) {
+            return;
+        }
+
+        // Every folder of a multi-root workspace can have its own save directory and retention settings
+        // (the first folder using a directory decides for it)
+        const folders = vscode.workspace.workspaceFolders || [undefined];
+        const saveDirectories = new Map();
+        for (const folder of folders) {
+            const config = vscode.workspace.getConfiguration(CONFIG_SECTION, folder?.uri);
+            const mode = config.get('cleanupOnShutdown', 'off');
+            if (mode === 'off') {
+                continue;
+            }
+            try {
+                const saveDirectory = resolveSaveDirectory(platform, false, folder);
+                if (saveDirectory && fs.existsSync(saveDirectory) && !saveDirectories.has(saveDirectory)) {
+                    saveDirectories.set(saveDirectory, { mode, policy: getRetentionPolicy(config) });
+                }
+            } catch (error) {
+                log.warn(`Skipping save directory on shutdown: ${error.message}`);
+            }
+        }
+
+        for (const [saveDirectory, { mode, policy }] of saveDirectories) {
+            if (mode === 'all') {
+                deleteTrackedImages(saveDirectory, listTrackedImages(saveDirectory));
+            } else {
+                applyRetention(saveDirectory, policy);
+            }
+        }
+    } catch (error) {
+        log.warn(`Could not cleanup images on shutdown: ${error.message}`);
+    }
 }
 
 // Export the main functions for VS Code to use
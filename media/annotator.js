@@ -0,0 +1,395 @@
+// Crop and annotate editor (webview side, see src/annotator.js)
+//
+// Shapes are kept in image pixels and painted onto a full-size copy of the image, so nothing is
+// lost to the on-screen scaling. Blur and redact cover whatever was drawn before them; a crop only
+// applies when saving, and the last crop wins.
+(function () {
+    // Provided by VS Code in webviews
+    const vscode = acquireVsCodeApi();
+
+    const canvas = document.getElementById('canvas');
+    const context = canvas.getContext('2d');
+    const textInput = document.getElementById('textInput');
+    const colorInput = document.getElementById('color');
+    const sizeInput = document.getElementById('size');
+    const toolButtons = [...document.querySelectorAll('[data-tool]')];
+    const actionButtons = ['save', 'saveCopy', 'cancel', 'undo'].map(id => document.getElementById(id));
+
+    const image = new Image();
+    let mimeType = 'image/png';
+    let tool = 'rect';
+
+    // Committed shapes and crops, in drawing order
+    let actions = [];
+
+    // Shape being drawn with the pointer
+    let draft = null;
+
+    // Full-size image with the committed shapes painted on
+    const composite = document.createElement('canvas');
+
+    // Where the open text input will place its label (image pixels)
+    let textPosition = null;
+
+    /**
+     * Line width for the selected size, grown with the image so marks stay visible on large screenshots
+     * @returns {number} Width in image pixels
+     */
+    function strokeWidth() {
+        return Number(sizeInput.value) * Math.max(1, Math.round(image.naturalWidth / 1200));
+    }
+
+    /**
+     * Converts a pointer position to image pixels
+     * @param {PointerEvent|MouseEvent} event - Pointer event on the canvas
+     * @returns {{x: number, y: number}} Point in image pixels
+     */
+    function toImagePoint(event) {
+        const bounds = canvas.getBoundingClientRect();
+        return {
+            x: Math.round((event.clientX - bounds.left) * canvas.width / bounds.width),
+            y: Math.round((event.clientY - bounds.top) * canvas.height / bounds.height)
+        };
+    }
+
+    /**
+     * Builds the rectangle spanned by two points, clipped to the image
+     * @param {{x: number, y: number}} from - Start point
+     * @param {{x: number, y: number}} to - End point
+     * @returns {{x: number, y: number, w: number, h: number}} Rectangle in image pixels
+     */
+    function spanRect(from, to) {
+        const left = Math.max(0, Math.min(from.x, to.x));
+        const top = Math.max(0, Math.min(from.y, to.y));
+        const right = Math.min(canvas.width, Math.max(from.x, to.x));
+        const bottom = Math.min(canvas.height, Math.max(from.y, to.y));
+        return { x: left, y: top, w: Math.max(0, right - left), h: Math.max(0, bottom - top) };
+    }
+
+    /**
+     * Pixelates a region beyond recognition (text in it cannot be read back)
+     * @param {CanvasRenderingContext2D} target - Canvas to change
+     * @param {{x: number, y: number, w: number, h: number}} region - Region in image pixels
+     */
+    function pixelate(target, region) {
+        if (region.w < 1 || region.h < 1) {
+            return;
+        }
+        const block = Math.max(8, Math.round(Math.min(region.w, region.h) / 6));
+        const small = document.createElement('canvas');
+        small.width = Math.max(1, Math.ceil(region.w / block));
+        small.height = Math.max(1, Math.ceil(region.h / block));
+        small.getContext('2d').drawImage(target.canvas, region.x, region.y, region.w, region.h,
+            0, 0, small.width, small.height);
+        target.save();
+        target.imageSmoothingEnabled = false;
+        target.drawImage(small, 0, 0, small.width, small.height, region.x, region.y, region.w, region.h);
+        target.restore();
+    }
+
+    /**
+     * Paints one shape
+     * @param {CanvasRenderingContext2D} target - Canvas to paint on
+     * @param {Object} shape - Shape with tool, color, width and from/to points (or points for freehand)
+     */
+    function drawShape(target, shape) {
+        target.save();
+        target.strokeStyle = shape.color;
+        target.fillStyle = shape.color;
+        target.lineWidth = shape.width;
+        target.lineCap = 'round';
+        target.lineJoin = 'round';
+        switch (shape.tool) {
+            case 'rect': {
+                const rect = spanRect(shape.from, shape.to);
+                target.strokeRect(rect.x, rect.y, rect.w, rect.h);
+                break;
+            }
+            case 'arrow': {
+                const angle = Math.atan2(shape.to.y - shape.from.y, shape.to.x - shape.from.x);
+                const head = shape.width * 4;
+                target.beginPath();
+                target.moveTo(shape.from.x, shape.from.y);
+                target.lineTo(shape.to.x - Math.cos(angle) * head / 2, shape.to.y - Math.sin(angle) * head / 2);
+                target.stroke();
+                target.beginPath();
+                target.moveTo(shape.to.x, shape.to.y);
+                target.lineTo(shape.to.x - head * Math.cos(angle - Math.PI / 6), shape.to.y - head * Math.sin(angle - Math.PI / 6));
+                target.lineTo(shape.to.x - head * Math.cos(angle + Math.PI / 6), shape.to.y - head * Math.sin(angle + Math.PI / 6));
+                target.closePath();
+                target.fill();
+                break;
+            }
+            case 'pen':
+                target.beginPath();
+                shape.points.forEach((point, index) => (index === 0
+                    ? target.moveTo(point.x, point.y)
+                    : target.lineTo(point.x, point.y)));
+                target.stroke();
+                break;
+            case 'text':
+                target.font = `bold ${shape.width * 6}px sans-serif`;
+                target.textBaseline = 'top';
+                // Outline in the opposite tone keeps the label readable on any background
+                target.lineWidth = Math.max(2, shape.width);
+                target.strokeStyle = isDark(shape.color) ? '#ffffff' : '#000000';
+                target.strokeText(shape.text, shape.from.x, shape.from.y);
+                target.fillText(shape.text, shape.from.x, shape.from.y);
+                break;
+            case 'blur':
+                pixelate(target, spanRect(shape.from, shape.to));
+                break;
+            case 'redact': {
+                const rect = spanRect(shape.from, shape.to);
+                target.fillStyle = '#000000';
+                target.fillRect(rect.x, rect.y, rect.w, rect.h);
+                break;
+            }
+        }
+        target.restore();
+    }
+
+    /**
+     * Checks whether a color is dark
+     * @param {string} color - "#rrggbb"
+     * @returns {boolean} True for dark colors
+     */
+    function isDark(color) {
+        const value = parseInt(color.slice(1), 16);
+        const luminance = 0.299 * (value >> 16) + 0.587 * ((value >> 8) & 0xFF) + 0.114 * (value & 0xFF);
+        return luminance < 128;
+    }
+
+    /**
+     * Returns the crop that applies when saving
+     * @returns {{x: number, y: number, w: number, h: number}|null} Last crop, or null for the whole image
+     */
+    function currentCrop() {
+        const crops = actions.filter(action => action.tool === 'crop');
+        return crops.length > 0 ? spanRect(crops[crops.length - 1].from, crops[crops.length - 1].to) : null;
+    }
+
+    /**
+     * Repaints the full-size image with every committed shape
+     */
+    function rebuildComposite() {
+        const target = composite.getContext('2d');
+        target.clearRect(0, 0, composite.width, composite.height);
+        target.drawImage(image, 0, 0);
+        for (const action of actions) {
+            if (action.tool !== 'crop') {
+                drawShape(target, action);
+            }
+        }
+    }
+
+    /**
+     * Draws the visible canvas: the composite, the shape being drawn and the crop area
+     */
+    function render() {
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(composite, 0, 0);
+        if (draft && draft.tool !== 'crop') {
+            drawShape(context, draft);
+        }
+
+        const crop = draft && draft.tool === 'crop' ? spanRect(draft.from, draft.to) : currentCrop();
+        if (crop) {
+            context.save();
+            context.fillStyle = 'rgba(0, 0, 0, 0.55)';
+            context.fillRect(0, 0, canvas.width, crop.y);
+            context.fillRect(0, crop.y + crop.h, canvas.width, canvas.height - crop.y - crop.h);
+            context.fillRect(0, crop.y, crop.x, crop.h);
+            context.fillRect(crop.x + crop.w, crop.y, canvas.width - crop.x - crop.w, crop.h);
+            context.setLineDash([8, 6]);
+            context.lineWidth = Math.max(1, strokeWidth() / 2);
+            context.strokeStyle = '#ffffff';
+            context.strokeRect(crop.x, crop.y, crop.w, crop.h);
+            context.restore();
+        }
+    }
+
+    /**
+     * Adds a finished shape or crop and repaints
+     * @param {Object} action - Shape or crop
+     */
+    function commit(action) {
+        actions.push(action);
+        if (action.tool !== 'crop') {
+            rebuildComposite();
+        }
+        render();
+    }
+
+    /**
+     * Selects a drawing tool
+     * @param {string} name - Tool id
+     */
+    function selectTool(name) {
+        tool = name;
+        toolButtons.forEach(button => button.classList.toggle('active', button.dataset.tool === name));
+    }
+
+    /**
+     * Opens the text input where a label will go
+     * @param {{x: number, y: number}} point - Label position in image pixels
+     */
+    function openTextInput(point) {
+        const scale = canvas.getBoundingClientRect().width / canvas.width;
+        textPosition = point;
+        textInput.value = '';
+        textInput.style.left = `${canvas.offsetLeft + point.x * scale}px`;
+        textInput.style.top = `${canvas.offsetTop + point.y * scale}px`;
+        textInput.hidden = false;
+        textInput.focus();
+    }
+
+    /**
+     * Closes the text input, adding its label unless cancelled
+     * @param {boolean} keep - Add the typed label
+     */
+    function closeTextInput(keep) {
+        if (textInput.hidden) {
+            return;
+        }
+        textInput.hidden = true;
+        const text = textInput.value.trim();
+        if (keep && text && textPosition) {
+            commit({ tool: 'text', color: colorInput.value, width: strokeWidth(), from: textPosition, text });
+        }
+        textPosition = null;
+    }
+
+    /**
+     * Renders the final image: shapes painted on, then the crop applied
+     * @returns {string} Data URI in the image's own format
+     */
+    function exportImage() {
+        const crop = currentCrop() || { x: 0, y: 0, w: canvas.width, h: canvas.height };
+        const output = document.createElement('canvas');
+        output.width = Math.max(1, crop.w);
+        output.height = Math.max(1, crop.h);
+        const target = output.getContext('2d');
+        if (mimeType === 'image/jpeg') {
+            // JPEG has no transparency
+            target.fillStyle = '#ffffff';
+            target.fillRect(0, 0, output.width, output.height);
+        }
+        target.drawImage(composite, crop.x, crop.y, output.width, output.height, 0, 0, output.width, output.height);
+        return output.toDataURL(mimeType, 0.92);
+    }
+
+    /**
+     * Sends the edited image to the extension
+     * @param {'overwrite'|'copy'} mode - Save over the image or as a "_annotated" copy
+     */
+    function save(mode) {
+        closeTextInput(true);
+        actionButtons.forEach(button => { button.disabled = true; });
+        vscode.postMessage({ type: 'save', mode, dataUri: exportImage() });
+    }
+
+    // ==================== EVENTS ====================
+
+    canvas.addEventListener('pointerdown', event => {
+        if (event.button !== 0 || !image.naturalWidth) {
+            return;
+        }
+        const point = toImagePoint(event);
+        if (tool === 'text') {
+            closeTextInput(true);
+            openTextInput(point);
+            event.preventDefault();
+            return;
+        }
+        closeTextInput(true);
+        canvas.setPointerCapture(event.pointerId);
+        draft = { tool, color: colorInput.value, width: strokeWidth(), from: point, to: point, points: [point] };
+    });
+
+    canvas.addEventListener('pointermove', event => {
+        if (!draft) {
+            return;
+        }
+        const point = toImagePoint(event);
+        draft.to = point;
+        if (draft.tool === 'pen') {
+            draft.points.push(point);
+        }
+        render();
+    });
+
+    canvas.addEventListener('pointerup', () => {
+        if (!draft) {
+            return;
+        }
+        const shape = draft;
+        draft = null;
+        const rect = spanRect(shape.from, shape.to);
+        // Ignore clicks that did not drag out a shape
+        if (shape.tool === 'pen' ? shape.points.length > 1 : rect.w > 2 || rect.h > 2) {
+            commit(shape);
+        } else {
+            render();
+        }
+    });
+
+    canvas.addEventListener('pointercancel', () => {
+        draft = null;
+        render();
+    });
+
+    textInput.addEventListener('keydown', event => {
+        if (event.key === 'Enter') {
+            closeTextInput(true);
+        } else if (event.key === 'Escape') {
+            closeTextInput(false);
+        }
+        event.stopPropagation();
+    });
+    textInput.addEventListener('blur', () => closeTextInput(true));
+
+    toolButtons.forEach(button => button.addEventListener('click', () => selectTool(button.dataset.tool)));
+
+    document.getElementById('undo').addEventListener('click', () => {
+        actions.pop();
+        rebuildComposite();
+        render();
+    });
+    document.getElementById('save').addEventListener('click', () => save('overwrite'));
+    document.getElementById('saveCopy').addEventListener('click', () => save('copy'));
+    document.getElementById('cancel').addEventListener('click', () => vscode.postMessage({ type: 'cancel' }));
+
+    document.addEventListener('keydown', event => {
+        if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'z') {
+            document.getElementById('undo').click();
+            event.preventDefault();
+            return;
+        }
+        const button = toolButtons.find(candidate => candidate.dataset.key === event.key.toUpperCase());
+        if (button && !event.ctrlKey && !event.metaKey && !event.altKey) {
+            selectTool(button.dataset.tool);
+        }
+    });
+
+    window.addEventListener('message', event => {
+        const message = event.data;
+        if (message.type === 'load') {
+            mimeType = message.mimeType;
+            document.getElementById('save').hidden = !message.canOverwrite;
+            image.onload = () => {
+                canvas.width = composite.width = image.naturalWidth;
+                canvas.height = composite.height = image.naturalHeight;
+                actions = [];
+                rebuildComposite();
+                render();
+            };
+            image.src = message.dataUri;
+        } else if (message.type === 'saveFailed') {
+            actionButtons.forEach(button => { button.disabled = false; });
+        }
+    });
+
+    selectTool('rect');
+    vscode.postMessage({ type: 'ready' });
+}());
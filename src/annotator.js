@@ -0,0 +1,182 @@
+// Crop and annotate editor: a webview that edits a pasted image before (or after) its reference is
+// inserted. The drawing happens in media/annotator.js; this side loads the image, checks what comes
+// back and writes it over the image or as a "_annotated" copy.
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EXTENSION_NAME } = require('./constants');
+const { detectImageFormat } = require('./image/format');
+const { MAX_CLIPBOARD_BYTES } = require('./clipboard/common');
+const { log } = require('./log');
+
+// Formats the editor can write back in place; other images (GIF) are saved as a PNG copy
+const WRITABLE_FORMATS = ['png', 'jpeg', 'webp'];
+
+// Set in registerAnnotator
+let extensionUri = null;
+let writeImageFile = null;
+
+/**
+ * Builds the editor page
+ * @param {vscode.Webview} webview - Panel webview
+ * @returns {string} HTML with a content security policy that only allows the bundled script
+ */
+function buildHtml(webview) {
+    const nonce = crypto.randomBytes(16).toString('base64');
+    const media = file => webview.asWebviewUri(vscode.Uri.joinPath(extensionUri, 'media', file));
+    const tools = [
+        ['crop', 'Crop', 'C'],
+        ['rect', 'Rectangle', 'R'],
+        ['arrow', 'Arrow', 'A'],
+        ['pen', 'Freehand', 'F'],
+        ['text', 'Text', 'T'],
+        ['blur', 'Blur', 'B'],
+        ['redact', 'Redact', 'X']
+    ].map(([id, label, key]) => `<button data-tool="${id}" data-key="${key}" title="${label} (${key})">${label}</button>`);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src data:; style-src ${webview.cspSource}; script-src 'nonce-${nonce}';">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <link rel="stylesheet" href="${media('annotator.css')}">
+    <title>Annotate</title>
+</head>
+<body>
+    <div class="toolbar" role="toolbar">
+        ${tools.join('\n        ')}
+        <span class="separator"></span>
+        <input type="color" id="color" value="#ff3b30" title="Color">
+        <select id="size" title="Line width">
+            <option value="2">Thin</option>
+            <option value="4" selected>Medium</option>
+            <option value="8">Thick</option>
+        </select>
+        <button id="undo" title="Undo (Ctrl+Z)">Undo</button>
+        <span class="spacer"></span>
+        <button id="cancel" class="secondary" title="Close without changing the image">Cancel</button>
+        <button id="saveCopy" class="secondary" title="Keep the image and save the result as a _annotated copy">Save as Copy</button>
+        <button id="save" class="primary" title="Save over the image">Save</button>
+    </div>
+    <div class="stage" id="stage">
+        <canvas id="canvas"></canvas>
+        <input id="textInput" class="text-input" type="text" placeholder="Label, then Enter" hidden>
+    </div>
+    <script nonce="${nonce}" src="${media('annotator.js')}"></script>
+</body>
+</html>`;
+}
+
+/**
+ * Decodes the edited image sent by the webview
+ * @param {string} dataUri - "data:image/...;base64,..." from canvas.toDataURL
+ * @param {string} expectedFormat - Format the editor was asked to write
+ * @returns {Buffer} Image bytes
+ * @throws {Error} If the data is not an image of the expected format or is too large
+ */
+function decodeEditedImage(dataUri, expectedFormat) {
+    const match = /^data:image\/[a-z+]+;base64,([A-Za-z0-9+/=]+)$/.exec(String(dataUri));
+    const data = match ? Buffer.from(match[1], 'base64') : Buffer.alloc(0);
+    if (detectImageFormat(data)?.id !== expectedFormat) {
+        throw new Error('The editor returned an unreadable image');
+    }
+    if (data.length > MAX_CLIPBOARD_BYTES) {
+        throw new Error(`The edited image is larger than ${MAX_CLIPBOARD_BYTES / (1024 * 1024)} MB`);
+    }
+    return data;
+}
+
+/**
+ * Opens the editor for an image and waits until it is saved or closed
+ * @param {string} imagePath - Image to edit
+ * @returns {Promise<string|null>} Path of the result (the image itself, or its "_annotated" copy),
+ *   or null if the editor was closed without saving
+ */
+function annotateImage(imagePath) {
+    if (!extensionUri) {
+        throw new Error('The annotate editor is not available');
+    }
+    const source = fs.readFileSync(imagePath);
+    const format = detectImageFormat(source);
+    if (!format) {
+        throw new Error(`${path.basename(imagePath)} is not an image`);
+    }
+    const canOverwrite = WRITABLE_FORMATS.includes(format.id);
+    const outputFormat = canOverwrite ? format.id : 'png';
+
+    const panel = vscode.window.createWebviewPanel(
+        'claudeImagePaste.annotate',
+        `Annotate ${path.basename(imagePath)}`,
+        vscode.ViewColumn.Active,
+        {
+            enableScripts: true,
+            retainContextWhenHidden: true,
+            localResourceRoots: [vscode.Uri.joinPath(extensionUri, 'media')]
+        }
+    );
+    panel.webview.html = buildHtml(panel.webview);
+
+    return new Promise(resolve => {
+        let result = null;
+        const finish = value => {
+            result = value;
+            panel.dispose();
+        };
+
+        panel.onDidDispose(() => resolve(result));
+        panel.webview.onDidReceiveMessage(message => {
+            switch (message?.type) {
+                case 'ready':
+                    panel.webview.postMessage({
+                        type: 'load',
+                        dataUri: `data:${format.mimeType};base64,${source.toString('base64')}`,
+                        mimeType: canOverwrite ? format.mimeType : 'image/png',
+                        canOverwrite
+                    });
+                    break;
+                case 'save':
+                    try {
+                        const data = decodeEditedImage(message.dataUri, outputFormat);
+                        if (message.mode === 'overwrite' && canOverwrite) {
+                            fs.writeFileSync(imagePath, data);
+                            log.info(`Saved the annotated image over ${imagePath}`);
+                            finish(imagePath);
+                        } else {
+                            const extension = canOverwrite ? path.extname(imagePath) : '.png';
+                            const copyName = `${path.basename(imagePath, path.extname(imagePath))}_annotated${extension}`;
+                            const copyPath = writeImageFile(path.dirname(imagePath), copyName, data);
+                            log.info(`Saved the annotated copy ${copyPath}`);
+                            finish(copyPath);
+                        }
+                    } catch (error) {
+                        log.error('Could not save the annotated image', error);
+                        vscode.window.showErrorMessage(`${EXTENSION_NAME}: ${error.message}`);
+                        panel.webview.postMessage({ type: 'saveFailed' });
+                    }
+                    break;
+                case 'cancel':
+                    finish(null);
+                    break;
+            }
+        });
+    });
+}
+
+/**
+ * Enables the annotate editor
+ * @param {vscode.ExtensionContext} context - Extension context (media/ holds the editor script)
+ * @param {Object} deps - Implementations from the extension
+ * @param {(directory: string, fileName: string, data: Buffer) => string} deps.writeImageFile - Writes a
+ *   file without overwriting an existing one, returning its path
+ */
+function registerAnnotator(context, deps) {
+    extensionUri = context.extensionUri;
+    writeImageFile = deps.writeImageFile;
+}
+
+module.exports = {
+    annotateImage,
+    registerAnnotator
+};
@@ -0,0 +1,77 @@
+// API returned from activate() for other extensions
+//
+//   const api = await vscode.extensions.getExtension('melon-hub.claude-code-image-paste-wsl').activate();
+//   const [imagePath] = await api.pasteFromClipboard();
+//
+// API calls never show notifications: problems are thrown as errors. The rename prompt is
+// skipped unless skipRenamePrompt: false is passed.
+
+// Bumped when a member changes incompatibly
+const API_VERSION = 1;
+
+/**
+ * Sent through onDidPasteImage after images have been saved.
+ * @typedef {Object} PasteEvent
+ * @property {string[]} paths - Saved image paths, in paste order
+ * @property {import('vscode').WorkspaceFolder} [workspaceFolder] - Folder whose save directory was used
+ */
+
+/**
+ * Options shared by the saving API calls.
+ * @typedef {Object} SaveOptions
+ * @property {import('vscode').Terminal|string} [terminal] - Terminal, or terminal name, the images are for
+ *   ({terminalName} token, workspace folder of its cwd)
+ * @property {import('vscode').WorkspaceFolder} [workspaceFolder] - Folder whose save directory is used
+ * @property {boolean} [skipRenamePrompt=true] - Set to false to ask for a name like the paste command
+ * @property {string} [filenameTemplate] - Template instead of the filenameTemplate setting
+ */
+
+/**
+ * The extension API.
+ * @typedef {Object} ClaudeImagePasteApi
+ * @property {number} apiVersion - API version
+ * @property {(options?: SaveOptions & {insert?: boolean}) => Promise<string[]>} pasteFromClipboard - Saves the
+ *   clipboard image(s); with insert: true the references are also inserted like the paste command does
+ * @property {(buffer: Uint8Array, options?: SaveOptions) => Promise<string>} saveImageBuffer - Saves image
+ *   bytes through the same pipeline (format check, conversion, resizing, deduplication)
+ * @property {(paths: string|string[], terminal?: import('vscode').Terminal|string) => Promise<boolean>}
+ *   insertReference - Inserts references using the terminal's insertion profile; false if the terminal
+ *   pick was cancelled
+ * @property {(workspaceFolder?: import('vscode').WorkspaceFolder) => import('./retention').TrackedImage[]}
+ *   listPastedImages - Images saved in a folder's save directory, newest first
+ * @property {import('vscode').Event<PasteEvent>} onDidPasteImage - Fires whenever images are saved, by any
+ *   command, watch mode, document paste or API call
+ */
+
+/**
+ * Builds the API object
+ * @param {Object} deps - Implementations from the extension
+ * @param {(options: Object) => Promise<{imagePaths: string[]}|null>} deps.pasteFromClipboard - Paste pipeline
+ * @param {(buffer: Uint8Array, options: Object) => Promise<string>} deps.saveImageBuffer - Saves one image
+ * @param {(paths: string[], terminal?: import('vscode').Terminal|string) => Promise<boolean>} deps.insertReferences -
+ *   Inserts references into a terminal
+ * @param {(workspaceFolder?: import('vscode').WorkspaceFolder) => import('./retention').TrackedImage[]}
+ *   deps.listPastedImages - Lists tracked images
+ * @param {import('vscode').Event<PasteEvent>} deps.onDidPasteImage - Paste event
+ * @returns {ClaudeImagePasteApi} API
+ */
+function createApi(deps) {
+    return Object.freeze({
+        apiVersion: API_VERSION,
+        pasteFromClipboard: async (options = {}) => {
+            const result = await deps.pasteFromClipboard({ skipRenamePrompt: true, insert: false, ...options });
+            return result ? result.imagePaths : [];
+        },
+        saveImageBuffer: (buffer, options = {}) =>
+            deps.saveImageBuffer(buffer, { skipRenamePrompt: true, ...options }),
+        insertReference: (paths, terminal) =>
+            deps.insertReferences(Array.isArray(paths) ? paths : [paths], terminal),
+        listPastedImages: workspaceFolder => deps.listPastedImages(workspaceFolder),
+        onDidPasteImage: deps.onDidPasteImage
+    });
+}
+
+module.exports = {
+    API_VERSION,
+    createApi
+};
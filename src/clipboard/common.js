@@ -0,0 +1,285 @@
+// Helpers shared by the clipboard providers
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { fileURLToPath } = require('url');
+const util = require('util');
+const { COMMAND_TIMEOUT, SUPPORTED_IMAGE_EXTENSIONS } = require('../constants');
+const { decodeClipboardText, extractHtmlImages, parseImageText, parseTextPaths } = require('./formats');
+
+const execFilePromise = util.promisify(execFile);
+
+// Image MIME types in order of preference when a clipboard offers several
+const PREFERRED_IMAGE_TYPES = [
+    'image/png',
+    'image/jpeg',
+    'image/webp',
+    'image/gif',
+    'image/bmp',
+    'image/x-bmp',
+    'image/tiff',
+    'image/svg+xml'
+];
+
+// File extension used when saving each MIME type
+const MIME_EXTENSIONS = {
+    'image/png': '.png',
+    'image/jpeg': '.jpg',
+    'image/webp': '.webp',
+    'image/gif': '.gif',
+    'image/bmp': '.bmp',
+    'image/x-bmp': '.bmp',
+    'image/tiff': '.tiff',
+    'image/svg+xml': '.svg',
+    'image/x-icon': '.ico'
+};
+
+// Text targets read when the clipboard holds no image data, in order of preference
+const HTML_TARGET = 'text/html';
+const TEXT_TARGETS = ['text/plain;charset=utf-8', 'UTF8_STRING', 'text/plain', 'STRING'];
+
+// Upper bound for one image read from the clipboard (tool output, helper data or a copied file)
+const MAX_CLIPBOARD_BYTES = 50 * 1024 * 1024; // 50 MB
+
+/**
+ * Picks the most suitable image MIME type from the targets a clipboard offers
+ * @param {string[]} targets - MIME types / targets advertised by the clipboard
+ * @returns {string|null} Best image MIME type, or null if none is an image
+ */
+function pickBestImageType(targets) {
+    // Only types we know how to name are considered; others (e.g. image/avif) are ignored
+    const normalized = targets.map(target => target.trim().toLowerCase());
+    return PREFERRED_IMAGE_TYPES.find(type => normalized.includes(type)) || null;
+}
+
+/**
+ * Returns the file extension to use for a MIME type
+ * @param {string} mimeType - Image MIME type
+ * @returns {string} Extension including the leading dot
+ */
+function extensionForMimeType(mimeType) {
+    return MIME_EXTENSIONS[mimeType] || '.png';
+}
+
+/**
+ * Builds the default timestamped filename (matches the PowerShell naming)
+ * @param {string} extension - File extension including the leading dot
+ * @param {number} [index=0] - Position within a multi-image paste; adds "_2", "_3", ... after the first
+ * @returns {string} Filename like "img_20250103_120000.png"
+ */
+function createTimestampedFilename(extension, index = 0) {
+    const now = new Date();
+    const pad = (value) => String(value).padStart(2, '0');
+    const date = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}`;
+    const time = `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+    const suffix = index > 0 ? `_${index + 1}` : '';
+    return `img_${date}_${time}${suffix}${extension}`;
+}
+
+/**
+ * Checks whether a command-line tool can be launched
+ * @param {string} command - Executable name
+ * @param {string[]} args - Harmless arguments (e.g. a version flag)
+ * @returns {Promise<boolean>} True if the tool exists on PATH
+ */
+async function isCommandAvailable(command, args) {
+    try {
+        await execFilePromise(command, args, { timeout: 3000 });
+        return true;
+    } catch (error) {
+        // ENOENT means the tool is missing; anything else means it ran
+        return error.code !== 'ENOENT';
+    }
+}
+
+/**
+ * Parses a text/uri-list payload into local file paths
+ * Comment lines and non-file URIs are ignored
+ * @param {string} text - uri-list contents (one URI per line)
+ * @returns {string[]} Local file paths
+ */
+function parseUriList(text) {
+    const filePaths = [];
+    for (const line of text.split(/\r?\n/)) {
+        const uri = line.trim();
+        if (!uri || uri.startsWith('#') || !uri.startsWith('file://')) {
+            continue;
+        }
+        try {
+            filePaths.push(fileURLToPath(uri));
+        } catch (error) {
+            // Skip malformed URIs
+        }
+    }
+    return filePaths;
+}
+
+/**
+ * Reads copied-in-file-manager image files into memory
+ * Mirrors the PowerShell file drop handling: non-images, files over MAX_CLIPBOARD_BYTES
+ * and files over the cap are skipped
+ * @param {string[]} filePaths - Source file paths
+ * @param {number} maxFiles - Maximum number of images to take
+ * @returns {import('./index').ClipboardResult} Image data and names of skipped files
+ */
+function readImageFiles(filePaths, maxFiles) {
+    const images = [];
+    const skipped = [];
+    for (const filePath of filePaths) {
+        const extension = path.extname(filePath).toLowerCase();
+        let stats = null;
+        try {
+            stats = fs.statSync(filePath);
+        } catch (error) {
+            // Missing or unreadable files are reported as skipped
+        }
+
+        if (!stats || !stats.isFile() || stats.size > MAX_CLIPBOARD_BYTES ||
+            !SUPPORTED_IMAGE_EXTENSIONS.includes(extension) || images.length >= maxFiles) {
+            skipped.push(path.basename(filePath));
+            continue;
+        }
+
+        images.push({
+            data: fs.readFileSync(filePath),
+            fileName: createTimestampedFilename(extension, images.length),
+            sourceName: path.basename(filePath)
+        });
+    }
+    return { images, skipped };
+}
+
+/**
+ * Finds images in the text formats of a clipboard
+ * Tried in order: SVG markup, images embedded in HTML, then plain text holding a data URI,
+ * SVG markup, raw base64 image data, or paths / file:// URIs of image files.
+ * @param {Object} formats - Clipboard contents that are present
+ * @param {string} [formats.svg] - image/svg+xml contents
+ * @param {string} [formats.html] - text/html contents
+ * @param {string} [formats.text] - Plain text contents
+ * @param {number} maxFiles - Maximum number of images to take
+ * @param {(filePath: string) => string} [toLocalPath] - Converts a copied path to one this process can read
+ * @returns {import('./index').ClipboardResult|null} Images found (skipped holds files named in the
+ *   text that could not be used), or null if the text formats hold no image
+ */
+function readTextFormats(formats, maxFiles, toLocalPath = filePath => filePath) {
+    const toResult = (embedded) => ({
+        images: embedded.slice(0, maxFiles).map((image, index) => ({
+            data: image.data,
+            fileName: createTimestampedFilename(image.format.extension, index)
+        })),
+        skipped: []
+    });
+
+    const svg = formats.svg && parseImageText(formats.svg);
+    if (svg) {
+        return toResult([svg]);
+    }
+
+    const htmlImages = formats.html ? extractHtmlImages(formats.html) : [];
+    if (htmlImages.length > 0) {
+        return toResult(htmlImages);
+    }
+
+    if (!formats.text) {
+        return null;
+    }
+    const textImage = parseImageText(formats.text);
+    if (textImage) {
+        return toResult([textImage]);
+    }
+    const filePaths = parseTextPaths(formats.text);
+    return filePaths.length > 0 ? readImageFiles(filePaths.map(toLocalPath), maxFiles) : null;
+}
+
+/**
+ * Reads images through a command-line clipboard tool (xclip, wl-paste)
+ * Prefers raw image data, then a text/uri-list of copied files, then images found in the
+ * HTML and plain text targets
+ * @param {Object} tool - Tool callbacks
+ * @param {() => Promise<string[]>} tool.listTargets - Lists the clipboard targets
+ * @param {(target: string, options: Object) => Promise<{stdout: Buffer|string}>} tool.readTarget - Reads one target
+ * @param {number} maxFiles - Maximum number of images to take from a file list
+ * @returns {Promise<import('./index').ClipboardResult>} Image data and skipped file names
+ */
+async function readClipboardImages(tool, maxFiles) {
+    let targets;
+    try {
+        targets = (await tool.listTargets()).map(target => target.trim());
+    } catch (error) {
+        // Clipboard tools exit non-zero when the clipboard is empty
+        targets = [];
+    }
+
+    const mimeType = pickBestImageType(targets);
+    const hasTarget = (name) => targets.some(target => target.toLowerCase() === name.toLowerCase());
+    const hasFileList = hasTarget('text/uri-list');
+    const htmlTarget = hasTarget(HTML_TARGET) ? HTML_TARGET : null;
+    const textTarget = TEXT_TARGETS.find(hasTarget) || null;
+    if (!mimeType && !hasFileList && !htmlTarget && !textTarget) {
+        throw new Error('No image found in clipboard. Copy an image first.');
+    }
+
+    const readText = async (target) => {
+        const { stdout } = await tool.readTarget(target, {
+            encoding: 'buffer',
+            timeout: COMMAND_TIMEOUT,
+            // Base64 makes embedded images a third larger
+            maxBuffer: MAX_CLIPBOARD_BYTES * 2
+        });
+        return decodeClipboardText(stdout);
+    };
+
+    try {
+        if (mimeType) {
+            const { stdout } = await tool.readTarget(mimeType, {
+                encoding: 'buffer',
+                timeout: COMMAND_TIMEOUT,
+                maxBuffer: MAX_CLIPBOARD_BYTES
+            });
+            if (!stdout || stdout.length === 0) {
+                throw new Error('Empty clipboard data');
+            }
+            const image = { data: stdout, fileName: createTimestampedFilename(extensionForMimeType(mimeType)) };
+            return { images: [image], skipped: [] };
+        }
+
+        let result = null;
+        if (hasFileList) {
+            const { stdout } = await tool.readTarget('text/uri-list', { timeout: COMMAND_TIMEOUT });
+            result = readImageFiles(parseUriList(stdout), maxFiles);
+        } else {
+            result = readTextFormats({
+                html: htmlTarget ? await readText(htmlTarget) : undefined,
+                text: textTarget ? await readText(textTarget) : undefined
+            }, maxFiles);
+        }
+
+        if (result && result.images.length > 0) {
+            return result;
+        }
+        throw new Error(result ? 'None of the copied files are images.' : 'No image found in clipboard. Copy an image first.');
+    } catch (error) {
+        if (error.killed) {
+            throw new Error('Clipboard access timed out. Please try again.');
+        }
+        if (error.message === 'None of the copied files are images.' ||
+            error.message === 'No image found in clipboard. Copy an image first.') {
+            throw error;
+        }
+        throw new Error('Clipboard access failed. Please try again.');
+    }
+}
+
+module.exports = {
+    execFilePromise,
+    MAX_CLIPBOARD_BYTES,
+    pickBestImageType,
+    extensionForMimeType,
+    createTimestampedFilename,
+    isCommandAvailable,
+    parseUriList,
+    readImageFiles,
+    readTextFormats,
+    readClipboardImages
+};
@@ -0,0 +1,227 @@
+// Parsers for images carried in the clipboard's text formats
+//
+// Browsers put copied images in an HTML fragment (<img src="data:...">), design tools copy SVG
+// markup as text, and people copy data URIs, paths and file:// URIs. These functions take the
+// clipboard contents as strings and have no side effects, so they can be checked against fixtures.
+const { detectImageFormat } = require('../image/format');
+
+/**
+ * An image decoded from clipboard text.
+ * @typedef {Object} EmbeddedImage
+ * @property {Buffer} data - Image bytes
+ * @property {import('../image/format').ImageFormat} format - Format detected from the bytes
+ */
+
+// Raw base64 shorter than this is more likely a word than an image
+const MIN_RAW_BASE64_LENGTH = 32;
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+/**
+ * Decodes clipboard text bytes, honouring a UTF-16 byte order mark (Firefox on X11 uses UTF-16 for HTML)
+ * @param {Buffer} data - Raw clipboard bytes
+ * @returns {string} Decoded text without the BOM
+ */
+function decodeClipboardText(data) {
+    if (data.length >= 2 && data[0] === 0xFF && data[1] === 0xFE) {
+        return data.subarray(2).toString('utf16le');
+    }
+    if (data.length >= 2 && data[0] === 0xFE && data[1] === 0xFF) {
+        // Node has no UTF-16BE decoder; swap to little endian
+        const swapped = Buffer.from(data.subarray(2));
+        swapped.swap16();
+        return swapped.toString('utf16le');
+    }
+    return data.toString('utf8').replace(/^\uFEFF/, '');
+}
+
+/**
+ * Decodes image bytes and detects their format
+ * @param {Buffer} data - Candidate image bytes
+ * @returns {EmbeddedImage|null} The image, or null if the bytes are not a known image format
+ */
+function toEmbeddedImage(data) {
+    const format = data.length > 0 ? detectImageFormat(data) : null;
+    return format ? { data, format } : null;
+}
+
+/**
+ * Decodes a data URI holding an image
+ * Accepts base64 ("data:image/png;base64,...") and URL-encoded text ("data:image/svg+xml,%3Csvg...").
+ * @param {string} value - Candidate data URI (surrounding whitespace is ignored)
+ * @returns {EmbeddedImage|null} The image, or null if the value is not an image data URI
+ */
+function parseDataUri(value) {
+    const match = value.trim().match(/^data:(image\/[\w.+-]+)((?:;[^;,]*)*),([\s\S]*)$/i);
+    if (!match) {
+        return null;
+    }
+
+    const isBase64 = match[2].split(';').some(parameter => parameter.trim().toLowerCase() === 'base64');
+    if (isBase64) {
+        const base64 = match[3].replace(/\s+/g, '');
+        if (!/^[A-Za-z0-9+/]*={0,2}$/.test(base64)) {
+            return null;
+        }
+        return toEmbeddedImage(Buffer.from(base64, 'base64'));
+    }
+
+    try {
+        return toEmbeddedImage(Buffer.from(decodeURIComponent(match[3]), 'utf8'));
+    } catch (error) {
+        // Malformed percent-encoding
+        return null;
+    }
+}
+
+/**
+ * Decodes text that is nothing but base64-encoded image bytes (no "data:" prefix)
+ * @param {string} value - Candidate base64 text
+ * @returns {EmbeddedImage|null} The image, or null if the text is not base64 of a known image format
+ */
+function parseRawBase64(value) {
+    const base64 = value.replace(/\s+/g, '');
+    if (base64.length < MIN_RAW_BASE64_LENGTH || !/^[A-Za-z0-9+/]+={0,2}$/.test(base64)) {
+        return null;
+    }
+    return toEmbeddedImage(Buffer.from(base64, 'base64'));
+}
+
+/**
+ * Reads SVG markup copied as text
+ * @param {string} value - Candidate SVG document
+ * @returns {EmbeddedImage|null} The SVG, or null if the text is not a complete SVG document
+ */
+function parseSvgText(value) {
+    const text = value.trim();
+    if (!/<\/svg>$/i.test(text)) {
+        return null;
+    }
+    const image = toEmbeddedImage(Buffer.from(text, 'utf8'));
+    return image && image.format.id === 'svg' ? image : null;
+}
+
+/**
+ * Replaces the HTML entities that can appear in an attribute value
+ * @param {string} value - Attribute value
+ * @returns {string} Value with &amp;, &quot;, &#39; etc. decoded
+ */
+function decodeAttribute(value) {
+    return value
+        .replace(/&quot;/g, '"')
+        .replace(/&#0*39;|&apos;/g, '\'')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Extracts the images embedded in an HTML fragment
+ * Data URIs in <img src> come first, then inline <svg> elements. Images referenced by
+ * http(s) URL are not downloaded.
+ * @param {string} html - HTML text (a Windows CF_HTML header before the markup is fine)
+ * @returns {EmbeddedImage[]} Images in document order
+ */
+function extractHtmlImages(html) {
+    const images = [];
+
+    const imgPattern = /<img\b[^>]*?\ssrc\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+    for (const match of html.matchAll(imgPattern)) {
+        const source = decodeAttribute(match[1] ?? match[2] ?? match[3]);
+        const image = parseDataUri(source);
+        if (image) {
+            images.push(image);
+        }
+    }
+    if (images.length > 0) {
+        return images;
+    }
+
+    for (const match of html.matchAll(/<svg\b[\s\S]*?<\/svg>/gi)) {
+        // Inline SVG in HTML may omit the namespace that standalone SVG files need
+        const markup = /^<svg\b[^>]*\sxmlns\s*=/i.test(match[0])
+            ? match[0]
+            : match[0].replace(/^<svg\b/i, `<svg xmlns="${SVG_NAMESPACE}"`);
+        const image = parseSvgText(markup);
+        if (image) {
+            images.push(image);
+        }
+    }
+    return images;
+}
+
+/**
+ * Converts a file:// URI to a path
+ * Windows drive URIs ("file:///C:/x.png") give a Windows path and URIs with a host give a UNC path,
+ * whatever the platform this runs on.
+ * @param {string} uri - file:// URI
+ * @returns {string|null} Path, or null if the URI is malformed
+ */
+function fileUriToPath(uri) {
+    let url;
+    let pathname;
+    try {
+        url = new URL(uri);
+        pathname = decodeURIComponent(url.pathname);
+    } catch (error) {
+        return null;
+    }
+    if (url.protocol !== 'file:') {
+        return null;
+    }
+
+    if (url.hostname && url.hostname !== 'localhost') {
+        return `\\\\${url.hostname}${pathname.replace(/\//g, '\\')}`;
+    }
+    if (/^\/[a-z]:/i.test(pathname)) {
+        return pathname.slice(1).replace(/\//g, '\\');
+    }
+    return pathname;
+}
+
+/**
+ * Reads copied text that lists file paths or file:// URIs, one per line
+ * Surrounding quotes are removed. If any line is not an absolute path or file URI the text is
+ * treated as ordinary text and nothing is returned.
+ * @param {string} text - Clipboard text
+ * @returns {string[]} Paths as written (Windows paths stay in Windows form)
+ */
+function parseTextPaths(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const paths = [];
+    for (const line of lines) {
+        const value = line.replace(/^(["'])(.+)\1$/, '$2');
+        if (/^file:\/\//i.test(value)) {
+            const filePath = fileUriToPath(value);
+            if (!filePath) {
+                return [];
+            }
+            paths.push(filePath);
+        } else if (/^\/[^/]/.test(value) || /^[a-z]:[\\/]/i.test(value) || /^\\\\[^\\]+\\/.test(value)) {
+            paths.push(value);
+        } else {
+            return [];
+        }
+    }
+    return paths;
+}
+
+/**
+ * Reads an image written directly in clipboard text: a data URI, SVG markup or raw base64
+ * @param {string} text - Clipboard text
+ * @returns {EmbeddedImage|null} The image, or null if the text holds none
+ */
+function parseImageText(text) {
+    return parseDataUri(text) || parseSvgText(text) || parseRawBase64(text);
+}
+
+module.exports = {
+    decodeClipboardText,
+    parseDataUri,
+    parseRawBase64,
+    parseSvgText,
+    extractHtmlImages,
+    fileUriToPath,
+    parseTextPaths,
+    parseImageText
+};
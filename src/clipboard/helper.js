@@ -0,0 +1,277 @@
+// Long-lived helper process spoken to over a line-based stdin/stdout protocol
+//
+// Request (one line):   <id>|<COMMAND>|<argument>
+// Response:             any number of data lines, then either
+//                       OK|<id>
+//                       ERROR|<id>|<message>
+//
+// Requests are sent one at a time. Lines that arrive outside a request are ignored.
+// Data lines may be very long (base64 image data), so output is scanned chunk by chunk
+// and a partial line is only joined once its end arrives.
+const { spawn } = require('child_process');
+const { log } = require('../log');
+
+/**
+ * A request waiting for its OK/ERROR line
+ * @typedef {Object} PendingRequest
+ * @property {string} id - Request id
+ * @property {string[]} lines - Data lines received so far
+ * @property {(lines: string[]) => void} resolve
+ * @property {(error: Error) => void} reject
+ * @property {NodeJS.Timeout} timer - Request timeout
+ */
+
+/**
+ * Starts the helper on first use, restarts it after a crash or timeout and
+ * serializes requests so their responses cannot interleave
+ */
+class HelperProcess {
+    /**
+     * @param {string} command - Executable to start
+     * @param {string[]} args - Its arguments
+     * @param {Object} [options]
+     * @param {number} [options.timeout=10000] - Milliseconds allowed per request (including start-up)
+     * @param {number} [options.maxLineLength=Infinity] - Longest output line accepted; a longer one fails
+     *   the request and restarts the helper
+     */
+    constructor(command, args, options = {}) {
+        this.command = command;
+        this.args = args;
+        this.timeout = options.timeout || 10000;
+        this.maxLineLength = options.maxLineLength || Infinity;
+        this.child = null;
+        // Pieces of the line being received, and their total length
+        this.partial = [];
+        this.partialLength = 0;
+        this.atStart = true;
+        this.nextId = 1;
+        /** @type {PendingRequest|null} */
+        this.pending = null;
+        this.queue = Promise.resolve();
+        this.disposed = false;
+    }
+
+    /**
+     * Whether the helper process is currently running
+     * @returns {boolean}
+     */
+    isRunning() {
+        return this.child !== null;
+    }
+
+    /**
+     * Sends a request, starting (or restarting) the helper if needed
+     * If the helper dies while handling the request, it is restarted and the request retried once.
+     * @param {string} command - Command name (no '|' or line breaks)
+     * @param {string} [argument] - Single-line argument
+     * @returns {Promise<string[]>} Data lines of the response
+     * @throws {Error} With the helper's message for ERROR responses (data lines in error.lines),
+     *   or with error.killed = true when the request timed out
+     */
+    request(command, argument = '') {
+        const run = async () => {
+            try {
+                return await this.send(command, argument);
+            } catch (error) {
+                if (!error.exited || this.disposed) {
+                    throw error;
+                }
+                log.warn(`Clipboard helper exited (${error.message}), restarting`);
+                return this.send(command, argument);
+            }
+        };
+        // Chain on the queue whether the previous request succeeded or not
+        const result = this.queue.then(run, run);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Writes one request and waits for its response
+     * @param {string} command - Command name
+     * @param {string} argument - Argument
+     * @returns {Promise<string[]>} Data lines of the response
+     */
+    send(command, argument) {
+        if (this.disposed) {
+            return Promise.reject(new Error('Clipboard helper has been shut down'));
+        }
+        if (/[|\r\n]/.test(command) || /[\r\n]/.test(argument)) {
+            return Promise.reject(new Error('Invalid helper request'));
+        }
+
+        this.start();
+        const id = String(this.nextId++);
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                const error = new Error(`Clipboard helper did not answer within ${this.timeout} ms`);
+                error.killed = true;
+                this.pending = null;
+                reject(error);
+                this.stop();
+            }, this.timeout);
+            this.pending = { id, lines: [], resolve, reject, timer };
+            this.child.stdin.write(`${id}|${command}|${argument}\n`);
+        });
+    }
+
+    /**
+     * Spawns the helper process if it is not running
+     */
+    start() {
+        if (this.child) {
+            return;
+        }
+
+        const child = spawn(this.command, this.args, { stdio: ['pipe', 'pipe', 'pipe'], windowsHide: true });
+        this.child = child;
+        this.partial = [];
+        this.partialLength = 0;
+        this.atStart = true;
+
+        child.stdout.setEncoding('utf8');
+        child.stdout.on('data', chunk => {
+            // Ignore late output of a helper that was already replaced
+            if (this.child === child) {
+                this.handleOutput(chunk);
+            }
+        });
+        child.stderr.setEncoding('utf8');
+        child.stderr.on('data', chunk => log.warn(`Clipboard helper: ${chunk.trim()}`));
+        // Writes after the helper died are reported through 'exit'
+        child.stdin.on('error', () => {});
+
+        const onGone = (reason) => {
+            if (this.child !== child) {
+                return;
+            }
+            this.child = null;
+            this.failPending(reason);
+        };
+        child.on('error', error => onGone(error.message));
+        child.on('exit', (code, signal) => onGone(signal ? `signal ${signal}` : `exit code ${code}`));
+    }
+
+    /**
+     * Splits helper output into lines and hands complete lines to handleLine
+     * Only the new chunk is searched for line breaks, so long lines cost linear time.
+     * @param {string} chunk - Output received from the helper
+     */
+    handleOutput(chunk) {
+        if (this.atStart) {
+            chunk = chunk.replace(/^\uFEFF/, '');
+            this.atStart = chunk.length === 0;
+        }
+
+        let start = 0;
+        while (start < chunk.length) {
+            const end = chunk.indexOf('\n', start);
+            const piece = chunk.slice(start, end === -1 ? chunk.length : end);
+            this.partialLength += piece.length;
+            if (this.partialLength > this.maxLineLength) {
+                this.failOversized();
+                return;
+            }
+            if (end === -1) {
+                this.partial.push(piece);
+                return;
+            }
+
+            this.partial.push(piece);
+            const line = this.partial.join('').replace(/\r$/, '');
+            this.partial = [];
+            this.partialLength = 0;
+            start = end + 1;
+            this.handleLine(line);
+        }
+    }
+
+    /**
+     * Completes the pending request on its OK/ERROR line or collects a data line
+     * @param {string} line - One line of helper output
+     */
+    handleLine(line) {
+        const request = this.pending;
+        if (!request) {
+            return;
+        }
+        if (line === `OK|${request.id}`) {
+            this.complete(request);
+            request.resolve(request.lines);
+        } else if (line.startsWith(`ERROR|${request.id}|`)) {
+            this.complete(request);
+            const error = new Error(line.slice(`ERROR|${request.id}|`.length));
+            error.lines = request.lines;
+            request.reject(error);
+        } else {
+            request.lines.push(line);
+        }
+    }
+
+    /**
+     * Rejects the pending request because a line exceeded maxLineLength, then restarts the helper
+     * The request is not retried: the same data would be too long again.
+     */
+    failOversized() {
+        const request = this.pending;
+        if (request) {
+            this.complete(request);
+            const error = new Error(`Clipboard helper output exceeded ${this.maxLineLength} characters`);
+            error.oversized = true;
+            request.reject(error);
+        }
+        this.stop();
+    }
+
+    /**
+     * Clears the pending request
+     * @param {PendingRequest} request - Request that has been answered
+     */
+    complete(request) {
+        clearTimeout(request.timer);
+        this.pending = null;
+    }
+
+    /**
+     * Rejects the pending request after the helper went away
+     * @param {string} reason - Why the helper stopped
+     */
+    failPending(reason) {
+        const request = this.pending;
+        if (!request) {
+            return;
+        }
+        this.complete(request);
+        const error = new Error(reason);
+        error.exited = true;
+        request.reject(error);
+    }
+
+    /**
+     * Kills the helper process (the next request starts a new one)
+     */
+    stop() {
+        const child = this.child;
+        if (!child) {
+            return;
+        }
+        this.child = null;
+        this.partial = [];
+        this.partialLength = 0;
+        this.failPending('stopped');
+        child.stdin.end();
+        child.kill();
+    }
+
+    /**
+     * Shuts the helper down for good
+     */
+    dispose() {
+        this.disposed = true;
+        this.stop();
+    }
+}
+
+module.exports = {
+    HelperProcess
+};
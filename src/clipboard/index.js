@@ -0,0 +1,126 @@
+// Clipboard provider registry and automatic provider selection
+const powershell = require('./powershell');
+const x11 = require('./x11');
+const wayland = require('./wayland');
+const remote = require('./remote');
+const { log } = require('../log');
+
+/**
+ * One image read from the clipboard, held in memory until it is saved.
+ * @typedef {Object} ClipboardImage
+ * @property {Buffer} data - Image bytes
+ * @property {string} fileName - Default filename, e.g. "img_20250103_120000.png"
+ * @property {string} [sourceName] - Name of the copied file the image was read from (for messages)
+ */
+
+/**
+ * Images read from the clipboard in one paste.
+ * @typedef {Object} ClipboardResult
+ * @property {ClipboardImage[]} images - The images, in clipboard order
+ * @property {string[]} skipped - Names of copied files that were not taken (non-images or over the cap)
+ */
+
+/**
+ * A clipboard provider reads images from the system clipboard.
+ * @typedef {Object} ClipboardProvider
+ * @property {string} id - Identifier used by the `clipboardProvider` setting
+ * @property {string} label - Human readable name
+ * @property {(context: {platform: string}) => Promise<boolean>} isAvailable - Whether the provider can run here
+ * @property {(context: {platform: string}) => Promise<string[]>} listTargets - MIME targets on the clipboard
+ * @property {(context: {platform: string}) => Promise<string|null>} [readChangeToken] - Cheap value that changes
+ *   whenever the clipboard does (used by watch mode to skip reading unchanged contents)
+ * @property {(context: {platform: string, maxFiles: number}) => Promise<ClipboardResult>} readImage - Reads the
+ *   clipboard image(s) into memory
+ * @property {() => void} [dispose] - Stops background processes started by the provider
+ */
+
+/** @type {ClipboardProvider[]} */
+const PROVIDERS = [remote, powershell, wayland, x11];
+
+// Providers tried in order for "auto" on each platform (the remote provider is only available in
+// remote windows, where the clipboard of this machine is not the user's)
+const AUTO_ORDER = {
+    windows: ['remote', 'powershell'],
+    wsl: ['remote', 'powershell'],
+    linux: ['remote', 'wayland', 'x11']
+};
+
+/**
+ * Looks up a provider by id
+ * @param {string} id - Provider id
+ * @returns {ClipboardProvider|undefined} The provider, if registered
+ */
+function getProvider(id) {
+    return PROVIDERS.find(provider => provider.id === id);
+}
+
+/**
+ * Resolves which clipboard provider to use
+ * @param {string} platform - 'windows', 'wsl' or 'linux'
+ * @param {string} preference - Provider id from settings, or 'auto'
+ * @returns {Promise<ClipboardProvider>} The provider to use
+ */
+async function resolveProvider(platform, preference) {
+    const context = { platform };
+
+    if (preference && preference !== 'auto') {
+        const provider = getProvider(preference);
+        if (!provider) {
+            throw new Error(`Unknown clipboard provider: ${preference}`);
+        }
+        if (!(await provider.isAvailable(context))) {
+            throw new Error(`Clipboard provider "${provider.label}" is not available on this system`);
+        }
+        return provider;
+    }
+
+    for (const id of AUTO_ORDER[platform] || []) {
+        const provider = getProvider(id);
+        if (await provider.isAvailable(context)) {
+            return provider;
+        }
+    }
+
+    if (remote.isRemoteWindow()) {
+        throw new Error('Install the "Claude Code Image Paste (UI)" companion extension on your local machine ' +
+            'to paste from its clipboard in remote windows');
+    }
+    if (platform === 'linux') {
+        throw new Error('No clipboard tool found. Install wl-clipboard (Wayland) or xclip (X11).');
+    }
+    throw new Error('No clipboard provider available for this platform');
+}
+
+/**
+ * Reads images from the clipboard using the configured provider
+ * @param {string} platform - 'windows', 'wsl' or 'linux'
+ * @param {string} preference - Provider id from settings, or 'auto'
+ * @param {number} maxFiles - Maximum number of copied files to take in one paste
+ * @returns {Promise<ClipboardResult>} Image data and skipped file names
+ */
+async function getImageFromClipboard(platform, preference, maxFiles) {
+    const provider = await resolveProvider(platform, preference);
+    const start = Date.now();
+    const result = await provider.readImage({ platform, maxFiles });
+    log.debug(`${provider.label}: read ${result.images.length} image(s) in ${Date.now() - start} ms`);
+    return result;
+}
+
+/**
+ * Stops background processes of every provider (called on deactivation)
+ */
+function disposeProviders() {
+    for (const provider of PROVIDERS) {
+        if (provider.dispose) {
+            provider.dispose();
+        }
+    }
+}
+
+module.exports = {
+    PROVIDERS,
+    getProvider,
+    resolveProvider,
+    getImageFromClipboard,
+    disposeProviders
+};
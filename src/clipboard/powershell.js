@@ -0,0 +1,347 @@
+// PowerShell clipboard provider for native Windows and WSL
+const crypto = require('crypto');
+const { COMMAND_TIMEOUT } = require('../constants');
+const { HelperProcess } = require('./helper');
+const { isWindowsPath, windowsToWslPath } = require('../paths');
+const { MAX_CLIPBOARD_BYTES, createTimestampedFilename, extensionForMimeType, readTextFormats } = require('./common');
+const { log } = require('../log');
+
+// Helper script kept running between pastes (see helper.js for the protocol)
+// Commands: READ|<maxFiles> <maxBytes> emits one line per image,
+//   "IMAGE|<mimeType>|<length>|<sha256>|<base64 data>|<copied file name, if any>", and "SKIPPED|<name>" per ignored file
+//   ('|' cannot appear in Windows filenames or base64, so it is a safe separator). Without bitmap
+//   data it emits the text formats instead, "SVG|", "HTML|" and "TEXT|" followed by base64 UTF-8,
+//   and the extension looks for images in them (see formats.js);
+// TARGETS emits one "TARGET|<type>" line per clipboard format; SEQUENCE emits "SEQUENCE|<n>", the
+// clipboard sequence number Windows increments on every change; PING checks the helper is alive.
+// Image bytes travel over stdout, so nothing is written to the Windows temp directory.
+const HELPER_SCRIPT = `
+$ErrorActionPreference = 'Stop'
+# UTF-8 without BOM so file names with non-ASCII characters survive the pipe
+[Console]::OutputEncoding = New-Object System.Text.UTF8Encoding $false
+Add-Type -AssemblyName System.Windows.Forms
+Add-Type -AssemblyName System.Drawing
+
+function Send-Line([string]$line) {
+    [Console]::Out.WriteLine($line)
+}
+
+function Send-Image([byte[]]$bytes, [string]$mimeType, [string]$sourceName = '') {
+    $sha256 = [System.Security.Cryptography.SHA256]::Create()
+    $hash = ([System.BitConverter]::ToString($sha256.ComputeHash($bytes)) -replace '-', '').ToLower()
+    $sha256.Dispose()
+    Send-Line ("IMAGE|" + $mimeType + "|" + $bytes.Length + "|" + $hash + "|" + [Convert]::ToBase64String($bytes) + "|" + $sourceName)
+}
+
+function Send-Text([string]$kind, [byte[]]$bytes, [long]$maxBytes) {
+    # Text may carry base64 images, which are a third larger than the image limit
+    if ($bytes.Length -gt $maxBytes * 2) {
+        return $false
+    }
+    Send-Line ($kind + "|" + [Convert]::ToBase64String($bytes))
+    return $true
+}
+
+function Read-ClipboardImages([int]$maxFiles, [long]$maxBytes) {
+    $files = [System.Windows.Forms.Clipboard]::GetFileDropList()
+    if ($files -and $files.Count -gt 0) {
+        $mimeTypes = @{
+            '.png' = 'image/png'; '.jpg' = 'image/jpeg'; '.jpeg' = 'image/jpeg'; '.gif' = 'image/gif'
+            '.bmp' = 'image/bmp'; '.webp' = 'image/webp'; '.svg' = 'image/svg+xml'; '.ico' = 'image/x-icon'
+            '.tiff' = 'image/tiff'; '.tif' = 'image/tiff'
+        }
+        $sent = 0
+        foreach ($sourceFile in $files) {
+            $extension = [System.IO.Path]::GetExtension($sourceFile).ToLower()
+            if (-not (Test-Path -LiteralPath $sourceFile -PathType Leaf) -or -not $mimeTypes.ContainsKey($extension) -or
+                $sent -ge $maxFiles -or (Get-Item -LiteralPath $sourceFile).Length -gt $maxBytes) {
+                Send-Line ("SKIPPED|" + [System.IO.Path]::GetFileName($sourceFile))
+                continue
+            }
+            Send-Image ([System.IO.File]::ReadAllBytes($sourceFile)) $mimeTypes[$extension] ([System.IO.Path]::GetFileName($sourceFile))
+            $sent++
+        }
+        if ($sent -gt 0) {
+            return
+        }
+    }
+
+    $image = [System.Windows.Forms.Clipboard]::GetImage()
+    if ($image -ne $null) {
+        $stream = New-Object System.IO.MemoryStream
+        $image.Save($stream, [System.Drawing.Imaging.ImageFormat]::Png)
+        $image.Dispose()
+        $bytes = $stream.ToArray()
+        $stream.Dispose()
+        if ($bytes.Length -gt $maxBytes) {
+            throw "Image too large"
+        }
+        Send-Image $bytes 'image/png'
+        return
+    }
+
+    # No bitmap: hand the text formats to the extension, which looks for images in them
+    $data = [System.Windows.Forms.Clipboard]::GetDataObject()
+    $sentText = $false
+    if ($data -ne $null -and $data.GetDataPresent('image/svg+xml')) {
+        $svg = $data.GetData('image/svg+xml')
+        if ($svg -is [System.IO.MemoryStream] -and (Send-Text 'SVG' $svg.ToArray() $maxBytes)) { $sentText = $true }
+    }
+    $html = [System.Windows.Forms.TextDataFormat]::Html
+    if ([System.Windows.Forms.Clipboard]::ContainsText($html)) {
+        $bytes = [System.Text.Encoding]::UTF8.GetBytes([System.Windows.Forms.Clipboard]::GetText($html))
+        if (Send-Text 'HTML' $bytes $maxBytes) { $sentText = $true }
+    }
+    $text = [System.Windows.Forms.TextDataFormat]::UnicodeText
+    if ([System.Windows.Forms.Clipboard]::ContainsText($text)) {
+        $bytes = [System.Text.Encoding]::UTF8.GetBytes([System.Windows.Forms.Clipboard]::GetText($text))
+        if (Send-Text 'TEXT' $bytes $maxBytes) { $sentText = $true }
+    }
+    if (-not $sentText) {
+        throw "No image in clipboard"
+    }
+}
+
+function Get-ClipboardTargets {
+    $data = [System.Windows.Forms.Clipboard]::GetDataObject()
+    if ($data -eq $null) { return }
+    foreach ($format in $data.GetFormats()) {
+        switch ($format) {
+            'FileDrop' { Send-Line 'TARGET|text/uri-list' }
+            'PNG' { Send-Line 'TARGET|image/png' }
+            'Bitmap' { Send-Line 'TARGET|image/bmp' }
+            default { Send-Line ('TARGET|' + $format) }
+        }
+    }
+}
+
+while ($true) {
+    $line = [Console]::In.ReadLine()
+    if ($line -eq $null) { break }
+    $parts = $line.Split([char]'|', 3)
+    $id = $parts[0]
+    $argument = if ($parts.Count -gt 2) { $parts[2] } else { '' }
+    try {
+        switch ($parts[1]) {
+            'READ' {
+                $limits = $argument.Split(' ')
+                Read-ClipboardImages ([int]$limits[0]) ([long]$limits[1])
+            }
+            'TARGETS' { Get-ClipboardTargets }
+            'SEQUENCE' {
+                # Compiled on first use so pastes do not pay for it
+                if (-not ('ClaudeImagePaste.ClipboardSequence' -as [type])) {
+                    Add-Type -Namespace ClaudeImagePaste -Name ClipboardSequence -MemberDefinition '[DllImport("user32.dll")] public static extern uint GetClipboardSequenceNumber();'
+                }
+                Send-Line ("SEQUENCE|" + [ClaudeImagePaste.ClipboardSequence]::GetClipboardSequenceNumber())
+            }
+            'PING' { }
+            default { throw ("Unknown command: " + $parts[1]) }
+        }
+        Send-Line "OK|$id"
+    } catch {
+        Send-Line ("ERROR|$id|" + ($_.Exception.Message -replace '[\\r\\n]+', ' '))
+    }
+    [Console]::Out.Flush()
+}
+`.trim();
+
+// Longest line the helper may send: base64 of the largest text format (twice the image limit) plus a header
+const MAX_LINE_LENGTH = Math.ceil(MAX_CLIPBOARD_BYTES * 2 / 3) * 4 + 256;
+
+// One helper per platform, started on the first paste
+const helpers = new Map();
+
+/**
+ * Returns the PowerShell helper for a platform, creating it if needed
+ * The script is passed with -EncodedCommand, so nothing is written to disk.
+ * @param {string} platform - 'windows' or 'wsl'
+ * @returns {HelperProcess} The helper
+ */
+function getHelper(platform) {
+    let helper = helpers.get(platform);
+    if (!helper) {
+        const encodedScript = Buffer.from(HELPER_SCRIPT, 'utf16le').toString('base64');
+        const executable = platform === 'wsl' ? 'powershell.exe' : 'powershell';
+        helper = new HelperProcess(executable,
+            ['-NoProfile', '-NonInteractive', '-ExecutionPolicy', 'Bypass', '-Sta', '-EncodedCommand', encodedScript],
+            { timeout: COMMAND_TIMEOUT, maxLineLength: MAX_LINE_LENGTH });
+        helpers.set(platform, helper);
+    }
+    return helper;
+}
+
+/**
+ * Lists the formats currently on the Windows clipboard
+ * @param {{platform: string}} context - Provider context
+ * @returns {Promise<string[]>} MIME-like targets
+ */
+async function listTargets(context) {
+    const lines = await getHelper(context.platform).request('TARGETS');
+    return lines
+        .filter(line => line.startsWith('TARGET|'))
+        .map(line => line.slice('TARGET|'.length).trim())
+        .filter(Boolean);
+}
+
+// Text format lines sent when the clipboard holds no bitmap, by the key readTextFormats expects
+const TEXT_FORMATS = {
+    SVG: 'svg',
+    HTML: 'html',
+    TEXT: 'text'
+};
+
+/**
+ * Reads the Windows clipboard sequence number, which changes whenever the clipboard does
+ * @param {{platform: string}} context - Provider context
+ * @returns {Promise<string|null>} Sequence number, or null if the helper did not report one
+ */
+async function readChangeToken(context) {
+    const lines = await getHelper(context.platform).request('SEQUENCE');
+    const line = lines.find(value => value.startsWith('SEQUENCE|'));
+    return line ? line.slice('SEQUENCE|'.length).trim() : null;
+}
+
+/**
+ * Decodes one IMAGE line and checks it against its declared length and hash
+ * Nothing is written to disk, so a truncated or corrupted transfer never leaves a broken file behind.
+ * @param {string} value - Line contents after "IMAGE|"
+ * @param {number} index - Position within the paste (for the default filename)
+ * @returns {import('./index').ClipboardImage} The verified image
+ * @throws {Error} With error.oversized = true when the image is too large, error.transfer = true when
+ *   the data is malformed or corrupted
+ */
+function decodeImageLine(value, index) {
+    const [mimeType, lengthText, expectedHash, base64, sourceName] = value.split('|');
+    const length = Number(lengthText);
+    const fail = (message, flag = 'transfer') => {
+        const error = new Error(message);
+        error[flag] = true;
+        return error;
+    };
+
+    if (!mimeType || base64 === undefined || !Number.isSafeInteger(length) || length <= 0) {
+        throw fail('Malformed image line from clipboard helper');
+    }
+    if (length > MAX_CLIPBOARD_BYTES) {
+        throw fail(`Image of ${length} bytes exceeds the ${MAX_CLIPBOARD_BYTES} byte limit`, 'oversized');
+    }
+
+    const data = Buffer.from(base64, 'base64');
+    if (data.length !== length) {
+        throw fail(`Image data incomplete: received ${data.length} of ${length} bytes`);
+    }
+    const hash = crypto.createHash('sha256').update(data).digest('hex');
+    if (hash !== expectedHash.toLowerCase()) {
+        throw fail('Image data does not match its SHA-256 hash');
+    }
+
+    const image = { data, fileName: createTimestampedFilename(extensionForMimeType(mimeType), index) };
+    if (sourceName && sourceName.trim()) {
+        image.sourceName = sourceName.trim();
+    }
+    return image;
+}
+
+/**
+ * Reads images from the clipboard through the PowerShell helper
+ * Handles copied image files (every entry of the drop list), screenshot/bitmap data and
+ * images found in the SVG, HTML and text formats
+ * @param {{platform: string, maxFiles: number}} context - Provider context
+ * @returns {Promise<import('./index').ClipboardResult>} Image data and names of skipped files
+ */
+async function readImage(context) {
+    const maxFiles = Math.max(1, Math.floor(Number(context.maxFiles) || 1));
+
+    try {
+        const lines = await getHelper(context.platform).request('READ', `${maxFiles} ${MAX_CLIPBOARD_BYTES}`);
+
+        const images = [];
+        const skipped = [];
+        const textFormats = {};
+        for (const line of lines) {
+            const separator = line.indexOf('|');
+            if (separator === -1) {
+                continue;
+            }
+            const kind = line.slice(0, separator);
+            const value = line.slice(separator + 1);
+            if (kind === 'IMAGE') {
+                images.push(decodeImageLine(value, images.length));
+            } else if (kind === 'SKIPPED' && value.trim()) {
+                skipped.push(value.trim());
+            } else if (TEXT_FORMATS[kind]) {
+                textFormats[TEXT_FORMATS[kind]] = Buffer.from(value, 'base64').toString('utf8');
+            }
+        }
+
+        if (images.length > 0) {
+            return { images, skipped };
+        }
+
+        // Copied paths are Windows paths; in WSL they are read through the automount
+        const toLocalPath = (filePath) =>
+            context.platform === 'wsl' && isWindowsPath(filePath) ? windowsToWslPath(filePath) : filePath;
+        const fromText = readTextFormats(textFormats, maxFiles, toLocalPath);
+        if (fromText && fromText.images.length > 0) {
+            return fromText;
+        }
+        if (fromText || skipped.length > 0) {
+            throw new Error('None of the copied files are images.');
+        }
+        throw new Error('No image in clipboard');
+    } catch (helperError) {
+        if (helperError.killed) {
+            throw new Error('Clipboard access timed out. Please try again.');
+        }
+
+        // Provide user-friendly error messages (sanitized - don't expose internal details)
+        if (helperError.oversized || helperError.message === 'Image too large') {
+            throw new Error(`Clipboard image is larger than ${MAX_CLIPBOARD_BYTES / (1024 * 1024)} MB.`);
+        }
+        if (helperError.transfer) {
+            log.error('Clipboard image transfer failed', helperError);
+            throw new Error('Clipboard image was corrupted in transfer. Please try again.');
+        }
+        if (helperError.message === 'None of the copied files are images.' ||
+            (helperError.lines && helperError.lines.some(line => line.startsWith('SKIPPED|')))) {
+            throw new Error('None of the copied files are images.');
+        }
+        if (helperError.message && helperError.message.includes('No image in clipboard')) {
+            throw new Error('No image found in clipboard. Copy an image first.');
+        }
+
+        log.error('PowerShell clipboard helper failed', helperError);
+        throw new Error('Clipboard access failed. Please try again.');
+    }
+}
+
+/**
+ * Shuts down the PowerShell helpers
+ */
+function dispose() {
+    for (const helper of helpers.values()) {
+        helper.dispose();
+    }
+    helpers.clear();
+}
+
+/**
+ * PowerShell is part of every supported Windows install
+ * @param {{platform: string}} context - Provider context
+ * @returns {Promise<boolean>} True on Windows and WSL
+ */
+async function isAvailable(context) {
+    return context.platform === 'windows' || context.platform === 'wsl';
+}
+
+module.exports = {
+    id: 'powershell',
+    label: 'PowerShell (Windows/WSL)',
+    isAvailable,
+    listTargets,
+    readChangeToken,
+    readImage,
+    dispose,
+    decodeImageLine
+};
@@ -0,0 +1,77 @@
+// Clipboard provider for remote windows (SSH, dev containers, Codespaces): reads the clipboard of the
+// machine running the VS Code window through the UI-side companion extension
+
+// Set by the extension on activation (tests set a mock transport)
+/** @type {import('../remote/transport').ClipboardTransport|null} */
+let transport = null;
+
+/**
+ * Sets the transport that reaches the UI side (null disables the provider)
+ * @param {import('../remote/transport').ClipboardTransport|null} value - Transport
+ */
+function setTransport(value) {
+    transport = value;
+}
+
+/**
+ * Returns the transport, failing if none is set
+ * @returns {import('../remote/transport').ClipboardTransport} Transport
+ */
+function getTransport() {
+    if (!transport) {
+        throw new Error('The UI-side clipboard reader is not connected');
+    }
+    return transport;
+}
+
+/**
+ * Checks whether this window's clipboard is on another machine (SSH, container or codespace window)
+ * @returns {boolean} True if the clipboard can only be reached through the companion extension
+ */
+function isRemoteWindow() {
+    return transport ? transport.isRemote() : false;
+}
+
+/**
+ * Usable in remote windows when the companion extension is installed on the UI side
+ * @returns {Promise<boolean>} True if the UI-side clipboard can be reached
+ */
+async function isAvailable() {
+    return transport ? transport.isAvailable() : false;
+}
+
+/**
+ * Lists the formats on the UI-side clipboard
+ * @returns {Promise<string[]>} MIME types or clipboard format names
+ */
+async function listTargets() {
+    return getTransport().listTargets();
+}
+
+/**
+ * Reads the UI-side clipboard's change token (watch mode)
+ * @returns {Promise<string|null>} Token, or null if the UI side has none
+ */
+async function readChangeToken() {
+    return getTransport().readChangeToken();
+}
+
+/**
+ * Reads the clipboard image(s) on the UI side and receives the bytes
+ * @param {{maxFiles: number}} context - Provider context
+ * @returns {Promise<import('./index').ClipboardResult>} Image data and skipped file names
+ */
+async function readImage(context) {
+    return getTransport().readClipboard(context.maxFiles);
+}
+
+module.exports = {
+    id: 'remote',
+    label: 'Local clipboard via companion (remote windows)',
+    setTransport,
+    isRemoteWindow,
+    isAvailable,
+    listTargets,
+    readChangeToken,
+    readImage
+};
@@ -0,0 +1,45 @@
+// Wayland clipboard provider backed by wl-paste (wl-clipboard)
+const { COMMAND_TIMEOUT } = require('../constants');
+const { execFilePromise, isCommandAvailable, readClipboardImages } = require('./common');
+
+/**
+ * wl-paste needs a Wayland session and the wl-clipboard package
+ * @returns {Promise<boolean>} True if Wayland clipboard access is possible
+ */
+async function isAvailable() {
+    if (!process.env.WAYLAND_DISPLAY) {
+        return false;
+    }
+    return isCommandAvailable('wl-paste', ['--version']);
+}
+
+/**
+ * Lists the MIME types currently offered by the Wayland clipboard
+ * @returns {Promise<string[]>} MIME types
+ */
+async function listTargets() {
+    const { stdout } = await execFilePromise('wl-paste', ['--list-types'], {
+        timeout: COMMAND_TIMEOUT
+    });
+    return stdout.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Reads the clipboard image (or copied image files) into memory
+ * @param {{maxFiles: number}} context - Provider context
+ * @returns {Promise<import('./index').ClipboardResult>} Image data and skipped file names
+ */
+async function readImage(context) {
+    return readClipboardImages({
+        listTargets,
+        readTarget: (target, options) => execFilePromise('wl-paste', ['--no-newline', '--type', target], options)
+    }, context.maxFiles);
+}
+
+module.exports = {
+    id: 'wayland',
+    label: 'Wayland (wl-paste)',
+    isAvailable,
+    listTargets,
+    readImage
+};
@@ -0,0 +1,45 @@
+// X11 clipboard provider backed by xclip
+const { COMMAND_TIMEOUT } = require('../constants');
+const { execFilePromise, isCommandAvailable, readClipboardImages } = require('./common');
+
+/**
+ * xclip needs an X display and the xclip binary on PATH
+ * @returns {Promise<boolean>} True if X11 clipboard access is possible
+ */
+async function isAvailable() {
+    if (!process.env.DISPLAY) {
+        return false;
+    }
+    return isCommandAvailable('xclip', ['-version']);
+}
+
+/**
+ * Lists the targets currently offered by the X11 CLIPBOARD selection
+ * @returns {Promise<string[]>} Target names (mostly MIME types)
+ */
+async function listTargets() {
+    const { stdout } = await execFilePromise('xclip', ['-selection', 'clipboard', '-t', 'TARGETS', '-o'], {
+        timeout: COMMAND_TIMEOUT
+    });
+    return stdout.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Reads the clipboard image (or copied image files) into memory
+ * @param {{maxFiles: number}} context - Provider context
+ * @returns {Promise<import('./index').ClipboardResult>} Image data and skipped file names
+ */
+async function readImage(context) {
+    return readClipboardImages({
+        listTargets,
+        readTarget: (target, options) => execFilePromise('xclip', ['-selection', 'clipboard', '-t', target, '-o'], options)
+    }, context.maxFiles);
+}
+
+module.exports = {
+    id: 'x11',
+    label: 'X11 (xclip)',
+    isAvailable,
+    listTargets,
+    readImage
+};
@@ -0,0 +1,17 @@
+// Shared constants used across the extension modules
+
+const EXTENSION_NAME = 'Claude Image Paste';
+const CONFIG_SECTION = 'claudeImagePaste';
+const COMMAND_TIMEOUT = 10000; // 10 seconds
+const SUPPORTED_IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.bmp', '.webp', '.svg', '.ico', '.tiff', '.tif'];
+
+// Windows reserved filenames that cannot be used
+const WINDOWS_RESERVED_NAMES = /^(CON|PRN|AUX|NUL|COM[1-9]|LPT[1-9])(\.|$)/i;
+
+module.exports = {
+    EXTENSION_NAME,
+    CONFIG_SECTION,
+    COMMAND_TIMEOUT,
+    SUPPORTED_IMAGE_EXTENSIONS,
+    WINDOWS_RESERVED_NAMES
+};
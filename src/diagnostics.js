@@ -0,0 +1,279 @@
+// "Run Diagnostics" command: a Markdown report of everything a clipboard bug report needs
+const vscode = require('vscode');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EXTENSION_NAME, CONFIG_SECTION } = require('./constants');
+const { PROVIDERS, resolveProvider } = require('./clipboard');
+const { getAutomountRoot } = require('./paths');
+const { detectImageFormat } = require('./image/format');
+const { formatSize } = require('./util');
+const { log } = require('./log');
+
+/**
+ * One section of the report: a table of label/value rows, or a fenced code block.
+ * @typedef {Object} ReportSection
+ * @property {string} title - Section heading
+ * @property {Array<[string, string]>} [rows] - Table rows
+ * @property {string} [code] - JSON shown instead of a table
+ */
+
+/**
+ * Runs a task and measures how long it took
+ * @template T
+ * @param {() => Promise<T>|T} task - Task to run
+ * @returns {Promise<{value?: T, error?: Error, ms: number}>} Result or error, and the duration
+ */
+async function timed(task) {
+    const start = Date.now();
+    try {
+        const value = await task();
+        return { value, ms: Date.now() - start };
+    } catch (error) {
+        return { error, ms: Date.now() - start };
+    }
+}
+
+/**
+ * Checks whether files can be created in a directory (or, if it does not exist yet, in the
+ * nearest existing parent it would be created in)
+ * @param {string} directory - Directory to check
+ * @returns {string} Human readable result
+ */
+function describeWritability(directory) {
+    let existing = directory;
+    while (!fs.existsSync(existing)) {
+        const parent = path.dirname(existing);
+        if (parent === existing) {
+            return 'no existing parent directory';
+        }
+        existing = parent;
+    }
+    try {
+        fs.accessSync(existing, fs.constants.W_OK);
+        return existing === directory ? 'exists, writable' : `missing, will be created (parent ${existing} is writable)`;
+    } catch (error) {
+        return existing === directory ? `exists, NOT writable (${error.code})` : `missing, parent ${existing} NOT writable`;
+    }
+}
+
+/**
+ * Collects platform and environment details
+ * @param {{platform: string|null, method: string}} detection - Result of detectPlatform()
+ * @returns {ReportSection} Environment section
+ */
+function environmentSection(detection) {
+    const packageJson = require('../package.json');
+    const rows = [
+        ['Extension version', packageJson.version],
+        ['VS Code version', vscode.version],
+        ['Remote', vscode.env.remoteName || 'local'],
+        ['Node.js', `${process.version} (${process.platform}/${process.arch})`],
+        ['Detected platform', detection.platform || 'unsupported'],
+        ['Detection method', detection.method],
+        ['Temp directory', os.tmpdir()]
+    ];
+    if (detection.platform === 'wsl') {
+        rows.push(['WSL distribution', process.env.WSL_DISTRO_NAME || 'unknown']);
+        rows.push(['Automount root', getAutomountRoot()]);
+    }
+    return { title: 'Environment', rows };
+}
+
+/**
+ * Checks every clipboard provider: availability, and how long listing the clipboard takes
+ * @param {string} platform - Current platform
+ * @returns {Promise<ReportSection>} Clipboard tools section
+ */
+async function providersSection(platform) {
+    const context = { platform };
+    const rows = [];
+    for (const provider of PROVIDERS) {
+        const available = await timed(() => provider.isAvailable(context));
+        if (available.error || !available.value) {
+            const reason = available.error ? available.error.message : 'not available';
+            rows.push([provider.label, `${reason} (${available.ms} ms)`]);
+            continue;
+        }
+        const targets = await timed(() => provider.listTargets(context));
+        rows.push([provider.label, targets.error
+            ? `available, listing the clipboard failed after ${targets.ms} ms: ${targets.error.message}`
+            : `available, clipboard listed in ${targets.ms} ms`]);
+    }
+
+    const preference = vscode.workspace.getConfiguration(CONFIG_SECTION).get('clipboardProvider', 'auto');
+    const selected = await timed(() => resolveProvider(platform, preference));
+    rows.push([`Selected (${preference})`, selected.error ? `none: ${selected.error.message}` : selected.value.label]);
+    return { title: 'Clipboard tools', rows };
+}
+
+/**
+ * Resolves the save directory of every workspace folder (without creating anything)
+ * @param {string} platform - Current platform
+ * @param {(platform: string, workspaceFolder?: vscode.WorkspaceFolder) => string|null} resolveSaveDirectory -
+ *   Read-only save directory lookup
+ * @returns {ReportSection} Save directory section
+ */
+function saveDirectorySection(platform, resolveSaveDirectory) {
+    const folders = vscode.workspace.workspaceFolders || [undefined];
+    const rows = [];
+    for (const folder of folders) {
+        const label = folder ? folder.name : '(no workspace)';
+        let directory;
+        try {
+            directory = resolveSaveDirectory(platform, folder);
+        } catch (error) {
+            rows.push([label, `invalid: ${error.message}`]);
+            continue;
+        }
+        if (!directory) {
+            rows.push([label, `not set, images go to ${os.tmpdir()} (${describeWritability(os.tmpdir())})`]);
+        } else {
+            rows.push([label, `${directory} (${describeWritability(directory)})`]);
+        }
+    }
+    return { title: 'Save directory', rows };
+}
+
+/**
+ * Lists the effective value of every setting, marking the ones changed from the default
+ * @returns {ReportSection} Configuration section
+ */
+function configurationSection() {
+    const packageJson = require('../package.json');
+    const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+    const settings = {};
+    for (const key of Object.keys(packageJson.contributes.configuration.properties)) {
+        const name = key.slice(CONFIG_SECTION.length + 1);
+        const inspected = config.inspect(name);
+        const changed = inspected && [inspected.globalValue, inspected.workspaceValue, inspected.workspaceFolderValue]
+            .some(value => value !== undefined);
+        settings[changed ? `${name} (changed)` : name] = config.get(name);
+    }
+    return { title: 'Effective configuration', code: JSON.stringify(settings, null, 2) };
+}
+
+/**
+ * Reads the clipboard like a paste would, without writing anything
+ * @param {string} platform - Current platform
+ * @returns {Promise<ReportSection>} Clipboard probe section
+ */
+async function probeSection(platform) {
+    const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+    const rows = [];
+    const provider = await timed(() => resolveProvider(platform, config.get('clipboardProvider', 'auto')));
+    if (provider.error) {
+        rows.push(['Provider', provider.error.message]);
+        return { title: 'Clipboard probe (dry run)', rows };
+    }
+
+    const targets = await timed(() => provider.value.listTargets({ platform }));
+    rows.push(['Clipboard formats', targets.error
+        ? `failed after ${targets.ms} ms: ${targets.error.message}`
+        : `${targets.value.join(', ') || 'empty'} (${targets.ms} ms)`]);
+
+    const maxFiles = Math.min(50, Math.max(1, config.get('maxFilesPerPaste', 10)));
+    const read = await timed(() => provider.value.readImage({ platform, maxFiles }));
+    if (read.error) {
+        rows.push(['Read', `failed after ${read.ms} ms: ${read.error.message}`]);
+        return { title: 'Clipboard probe (dry run)', rows };
+    }
+    rows.push(['Read', `${read.value.images.length} image(s) in ${read.ms} ms`]);
+    read.value.images.forEach((image, index) => {
+        const format = detectImageFormat(image.data);
+        rows.push([`Image ${index + 1}`,
+            `${image.fileName}, ${formatSize(image.data.length)}, ${format ? format.label : 'unrecognized format'}`]);
+    });
+    if (read.value.skipped.length > 0) {
+        rows.push(['Skipped', read.value.skipped.join(', ')]);
+    }
+    return { title: 'Clipboard probe (dry run)', rows };
+}
+
+/**
+ * Escapes text for a Markdown table cell
+ * @param {string} value - Cell text
+ * @returns {string} Escaped text
+ */
+function tableCell(value) {
+    return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Formats the report as Markdown for an issue
+ * @param {ReportSection[]} sections - Report sections
+ * @returns {string} Markdown text
+ */
+function formatReport(sections) {
+    const lines = [
+        `# ${EXTENSION_NAME} diagnostics`,
+        '',
+        `Generated ${new Date().toISOString()}. Paths may contain your user name; review before sharing.`
+    ];
+    for (const section of sections) {
+        lines.push('', `## ${section.title}`, '');
+        if (section.code !== undefined) {
+            lines.push('```json', section.code, '```');
+            continue;
+        }
+        lines.push('| Item | Value |', '|------|-------|');
+        for (const [label, value] of section.rows) {
+            lines.push(`| ${tableCell(label)} | ${tableCell(value)} |`);
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Builds the diagnostics report
+ * @param {Object} deps
+ * @param {() => {platform: string|null, method: string}} deps.detectPlatform - Platform detection
+ * @param {(platform: string, workspaceFolder?: vscode.WorkspaceFolder) => string|null} deps.resolveSaveDirectory -
+ *   Read-only save directory lookup
+ * @returns {Promise<string>} Markdown report
+ */
+async function buildDiagnosticsReport(deps) {
+    const detection = deps.detectPlatform();
+    const sections = [environmentSection(detection)];
+    if (detection.platform) {
+        sections.push(await providersSection(detection.platform));
+        sections.push(saveDirectorySection(detection.platform, deps.resolveSaveDirectory));
+    }
+    sections.push(configurationSection());
+    if (detection.platform) {
+        sections.push(await probeSection(detection.platform));
+    }
+    return formatReport(sections);
+}
+
+/**
+ * Registers the "Run Diagnostics" command
+ * The report opens as an unsaved Markdown document and can be copied for an issue.
+ * @param {vscode.ExtensionContext} context - Extension context
+ * @param {Object} deps - See buildDiagnosticsReport
+ */
+function registerDiagnostics(context, deps) {
+    context.subscriptions.push(
+        vscode.commands.registerCommand('claude-image-paste.runDiagnostics', async () => {
+            const report = await vscode.window.withProgress({
+                location: vscode.ProgressLocation.Notification,
+                title: `${EXTENSION_NAME}: Running diagnostics...`
+            }, () => buildDiagnosticsReport(deps));
+            log.debug(`Diagnostics report:\n${report}`);
+
+            const document = await vscode.workspace.openTextDocument({ language: 'markdown', content: report });
+            await vscode.window.showTextDocument(document, { preview: false });
+            const choice = await vscode.window.showInformationMessage(
+                `${EXTENSION_NAME}: Diagnostics report ready.`, 'Copy as Markdown');
+            if (choice) {
+                await vscode.env.clipboard.writeText(report);
+            }
+        })
+    );
+}
+
+module.exports = {
+    formatReport,
+    buildDiagnosticsReport,
+    registerDiagnostics
+};
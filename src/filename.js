@@ -0,0 +1,206 @@
+// Filename templates: {token} placeholders resolved by the extension for every saved image
+//
+// {date} / {date:FORMAT}   Paste date, FORMAT from YYYY YY MM DD HH mm ss SSS (default YYYYMMDD)
+// {time} / {time:FORMAT}   Paste time (default HHmmss)
+// {counter} / {counter:N}  Lowest number (zero-padded to N digits) that gives an unused filename
+// {hash} / {hash:N}        First N characters of the image's SHA-256 (default 8)
+// {workspace}              Workspace folder name
+// {gitBranch}              Checked-out Git branch ("/" becomes "-")
+// {terminalName}           Name of the target terminal
+// {ext}                    Final extension without the dot; appended when the template has no {ext}
+
+const fs = require('fs');
+const path = require('path');
+const { SUPPORTED_IMAGE_EXTENSIONS, WINDOWS_RESERVED_NAMES } = require('./constants');
+
+// Reproduces the names earlier versions created ("img_20250103_120000.png")
+const DEFAULT_FILENAME_TEMPLATE = 'img_{date:YYYYMMDD}_{time:HHmmss}';
+
+const TOKEN_PATTERN = /\{(\w+)(?::([^{}]*))?\}/g;
+
+/**
+ * Values the tokens are resolved from.
+ * @typedef {Object} TemplateValues
+ * @property {Date} date - Paste time
+ * @property {string} hash - SHA-256 hex digest of the pasted image
+ * @property {string} ext - Final extension without the dot (e.g. "png")
+ * @property {number} [counter=1] - Value of {counter}
+ * @property {string} [workspace] - Workspace folder name
+ * @property {string} [gitBranch] - Git branch
+ * @property {string} [terminalName] - Target terminal name
+ */
+
+/**
+ * Formats a date with YYYY, YY, MM, DD, HH, mm, ss and SSS placeholders
+ * @param {Date} date - Date to format (local time)
+ * @param {string} format - Format string; other characters are kept as they are
+ * @returns {string} Formatted date
+ */
+function formatDate(date, format) {
+    const pad = (value, width = 2) => String(value).padStart(width, '0');
+    const parts = {
+        YYYY: String(date.getFullYear()),
+        YY: pad(date.getFullYear() % 100),
+        MM: pad(date.getMonth() + 1),
+        DD: pad(date.getDate()),
+        HH: pad(date.getHours()),
+        mm: pad(date.getMinutes()),
+        ss: pad(date.getSeconds()),
+        SSS: pad(date.getMilliseconds(), 3)
+    };
+    return format.replace(/YYYY|YY|MM|DD|HH|mm|ss|SSS/g, part => parts[part]);
+}
+
+/**
+ * Makes free text (branch, workspace or terminal names) safe inside a filename
+ * Path separators, characters Windows forbids and whitespace become "-".
+ * @param {string} [value] - Text to insert
+ * @returns {string} Sanitized text ("" if none)
+ */
+function sanitizeTokenValue(value) {
+    return (value || '')
+        .replace(/[\/\\<>:"|?*\u0000-\u001f\s]+/g, '-')
+        .replace(/-{2,}/g, '-')
+        .replace(/^[-.]+|[-.]+$/g, '');
+}
+
+/**
+ * Parses the numeric argument of a token
+ * @param {string} token - Token name (for the error message)
+ * @param {string|undefined} argument - Argument text
+ * @param {number} fallback - Value when no argument is given
+ * @returns {number} Argument value
+ */
+function numericArgument(token, argument, fallback) {
+    if (argument === undefined || argument === '') {
+        return fallback;
+    }
+    if (!/^\d{1,2}$/.test(argument)) {
+        throw new Error(`{${token}:${argument}} needs a number`);
+    }
+    return Number(argument);
+}
+
+/**
+ * Resolves a filename template
+ * @param {string} template - Template text, e.g. "{gitBranch}_{date}_{counter:3}"
+ * @param {TemplateValues} values - Token values
+ * @returns {string} Filename including the extension (not yet validated)
+ * @throws {Error} For unknown tokens or malformed token arguments
+ */
+function renderFilenameTemplate(template, values) {
+    const source = template.includes('{ext}') ? template : `${template}.{ext}`;
+    return source.replace(TOKEN_PATTERN, (match, token, argument) => {
+        switch (token) {
+            case 'date':
+                return formatDate(values.date, argument || 'YYYYMMDD');
+            case 'time':
+                return formatDate(values.date, argument || 'HHmmss');
+            case 'counter':
+                return String(values.counter ?? 1).padStart(numericArgument(token, argument, 1), '0');
+            case 'hash':
+                return values.hash.slice(0, Math.max(1, numericArgument(token, argument, 8)));
+            case 'workspace':
+                return sanitizeTokenValue(values.workspace);
+            case 'gitBranch':
+                return sanitizeTokenValue(values.gitBranch);
+            case 'terminalName':
+                return sanitizeTokenValue(values.terminalName);
+            case 'ext':
+                return values.ext;
+            default:
+                throw new Error(`Unknown token ${match}`);
+        }
+    });
+}
+
+/**
+ * Checks whether a template numbers its files itself
+ * @param {string} template - Template text
+ * @returns {boolean} True if it contains {counter}
+ */
+function usesCounter(template) {
+    return /\{counter(?::[^{}]*)?\}/.test(template);
+}
+
+/**
+ * Validates a filename for security and filesystem compatibility
+ * @param {string} value - The filename to validate
+ * @param {string} originalExt - The original file extension
+ * @returns {string|null} Error message if invalid, null if valid
+ */
+function validateFilename(value, originalExt) {
+    if (!value || value.trim() === '') {
+        return 'File name cannot be empty';
+    }
+
+    // Block path separators (path traversal)
+    if (/[\/\\]/.test(value)) {
+        return 'File name cannot contain path separators';
+    }
+
+    // Block invalid Windows/Linux characters
+    if (/[<>:"|?*\0]/.test(value)) {
+        return 'File name contains invalid characters';
+    }
+
+    // Block Windows reserved names
+    if (WINDOWS_RESERVED_NAMES.test(value)) {
+        return 'File name cannot use reserved system names (CON, PRN, etc.)';
+    }
+
+    // Block leading/trailing spaces or dots (problematic on Windows)
+    if (/^[\s.]|[\s.]$/.test(value)) {
+        return 'File name cannot start or end with spaces or dots';
+    }
+
+    // Length check (255 is typical filesystem limit)
+    if (value.length > 255) {
+        return 'File name is too long (max 255 characters)';
+    }
+
+    // Ensure valid image extension is preserved
+    const ext = path.extname(value).toLowerCase();
+    if (!ext || !SUPPORTED_IMAGE_EXTENSIONS.includes(ext)) {
+        return `File must have a valid image extension (${originalExt} recommended)`;
+    }
+
+    return null;
+}
+
+/**
+ * Resolves the filename template for one image and checks the result with the rename rules
+ * With {counter}, the lowest number that gives an unused name in the directory is taken.
+ * @param {string} template - Filename template
+ * @param {string} directory - Directory the image will be written to
+ * @param {TemplateValues} values - Token values
+ * @returns {string} Valid filename (the writer still adds "_2", ... if it is taken)
+ */
+function resolveImageFilename(template, directory, values) {
+    const counting = usesCounter(template);
+    for (let counter = 1; ; counter++) {
+        let fileName;
+        try {
+            fileName = renderFilenameTemplate(template, { ...values, counter });
+        } catch (error) {
+            throw new Error(`Invalid filenameTemplate: ${error.message}`);
+        }
+        const problem = validateFilename(fileName, `.${values.ext}`);
+        if (problem) {
+            throw new Error(`Invalid filenameTemplate: ${problem} ("${fileName}")`);
+        }
+        if (!counting || !fs.existsSync(path.join(directory, fileName))) {
+            return fileName;
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_FILENAME_TEMPLATE,
+    formatDate,
+    sanitizeTokenValue,
+    renderFilenameTemplate,
+    usesCounter,
+    validateFilename,
+    resolveImageFilename
+};
@@ -0,0 +1,229 @@
+// "Pasted Images" gallery: a tree view of the images this extension saved
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const { EXTENSION_NAME } = require('./constants');
+const { formatSize } = require('./util');
+const { readImageDimensions } = require('./image/format');
+const { renameImage } = require('./manifest');
+const { listTrackedImages, deleteTrackedImages } = require('./retention');
+
+// Bytes read from each image to find its dimensions
+const HEADER_BYTES = 64 * 1024;
+
+/**
+ * Reads the first bytes of a file
+ * @param {string} filePath - File to read
+ * @returns {Buffer} Up to HEADER_BYTES bytes
+ */
+function readHeader(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(HEADER_BYTES);
+        const bytesRead = fs.readSync(fd, buffer, 0, HEADER_BYTES, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Tree item for one pasted image; the image itself is used as the icon (thumbnail)
+ */
+class PastedImageItem extends vscode.TreeItem {
+    /**
+     * @param {import('./retention').TrackedImage} image - Tracked image
+     */
+    constructor(image) {
+        super(image.name, vscode.TreeItemCollapsibleState.None);
+        this.image = image;
+
+        let dimensions = null;
+        try {
+            dimensions = readImageDimensions(readHeader(image.path));
+        } catch (error) {
+            // Unreadable file - show it without dimensions
+        }
+
+        const uri = vscode.Uri.file(image.path);
+        const sizeText = dimensions ? `${dimensions.width}×${dimensions.height}` : '';
+        const timestamp = new Date(image.mtime).toLocaleString();
+
+        this.resourceUri = uri;
+        this.iconPath = uri;
+        this.contextValue = 'pastedImage';
+        this.description = [formatSize(image.size), sizeText, timestamp].filter(Boolean).join(' · ');
+
+        const tooltip = new vscode.MarkdownString(`**${image.name}**\n\n${this.description}\n\n![${image.name}](${uri.toString()}|width=240)`);
+        tooltip.supportHtml = false;
+        this.tooltip = tooltip;
+
+        // Clicking an item opens the image in an editor tab
+        this.command = { command: 'vscode.open', title: 'Open Image', arguments: [uri] };
+    }
+}
+
+/**
+ * Tree data provider listing the images recorded in the save directory's manifest
+ */
+class PastedImagesProvider {
+    /**
+     * @param {() => string|null} getSaveDirectory - Returns the current save directory (null if not configured)
+     */
+    constructor(getSaveDirectory) {
+        this.getSaveDirectory = getSaveDirectory;
+        this.changeEmitter = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this.changeEmitter.event;
+    }
+
+    /**
+     * Reloads the gallery
+     */
+    refresh() {
+        this.changeEmitter.fire();
+    }
+
+    /**
+     * @param {PastedImageItem} item - Tree item
+     * @returns {PastedImageItem} The same item
+     */
+    getTreeItem(item) {
+        return item;
+    }
+
+    /**
+     * @returns {PastedImageItem[]} One item per pasted image, newest first
+     */
+    getChildren() {
+        let directory = null;
+        try {
+            directory = this.getSaveDirectory();
+        } catch (error) {
+            // Invalid saveDirectory setting - show the welcome view
+        }
+        if (!directory || !fs.existsSync(directory)) {
+            return [];
+        }
+        return listTrackedImages(directory).map(image => new PastedImageItem(image));
+    }
+
+    dispose() {
+        this.changeEmitter.dispose();
+    }
+}
+
+/**
+ * Registers the Pasted Images view and its item commands
+ * @param {vscode.ExtensionContext} context - VS Code extension context
+ * @param {Object} deps - Functions shared with the paste pipeline
+ * @param {() => string|null} deps.getSaveDirectory - Returns the current save directory
+ * @param {(imagePaths: string[]) => Promise<boolean>} deps.insertReferences - Inserts @path references into a terminal
+ * @param {(value: string, originalExt: string) => string|null} deps.validateFilename - Filename validation
+ * @returns {PastedImagesProvider} The provider (call refresh() after pastes)
+ */
+function registerGallery(context, deps) {
+    const provider = new PastedImagesProvider(deps.getSaveDirectory);
+    const treeView = vscode.window.createTreeView('claudeImagePaste.gallery', {
+        treeDataProvider: provider,
+        canSelectMany: true
+    });
+
+    /**
+     * Resolves the items a command applies to (clicked item, multi-selection or current selection)
+     * @param {PastedImageItem} [item] - Item the command was invoked on
+     * @param {PastedImageItem[]} [selected] - All selected items (multi-select)
+     * @returns {PastedImageItem[]} Items to act on
+     */
+    const targetItems = (item, selected) => {
+        if (selected && selected.length > 0) {
+            return selected;
+        }
+        if (item) {
+            return [item];
+        }
+        return [...treeView.selection];
+    };
+
+    context.subscriptions.push(
+        treeView,
+        provider,
+
+        vscode.commands.registerCommand('claude-image-paste.gallery.refresh', () => provider.refresh()),
+
+        vscode.commands.registerCommand('claude-image-paste.gallery.insert', (item, selected) => {
+            const items = targetItems(item, selected);
+            if (items.length === 0) {
+                return;
+            }
+            return deps.insertReferences(items.map(target => target.image.path));
+        }),
+
+        vscode.commands.registerCommand('claude-image-paste.gallery.rename', async (item) => {
+            const [target] = targetItems(item);
+            if (!target) {
+                return;
+            }
+            const { image } = target;
+            const ext = path.extname(image.name);
+            const newName = await vscode.window.showInputBox({
+                prompt: 'Enter a new name for the image',
+                value: image.name,
+                valueSelection: [0, image.name.length - ext.length],
+                validateInput: (value) => deps.validateFilename(value, ext)
+            });
+            if (!newName || newName === image.name) {
+                return;
+            }
+
+            const directory = path.dirname(image.path);
+            const newPath = path.join(directory, newName);
+            try {
+                if (fs.existsSync(newPath)) {
+                    vscode.window.showErrorMessage(`${EXTENSION_NAME}: File "${newName}" already exists`);
+                    return;
+                }
+                fs.renameSync(image.path, newPath);
+                renameImage(directory, image.name, newName);
+            } catch (error) {
+                vscode.window.showErrorMessage(`${EXTENSION_NAME}: Failed to rename file: ${error.message}`);
+            }
+            provider.refresh();
+        }),
+
+        vscode.commands.registerCommand('claude-image-paste.gallery.reveal', (item) => {
+            const [target] = targetItems(item);
+            if (target) {
+                vscode.commands.executeCommand('revealFileInOS', vscode.Uri.file(target.image.path));
+            }
+        }),
+
+        vscode.commands.registerCommand('claude-image-paste.gallery.copyPath', async (item, selected) => {
+            const items = targetItems(item, selected);
+            if (items.length > 0) {
+                await vscode.env.clipboard.writeText(items.map(target => target.image.path).join('\n'));
+            }
+        }),
+
+        vscode.commands.registerCommand('claude-image-paste.gallery.delete', async (item, selected) => {
+            const items = targetItems(item, selected);
+            if (items.length === 0) {
+                return;
+            }
+            const label = items.length === 1 ? `"${items[0].image.name}"` : `${items.length} images`;
+            const confirm = await vscode.window.showWarningMessage(`Delete ${label}?`, { modal: true }, 'Delete');
+            if (confirm !== 'Delete') {
+                return;
+            }
+
+            const directory = path.dirname(items[0].image.path);
+            deleteTrackedImages(directory, items.map(target => target.image));
+            provider.refresh();
+        })
+    );
+
+    return provider;
+}
+
+module.exports = {
+    registerGallery
+};
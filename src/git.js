@@ -0,0 +1,132 @@
+// Reads Git repository metadata straight from the .git directory (git itself is not required)
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./log');
+
+/**
+ * A Git working tree and the directory holding its metadata.
+ * @typedef {Object} GitRepository
+ * @property {string} root - Top-level directory of the working tree
+ * @property {string} gitDir - Its git directory (".git", or ".git/worktrees/<name>" for a linked worktree)
+ */
+
+// Where Git puts the git directory of a submodule or linked worktree: inside another repository's
+// .git/modules or .git/worktrees
+const LINKED_GIT_DIR_PATTERN = /[\\/]\.git[\\/](?:modules|worktrees)[\\/][^\\/]/;
+
+/**
+ * Resolves symbolic links in a path, keeping the path as it is if it does not exist
+ * @param {string} filePath - Absolute path
+ * @returns {string} Real path
+ */
+function realPath(filePath) {
+    try {
+        return fs.realpathSync(filePath);
+    } catch (error) {
+        return filePath;
+    }
+}
+
+/**
+ * Checks whether a path is a directory or lies inside it
+ * @param {string} filePath - Absolute path
+ * @param {string} directory - Absolute directory
+ * @returns {boolean} True if filePath is within directory
+ */
+function isWithin(filePath, directory) {
+    const relative = path.relative(directory, filePath);
+    return !relative || (!/^\.\.([\\/]|$)/.test(relative) && !path.isAbsolute(relative));
+}
+
+/**
+ * Follows a ".git" file (linked worktree or submodule) to the git directory it names
+ * The directory is only trusted inside the workspace folder or inside a .git/modules or .git/worktrees
+ * directory, so a checked-out ".git" file cannot point the extension at an arbitrary directory.
+ * @param {string} dotGit - Path of the .git file
+ * @param {string} [workspacePath] - Workspace folder the lookup belongs to
+ * @returns {string|null} Git directory, or null if the file names none or an untrusted one
+ */
+function readGitDirFile(dotGit, workspacePath) {
+    const match = fs.readFileSync(dotGit, 'utf8').match(/^gitdir:\s*(.+?)\s*$/m);
+    if (!match) {
+        return null;
+    }
+    const gitDir = realPath(path.resolve(path.dirname(dotGit), match[1]));
+    const trusted = (workspacePath && isWithin(gitDir, realPath(path.resolve(workspacePath)))) ||
+        LINKED_GIT_DIR_PATTERN.test(gitDir);
+    if (!trusted || !fs.statSync(gitDir, { throwIfNoEntry: false })?.isDirectory()) {
+        log.warn(`Ignoring ${dotGit}: its gitdir ${gitDir} is not a submodule or worktree directory`);
+        return null;
+    }
+    return gitDir;
+}
+
+/**
+ * Finds the repository containing a path
+ * Walks up to the nearest ".git", so a nested repository wins over its parent. A ".git" file
+ * (linked worktree or submodule) is followed to the git directory it names; if that directory is
+ * not trusted (see readGitDirFile), the path counts as outside any repository.
+ * @param {string} startPath - File or directory inside the working tree
+ * @param {string} [workspacePath] - Workspace folder the lookup belongs to
+ * @returns {GitRepository|null} The repository, or null if the path is not in one
+ */
+function findRepository(startPath, workspacePath) {
+    let directory = path.resolve(startPath);
+    for (;;) {
+        const dotGit = path.join(directory, '.git');
+        let stats = null;
+        try {
+            stats = fs.statSync(dotGit);
+        } catch (error) {
+            // No .git here
+        }
+
+        if (stats && stats.isDirectory()) {
+            return { root: directory, gitDir: dotGit };
+        }
+        if (stats && stats.isFile()) {
+            try {
+                const gitDir = readGitDirFile(dotGit, workspacePath);
+                return gitDir ? { root: directory, gitDir } : null;
+            } catch (error) {
+                log.debug(`Could not read .git file: ${error.message}`);
+            }
+        }
+
+        const parent = path.dirname(directory);
+        if (parent === directory) {
+            return null;
+        }
+        directory = parent;
+    }
+}
+
+/**
+ * Reads the checked-out branch of the repository containing a path
+ * @param {string} startPath - File or directory inside the working tree
+ * @param {string} [workspacePath] - Workspace folder the lookup belongs to
+ * @returns {string|null} Branch name ("feature/login"), the short commit hash when HEAD is detached,
+ *   or null outside a repository
+ */
+function readGitBranch(startPath, workspacePath) {
+    const repository = findRepository(startPath, workspacePath);
+    if (!repository) {
+        return null;
+    }
+    try {
+        const head = fs.readFileSync(path.join(repository.gitDir, 'HEAD'), 'utf8').trim();
+        const ref = head.match(/^ref:\s*refs\/heads\/(.+)$/);
+        if (ref) {
+            return ref[1];
+        }
+        return /^[0-9a-f]{7,}$/i.test(head) ? head.slice(0, 7) : null;
+    } catch (error) {
+        log.debug(`Could not read Git HEAD: ${error.message}`);
+        return null;
+    }
+}
+
+module.exports = {
+    findRepository,
+    readGitBranch
+};
@@ -0,0 +1,232 @@
+// Keeps the save directory out of Git: an entry in the repository's .gitignore or in its
+// .git/info/exclude (gitignoreMode), written between marker comments so it can be removed again
+const fs = require('fs');
+const path = require('path');
+const { findRepository } = require('./git');
+const { log } = require('./log');
+
+const GITIGNORE_MODES = ['gitignore', 'info-exclude', 'off'];
+
+// Marker comments around the entries this extension writes
+const BLOCK_START = '# >>> Claude Image Paste: pasted images (managed by the extension)';
+const BLOCK_END = '# <<< Claude Image Paste';
+
+// Comment written above the entry by earlier versions
+const LEGACY_MARKER = '# Claude Image Paste screenshots';
+
+// Git matches paths case-insensitively on Windows by default (core.ignorecase)
+const IGNORE_CASE = process.platform === 'win32';
+
+/**
+ * Finds the directory shared by all worktrees of a repository (where info/exclude lives)
+ * A linked worktree's git directory is "<common>/worktrees/<name>"; a commondir file naming anything
+ * else is ignored.
+ * @param {string} gitDir - Git directory of a working tree
+ * @returns {string} Common git directory (the gitDir itself outside linked worktrees)
+ */
+function getCommonGitDir(gitDir) {
+    let commonDir;
+    try {
+        commonDir = path.resolve(gitDir, fs.readFileSync(path.join(gitDir, 'commondir'), 'utf8').trim());
+    } catch (error) {
+        return gitDir;
+    }
+    if (!/^worktrees[\\/][^\\/]+$/.test(path.relative(commonDir, gitDir))) {
+        log.warn(`Ignoring the commondir file in ${gitDir}: ${commonDir} is not its main git directory`);
+        return gitDir;
+    }
+    return commonDir;
+}
+
+/**
+ * Reduces an ignore pattern to the path it ignores, so "dir", "dir/", "/dir/" and "dir/**" compare equal
+ * @param {string} line - Line of an ignore file
+ * @returns {string|null} Normalized path, or null for blank lines, comments and negations
+ */
+function normalizePattern(line) {
+    const pattern = line.trim();
+    if (!pattern || pattern.startsWith('#') || pattern.startsWith('!')) {
+        return null;
+    }
+    const normalized = pattern.replace(/\\/g, '/').replace(/^\/+/, '').replace(/(\/\*\*)?\/*$/, '');
+    return IGNORE_CASE ? normalized.toLowerCase() : normalized;
+}
+
+/**
+ * Reads a file, treating a missing one as empty
+ * @param {string} filePath - File to read
+ * @returns {string} Content
+ */
+function readIfExists(filePath) {
+    try {
+        return fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return '';
+        }
+        throw error;
+    }
+}
+
+/**
+ * Checks whether an ignore file already has an entry for a directory
+ * @param {string} filePath - .gitignore or info/exclude file
+ * @param {string} relativeDir - Directory relative to the file's base, with forward slashes
+ * @returns {boolean} True if a pattern names exactly that directory
+ */
+function hasEntry(filePath, relativeDir) {
+    const wanted = IGNORE_CASE ? relativeDir.toLowerCase() : relativeDir;
+    return readIfExists(filePath).split(/\r?\n/).some(line => normalizePattern(line) === wanted);
+}
+
+/**
+ * Adds the marked entry for a directory to an ignore file
+ * @param {string} filePath - .gitignore or info/exclude file (created if missing)
+ * @param {string} relativeDir - Directory relative to the file's base, with forward slashes
+ */
+function appendEntry(filePath, relativeDir) {
+    const content = readIfExists(filePath);
+    const separator = !content ? '' : (content.endsWith('\n') ? '\n' : '\n\n');
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, `${separator}${BLOCK_START}\n/${relativeDir}/\n${BLOCK_END}\n`);
+}
+
+/**
+ * Checks whether a directory lies below the workspace folder
+ * @param {string} directory - Absolute directory
+ * @param {string} workspacePath - Workspace folder
+ * @returns {boolean} True if the directory is inside the folder (and not the folder itself)
+ */
+function isInsideWorkspace(directory, workspacePath) {
+    const fromWorkspace = path.relative(workspacePath, directory);
+    return Boolean(fromWorkspace) && !/^\.\.([\\/]|$)/.test(fromWorkspace) && !path.isAbsolute(fromWorkspace);
+}
+
+/**
+ * Makes sure Git ignores the save directory
+ * Only directories inside the workspace folder are handled, and only when that location is in a Git
+ * repository. The entry goes into the repository that actually contains the directory (a nested
+ * repository or submodule wins over its parent), anchored at its root. Nothing is written when a
+ * .gitignore between the repository root and the directory, or info/exclude, already names it.
+ * @param {string} directory - Absolute save directory
+ * @param {string} mode - gitignoreMode setting: 'gitignore', 'info-exclude' or 'off'
+ * @param {string} workspacePath - Workspace folder the save directory belongs to
+ */
+function ensureIgnored(directory, mode, workspacePath) {
+    if (mode === 'off' || !GITIGNORE_MODES.includes(mode)) {
+        return;
+    }
+    if (!isInsideWorkspace(directory, workspacePath)) {
+        return;
+    }
+
+    try {
+        const repository = findRepository(directory, workspacePath);
+        if (!repository) {
+            log.debug(`${directory} is not in a Git repository; nothing to ignore`);
+            return;
+        }
+        const relativeDir = path.relative(repository.root, directory).split(path.sep).join('/');
+        if (!relativeDir) {
+            return; // The save directory is the repository itself
+        }
+
+        // .gitignore files from the repository root down to the directory's parent
+        const segments = relativeDir.split('/');
+        for (let depth = 0; depth < segments.length; depth++) {
+            const gitignorePath = path.join(repository.root, ...segments.slice(0, depth), '.gitignore');
+            if (hasEntry(gitignorePath, segments.slice(depth).join('/'))) {
+                return;
+            }
+        }
+        const excludePath = path.join(getCommonGitDir(repository.gitDir), 'info', 'exclude');
+        if (hasEntry(excludePath, relativeDir)) {
+            return;
+        }
+
+        const target = mode === 'info-exclude' ? excludePath : path.join(repository.root, '.gitignore');
+        appendEntry(target, relativeDir);
+        log.info(`Added /${relativeDir}/ to ${target}`);
+    } catch (error) {
+        // Nice to have but not critical
+        log.warn(`Could not update the Git ignore rules: ${error.message}`);
+    }
+}
+
+/**
+ * Removes the entries this extension wrote from an ignore file
+ * Drops the marked blocks, and entries written by earlier versions under their comment.
+ * @param {string} filePath - .gitignore or info/exclude file
+ * @returns {boolean} True if the file was changed
+ */
+function removeEntries(filePath) {
+    const lines = readIfExists(filePath).split('\n');
+    const kept = [];
+    for (let index = 0; index < lines.length; index++) {
+        const line = lines[index].trimEnd();
+        if (line === BLOCK_START) {
+            const end = lines.findIndex((candidate, at) => at > index && candidate.trimEnd() === BLOCK_END);
+            if (end !== -1) {
+                index = end;
+                continue;
+            }
+        }
+        if (line === LEGACY_MARKER && index + 1 < lines.length && normalizePattern(lines[index + 1]) !== null) {
+            index++;
+            continue;
+        }
+        kept.push(lines[index]);
+    }
+    if (kept.length === lines.length) {
+        return false;
+    }
+    // Drop the blank lines left before a removed block at the end of the file
+    const content = kept.join('\n').replace(/\n+$/, '\n');
+    fs.writeFileSync(filePath, content.trim() ? content : '');
+    return true;
+}
+
+/**
+ * Removes the extension's entries from the ignore files a mode does not use
+ * Called when gitignoreMode changes, so switching modes moves the entry and "off" removes it. Both the
+ * workspace folder's repository and the one containing the save directory (a nested repository or
+ * submodule, where ensureIgnored writes the entry) are cleaned.
+ * @param {string} workspacePath - Workspace folder
+ * @param {string} mode - New gitignoreMode setting
+ * @param {string|null} [saveDirectory] - Absolute save directory of the folder, if one is set
+ */
+function removeUnusedEntries(workspacePath, mode, saveDirectory = null) {
+    try {
+        const startPaths = [workspacePath];
+        if (saveDirectory && isInsideWorkspace(saveDirectory, workspacePath)) {
+            startPaths.push(saveDirectory);
+        }
+        const files = [];
+        for (const startPath of startPaths) {
+            const repository = findRepository(startPath, workspacePath);
+            if (!repository) {
+                continue;
+            }
+            if (mode !== 'gitignore') {
+                // Earlier versions wrote to the workspace folder's .gitignore
+                files.push(path.join(repository.root, '.gitignore'), path.join(workspacePath, '.gitignore'));
+            }
+            if (mode !== 'info-exclude') {
+                files.push(path.join(getCommonGitDir(repository.gitDir), 'info', 'exclude'));
+            }
+        }
+        for (const filePath of new Set(files)) {
+            if (removeEntries(filePath)) {
+                log.info(`Removed the pasted images entry from ${filePath}`);
+            }
+        }
+    } catch (error) {
+        log.warn(`Could not update the Git ignore rules: ${error.message}`);
+    }
+}
+
+module.exports = {
+    GITIGNORE_MODES,
+    ensureIgnored,
+    removeUnusedEntries
+};
@@ -0,0 +1,119 @@
+// Pure JavaScript/WebAssembly image decoding and encoding (no native dependencies)
+const fs = require('fs');
+const path = require('path');
+const { Jimp } = require('jimp');
+
+// MIME types for each file extension the codec understands
+const EXTENSION_MIME_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.bmp': 'image/bmp',
+    '.tif': 'image/tiff',
+    '.tiff': 'image/tiff',
+    '.webp': 'image/webp'
+};
+
+// Preferred file extension for each output MIME type
+const MIME_EXTENSIONS = {
+    'image/png': '.png',
+    'image/jpeg': '.jpg',
+    'image/webp': '.webp'
+};
+
+// Lazily initialized WebP codec (the wasm binaries are loaded from disk, not fetched)
+let webpCodecPromise = null;
+
+/**
+ * Loads the WebP encoder and decoder WebAssembly modules
+ * @returns {Promise<{encode: Function, decode: Function}>} WebP codec functions
+ */
+function loadWebpCodec() {
+    if (!webpCodecPromise) {
+        webpCodecPromise = (async () => {
+            const packageDir = path.dirname(require.resolve('@jsquash/webp/package.json'));
+            const encoder = await import('@jsquash/webp/encode.js');
+            const decoder = await import('@jsquash/webp/decode.js');
+            // The encoder picks its SIMD or plain build with the same feature check, so the wasm must match
+            const { simd } = await import('wasm-feature-detect');
+            const encoderWasm = (await simd()) ? 'codec/enc/webp_enc_simd.wasm' : 'codec/enc/webp_enc.wasm';
+            await encoder.init(new WebAssembly.Module(fs.readFileSync(path.join(packageDir, encoderWasm))));
+            await decoder.init(new WebAssembly.Module(fs.readFileSync(path.join(packageDir, 'codec/dec/webp_dec.wasm'))));
+            return { encode: encoder.default, decode: decoder.default };
+        })();
+        // Allow a retry if initialization failed
+        webpCodecPromise.catch(() => {
+            webpCodecPromise = null;
+        });
+    }
+    return webpCodecPromise;
+}
+
+/**
+ * Returns the MIME type for a file based on its extension
+ * @param {string} filePath - Path or filename
+ * @returns {string|null} MIME type, or null if the codec cannot decode it
+ */
+function mimeTypeForPath(filePath) {
+    return EXTENSION_MIME_TYPES[path.extname(filePath).toLowerCase()] || null;
+}
+
+/**
+ * Returns the file extension for an output MIME type
+ * @param {string} mimeType - 'image/png', 'image/jpeg' or 'image/webp'
+ * @returns {string} Extension including the leading dot
+ */
+function extensionForMimeType(mimeType) {
+    return MIME_EXTENSIONS[mimeType] || '.png';
+}
+
+/**
+ * Decodes image bytes into an editable Jimp image
+ * @param {Buffer} data - Encoded image bytes
+ * @param {string} mimeType - MIME type of the data
+ * @returns {Promise<Jimp>} Decoded image
+ */
+async function decodeImage(data, mimeType) {
+    if (mimeType === 'image/webp') {
+        const webp = await loadWebpCodec();
+        const imageData = await webp.decode(data);
+        return Jimp.fromBitmap({
+            data: Buffer.from(imageData.data.buffer, imageData.data.byteOffset, imageData.data.byteLength),
+            width: imageData.width,
+            height: imageData.height
+        });
+    }
+    return Jimp.read(data);
+}
+
+/**
+ * Encodes an image to PNG, JPEG or WebP
+ * @param {Jimp} image - Image to encode
+ * @param {string} mimeType - Output MIME type
+ * @param {number} quality - Quality 1-100 (ignored for PNG)
+ * @returns {Promise<Buffer>} Encoded bytes
+ */
+async function encodeImage(image, mimeType, quality) {
+    if (mimeType === 'image/webp') {
+        const webp = await loadWebpCodec();
+        const { data, width, height } = image.bitmap;
+        const encoded = await webp.encode({
+            data: new Uint8ClampedArray(data.buffer, data.byteOffset, data.byteLength),
+            width,
+            height
+        }, { quality });
+        return Buffer.from(encoded);
+    }
+    if (mimeType === 'image/jpeg') {
+        return image.getBuffer('image/jpeg', { quality });
+    }
+    return image.getBuffer('image/png');
+}
+
+module.exports = {
+    mimeTypeForPath,
+    extensionForMimeType,
+    decodeImage,
+    encodeImage
+};
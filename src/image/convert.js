@@ -0,0 +1,230 @@
+// Converts formats Claude Code cannot read (BMP, TIFF, ICO, SVG) to PNG
+const fs = require('fs');
+const path = require('path');
+const { Jimp } = require('jimp');
+const { detectImageFormat, formatForExtension, isClaudeReadable } = require('./format');
+
+// Lazily initialized SVG renderer (the wasm binary is loaded from disk, not fetched)
+let resvgPromise = null;
+
+/**
+ * Loads the resvg WebAssembly SVG renderer
+ * @returns {Promise<Function>} The Resvg class
+ */
+function loadResvg() {
+    if (!resvgPromise) {
+        resvgPromise = (async () => {
+            const resvg = require('@resvg/resvg-wasm');
+            await resvg.initWasm(fs.readFileSync(require.resolve('@resvg/resvg-wasm/index_bg.wasm')));
+            return resvg.Resvg;
+        })();
+        // Allow a retry if initialization failed
+        resvgPromise.catch(() => {
+            resvgPromise = null;
+        });
+    }
+    return resvgPromise;
+}
+
+/**
+ * Rasterizes an SVG document to PNG at its intrinsic size
+ * @param {Buffer} data - SVG source
+ * @returns {Promise<Buffer>} PNG bytes
+ */
+async function rasterizeSvg(data) {
+    const Resvg = await loadResvg();
+    const renderer = new Resvg(data.toString('utf8'), {
+        fitTo: { mode: 'original' },
+        font: { loadSystemFonts: false }
+    });
+    return Buffer.from(renderer.render().asPng());
+}
+
+/**
+ * Decodes a headerless DIB as stored inside ICO files
+ * Supports 1/4/8-bit palettes and 24/32-bit colour; the AND mask provides transparency
+ * @param {Buffer} dib - BITMAPINFOHEADER followed by pixel data and AND mask
+ * @returns {{data: Buffer, width: number, height: number}} RGBA bitmap
+ */
+function decodeIconDib(dib) {
+    const headerSize = dib.readUInt32LE(0);
+    const width = dib.readInt32LE(4);
+    const height = Math.abs(dib.readInt32LE(8)) / 2; // Height covers the XOR and AND masks
+    const bitCount = dib.readUInt16LE(14);
+    const colorsUsed = dib.readUInt32LE(32);
+    if (![1, 4, 8, 24, 32].includes(bitCount) || width <= 0 || height <= 0) {
+        throw new Error(`Unsupported icon bitmap (${bitCount}-bit)`);
+    }
+
+    const paletteSize = bitCount <= 8 ? (colorsUsed || (1 << bitCount)) : 0;
+    const paletteOffset = headerSize;
+    const pixelOffset = paletteOffset + paletteSize * 4;
+    const xorStride = Math.ceil((width * bitCount) / 32) * 4;
+    const andStride = Math.ceil(width / 32) * 4;
+    const andOffset = pixelOffset + xorStride * height;
+    const hasAndMask = dib.length >= andOffset + andStride * height;
+
+    const rgba = Buffer.alloc(width * height * 4);
+    let anyAlpha = false;
+
+    for (let y = 0; y < height; y++) {
+        // DIB rows are stored bottom-up
+        const row = pixelOffset + (height - 1 - y) * xorStride;
+        for (let x = 0; x < width; x++) {
+            const out = (y * width + x) * 4;
+            let b, g, r, a = 255;
+            if (bitCount === 32) {
+                b = dib[row + x * 4];
+                g = dib[row + x * 4 + 1];
+                r = dib[row + x * 4 + 2];
+                a = dib[row + x * 4 + 3];
+                anyAlpha = anyAlpha || a !== 0;
+            } else if (bitCount === 24) {
+                b = dib[row + x * 3];
+                g = dib[row + x * 3 + 1];
+                r = dib[row + x * 3 + 2];
+            } else {
+                const bitOffset = x * bitCount;
+                const byte = dib[row + (bitOffset >> 3)];
+                const index = (byte >> (8 - bitCount - (bitOffset & 7))) & ((1 << bitCount) - 1);
+                const entry = paletteOffset + index * 4;
+                b = dib[entry];
+                g = dib[entry + 1];
+                r = dib[entry + 2];
+            }
+            rgba[out] = r;
+            rgba[out + 1] = g;
+            rgba[out + 2] = b;
+            rgba[out + 3] = a;
+        }
+    }
+
+    // Without per-pixel alpha, the 1-bit AND mask marks transparent pixels
+    if (hasAndMask && !anyAlpha) {
+        for (let y = 0; y < height; y++) {
+            const row = andOffset + (height - 1 - y) * andStride;
+            for (let x = 0; x < width; x++) {
+                const transparent = (dib[row + (x >> 3)] >> (7 - (x & 7))) & 1;
+                rgba[(y * width + x) * 4 + 3] = transparent ? 0 : 255;
+            }
+        }
+    }
+
+    return { data: rgba, width, height };
+}
+
+/**
+ * Extracts the largest image of an ICO file as PNG
+ * @param {Buffer} data - ICO file contents
+ * @returns {Promise<Buffer>} PNG bytes
+ */
+async function convertIcoToPng(data) {
+    const count = data.readUInt16LE(4);
+    let best = null;
+    for (let i = 0; i < count; i++) {
+        const entry = 6 + i * 16;
+        if (entry + 16 > data.length) {
+            break;
+        }
+        const candidate = {
+            width: data[entry] || 256,
+            height: data[entry + 1] || 256,
+            bitCount: data.readUInt16LE(entry + 6),
+            size: data.readUInt32LE(entry + 8),
+            offset: data.readUInt32LE(entry + 12)
+        };
+        if (candidate.offset + candidate.size > data.length) {
+            continue;
+        }
+        const area = candidate.width * candidate.height;
+        const bestArea = best ? best.width * best.height : -1;
+        if (area > bestArea || (area === bestArea && candidate.bitCount > best.bitCount)) {
+            best = candidate;
+        }
+    }
+    if (!best) {
+        throw new Error('Icon file contains no readable images');
+    }
+
+    const image = data.subarray(best.offset, best.offset + best.size);
+    const embedded = detectImageFormat(image);
+    if (embedded && embedded.id === 'png') {
+        // Modern icons embed PNG data directly
+        return Buffer.from(image);
+    }
+
+    return Jimp.fromBitmap(decodeIconDib(image)).getBuffer('image/png');
+}
+
+/**
+ * Transcodes image data of an unsupported format to PNG
+ * @param {Buffer} data - Source bytes
+ * @param {import('./format').ImageFormat} format - Detected source format
+ * @returns {Promise<Buffer>} PNG bytes
+ */
+async function convertToPng(data, format) {
+    switch (format.id) {
+        case 'svg':
+            return rasterizeSvg(data);
+        case 'ico':
+            return convertIcoToPng(data);
+        default:
+            // BMP and TIFF are decoded by Jimp
+            return (await Jimp.read(data)).getBuffer('image/png');
+    }
+}
+
+/**
+ * Returns a path in the same directory that does not exist yet
+ * @param {string} dir - Directory
+ * @param {string} baseName - Filename without extension
+ * @param {string} extension - Extension including the leading dot
+ * @returns {string} Unused path ("name.png", "name_2.png", ...)
+ */
+function findAvailablePath(dir, baseName, extension) {
+    let candidate = path.join(dir, baseName + extension);
+    for (let counter = 2; fs.existsSync(candidate); counter++) {
+        candidate = path.join(dir, `${baseName}_${counter}${extension}`);
+    }
+    return candidate;
+}
+
+/**
+ * Verifies an image's contents and converts it to PNG if Claude cannot read it
+ * The real format is detected from magic bytes; data whose contents contradict the
+ * filename's extension is rejected instead of being passed on under the wrong name.
+ * @param {Buffer} data - Image bytes
+ * @param {string} fileName - Filename the image will be saved under
+ * @param {string} [displayName=fileName] - Name used in error messages (e.g. the copied file's own name)
+ * @returns {Promise<{data: Buffer, fileName: string}>} Claude-readable bytes and filename (".png" after a conversion)
+ */
+async function ensureSupportedFormat(data, fileName, displayName = fileName) {
+    const extension = path.extname(fileName);
+
+    const format = detectImageFormat(data);
+    if (!format) {
+        throw new Error(`"${displayName}" does not contain recognizable image data`);
+    }
+
+    const expected = formatForExtension(extension);
+    if (expected && expected.id !== format.id) {
+        throw new Error(`"${displayName}" is not a ${expected.label} file (its contents are ${format.label})`);
+    }
+
+    if (isClaudeReadable(format)) {
+        return { data, fileName };
+    }
+
+    try {
+        return { data: await convertToPng(data, format), fileName: path.basename(fileName, extension) + '.png' };
+    } catch (error) {
+        throw new Error(`Could not convert ${format.label} image "${displayName}" to PNG: ${error.message}`);
+    }
+}
+
+module.exports = {
+    ensureSupportedFormat,
+    findAvailablePath,
+    convertToPng,
+    decodeIconDib
+};
@@ -0,0 +1,194 @@
+// Image format detection from file contents (magic bytes) rather than extensions
+
+/**
+ * A detected image format.
+ * @typedef {Object} ImageFormat
+ * @property {string} id - Short identifier ('png', 'jpeg', 'gif', 'webp', 'bmp', 'tiff', 'ico', 'svg')
+ * @property {string} label - Human readable name
+ * @property {string} mimeType - MIME type
+ * @property {string} extension - Canonical file extension including the leading dot
+ */
+
+/** @type {Object<string, ImageFormat>} */
+const FORMATS = {
+    png: { id: 'png', label: 'PNG', mimeType: 'image/png', extension: '.png' },
+    jpeg: { id: 'jpeg', label: 'JPEG', mimeType: 'image/jpeg', extension: '.jpg' },
+    gif: { id: 'gif', label: 'GIF', mimeType: 'image/gif', extension: '.gif' },
+    webp: { id: 'webp', label: 'WebP', mimeType: 'image/webp', extension: '.webp' },
+    bmp: { id: 'bmp', label: 'BMP', mimeType: 'image/bmp', extension: '.bmp' },
+    tiff: { id: 'tiff', label: 'TIFF', mimeType: 'image/tiff', extension: '.tiff' },
+    ico: { id: 'ico', label: 'ICO', mimeType: 'image/x-icon', extension: '.ico' },
+    svg: { id: 'svg', label: 'SVG', mimeType: 'image/svg+xml', extension: '.svg' }
+};
+
+// Format expected for each supported file extension
+const EXTENSION_FORMATS = {
+    '.png': 'png',
+    '.jpg': 'jpeg',
+    '.jpeg': 'jpeg',
+    '.gif': 'gif',
+    '.webp': 'webp',
+    '.bmp': 'bmp',
+    '.tif': 'tiff',
+    '.tiff': 'tiff',
+    '.ico': 'ico',
+    '.svg': 'svg'
+};
+
+// Formats Claude Code can read directly
+const CLAUDE_READABLE_FORMATS = ['png', 'jpeg', 'gif', 'webp'];
+
+/**
+ * Checks whether a buffer starts with the given bytes
+ * @param {Buffer} data - Data to inspect
+ * @param {number[]} bytes - Expected leading bytes
+ * @param {number} [offset=0] - Offset to start comparing at
+ * @returns {boolean} True if the bytes match
+ */
+function startsWith(data, bytes, offset = 0) {
+    if (data.length < offset + bytes.length) {
+        return false;
+    }
+    return bytes.every((byte, index) => data[offset + index] === byte);
+}
+
+/**
+ * Checks whether text looks like an SVG document
+ * Skips a BOM, whitespace, the XML declaration, comments and a DOCTYPE before the root element
+ * @param {Buffer} data - Data to inspect
+ * @returns {boolean} True if the root element is <svg>
+ */
+function looksLikeSvg(data) {
+    const head = data.subarray(0, 4096).toString('utf8').replace(/^\uFEFF/, '');
+    const stripped = head
+        .replace(/^\s*<\?xml[\s\S]*?\?>/, '')
+        .replace(/^(\s*<!--[\s\S]*?-->)+/, '')
+        .replace(/^\s*<!DOCTYPE[^>]*>/i, '')
+        .replace(/^(\s*<!--[\s\S]*?-->)+/, '');
+    return /^\s*<svg[\s>]/i.test(stripped);
+}
+
+/**
+ * Detects the image format of a buffer from its magic bytes
+ * @param {Buffer} data - File contents
+ * @returns {ImageFormat|null} Detected format, or null if not a known image
+ */
+function detectImageFormat(data) {
+    if (startsWith(data, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) {
+        return FORMATS.png;
+    }
+    if (startsWith(data, [0xFF, 0xD8, 0xFF])) {
+        return FORMATS.jpeg;
+    }
+    if (startsWith(data, [0x47, 0x49, 0x46, 0x38]) && (data[4] === 0x37 || data[4] === 0x39) && data[5] === 0x61) {
+        return FORMATS.gif;
+    }
+    if (startsWith(data, [0x52, 0x49, 0x46, 0x46]) && startsWith(data, [0x57, 0x45, 0x42, 0x50], 8)) {
+        return FORMATS.webp;
+    }
+    if (startsWith(data, [0x42, 0x4D]) && data.length >= 26) {
+        return FORMATS.bmp;
+    }
+    if (startsWith(data, [0x49, 0x49, 0x2A, 0x00]) || startsWith(data, [0x4D, 0x4D, 0x00, 0x2A])) {
+        return FORMATS.tiff;
+    }
+    if (startsWith(data, [0x00, 0x00, 0x01, 0x00]) && data.length >= 6 && data.readUInt16LE(4) > 0) {
+        return FORMATS.ico;
+    }
+    if (looksLikeSvg(data)) {
+        return FORMATS.svg;
+    }
+    return null;
+}
+
+/**
+ * Reads an image's pixel dimensions from its header without decoding it
+ * @param {Buffer} data - File contents (the first 64KB are enough for most files)
+ * @returns {{width: number, height: number}|null} Dimensions, or null if unknown
+ */
+function readImageDimensions(data) {
+    const format = detectImageFormat(data);
+    if (!format) {
+        return null;
+    }
+
+    try {
+        switch (format.id) {
+            case 'png':
+                return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+            case 'gif':
+                return { width: data.readUInt16LE(6), height: data.readUInt16LE(8) };
+            case 'bmp':
+                return { width: data.readInt32LE(18), height: Math.abs(data.readInt32LE(22)) };
+            case 'ico':
+                return { width: data[6] || 256, height: data[7] || 256 };
+            case 'webp': {
+                const chunk = data.toString('ascii', 12, 16);
+                if (chunk === 'VP8X') {
+                    return { width: data.readUIntLE(24, 3) + 1, height: data.readUIntLE(27, 3) + 1 };
+                }
+                if (chunk === 'VP8L') {
+                    const bits = data.readUInt32LE(21);
+                    return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+                }
+                if (chunk === 'VP8 ') {
+                    return { width: data.readUInt16LE(26) & 0x3FFF, height: data.readUInt16LE(28) & 0x3FFF };
+                }
+                return null;
+            }
+            case 'jpeg': {
+                // Walk the segments until a start-of-frame marker
+                let offset = 2;
+                while (offset + 9 < data.length) {
+                    if (data[offset] !== 0xFF) {
+                        return null;
+                    }
+                    const marker = data[offset + 1];
+                    if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+                        return { width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+                    }
+                    offset += 2 + data.readUInt16BE(offset + 2);
+                }
+                return null;
+            }
+            case 'svg': {
+                const text = data.toString('utf8');
+                const width = /<svg[^>]*\swidth=["']([\d.]+)(px)?["']/i.exec(text);
+                const height = /<svg[^>]*\sheight=["']([\d.]+)(px)?["']/i.exec(text);
+                return width && height ? { width: Math.round(Number(width[1])), height: Math.round(Number(height[1])) } : null;
+            }
+            default:
+                return null;
+        }
+    } catch (error) {
+        // Truncated header
+        return null;
+    }
+}
+
+/**
+ * Returns the format a file extension promises
+ * @param {string} extension - Extension including the leading dot
+ * @returns {ImageFormat|null} Expected format, or null for unknown extensions
+ */
+function formatForExtension(extension) {
+    const id = EXTENSION_FORMATS[extension.toLowerCase()];
+    return id ? FORMATS[id] : null;
+}
+
+/**
+ * Whether Claude Code can read a format without conversion
+ * @param {ImageFormat} format - Detected format
+ * @returns {boolean} True for PNG, JPEG, GIF and WebP
+ */
+function isClaudeReadable(format) {
+    return CLAUDE_READABLE_FORMATS.includes(format.id);
+}
+
+module.exports = {
+    FORMATS,
+    detectImageFormat,
+    readImageDimensions,
+    formatForExtension,
+    isClaudeReadable
+};
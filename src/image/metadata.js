@@ -0,0 +1,390 @@
+// Metadata stripping: removes EXIF, XMP, IPTC and text blocks from JPEG, PNG and WebP files by
+// rewriting their segments/chunks, so the pixels are never decoded or re-encoded
+const { detectImageFormat } = require('./format');
+
+// EXIF tag holding the orientation (1-8)
+const ORIENTATION_TAG = 0x0112;
+
+// JPEG APP1 payload prefixes
+const EXIF_PREFIX = Buffer.from('Exif\0\0', 'latin1');
+const XMP_PREFIXES = ['http://ns.adobe.com/xap/1.0/', 'http://ns.adobe.com/xmp/extension/']
+    .map(prefix => Buffer.from(prefix, 'latin1'));
+
+// PNG chunks carrying text or EXIF
+const PNG_METADATA_CHUNKS = { tEXt: 'text chunks', iTXt: 'text chunks', zTXt: 'text chunks', eXIf: 'EXIF' };
+
+// WebP chunks carrying metadata and their VP8X flag bits
+const WEBP_METADATA_CHUNKS = { 'EXIF': { label: 'EXIF', flag: 0x08 }, 'XMP ': { label: 'XMP', flag: 0x04 } };
+
+/**
+ * @typedef {Object} StripResult
+ * @property {Buffer} data - Image bytes (the input buffer when nothing was removed)
+ * @property {string[]} removed - Kinds of metadata removed ('EXIF', 'XMP', 'IPTC', ...), empty if none
+ * @property {boolean} [unreadable] - The JPEG, PNG or WebP structure could not be parsed, so any
+ *   metadata is still in data
+ */
+
+// ==================== EXIF ====================
+
+/**
+ * Reads the orientation from a TIFF-structured EXIF block
+ * @param {Buffer} tiff - EXIF data starting at the TIFF header ("II*\0" or "MM\0*")
+ * @returns {number|null} Orientation 2-8, or null if missing, normal (1) or unreadable
+ */
+function readOrientation(tiff) {
+    if (tiff.length < 8) {
+        return null;
+    }
+    const littleEndian = tiff[0] === 0x49 && tiff[1] === 0x49;
+    if (!littleEndian && !(tiff[0] === 0x4D && tiff[1] === 0x4D)) {
+        return null;
+    }
+    const readUInt16 = offset => (littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+    const readUInt32 = offset => (littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+    const ifdOffset = readUInt32(4);
+    if (ifdOffset + 2 > tiff.length) {
+        return null;
+    }
+    const entries = readUInt16(ifdOffset);
+    for (let index = 0; index < entries; index++) {
+        const entry = ifdOffset + 2 + index * 12;
+        if (entry + 12 > tiff.length) {
+            break;
+        }
+        if (readUInt16(entry) === ORIENTATION_TAG) {
+            const orientation = readUInt16(entry + 8);
+            return orientation >= 2 && orientation <= 8 ? orientation : null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Builds an EXIF block holding nothing but the orientation
+ * @param {number} orientation - Orientation 2-8
+ * @returns {Buffer} TIFF-structured EXIF data (big-endian, one IFD entry)
+ */
+function buildOrientationExif(orientation) {
+    const tiff = Buffer.alloc(26);
+    tiff.write('MM', 0, 'latin1');
+    tiff.writeUInt16BE(42, 2);
+    tiff.writeUInt32BE(8, 4); // IFD0 right after the header
+    tiff.writeUInt16BE(1, 8); // One entry
+    tiff.writeUInt16BE(ORIENTATION_TAG, 10);
+    tiff.writeUInt16BE(3, 12); // SHORT
+    tiff.writeUInt32BE(1, 14);
+    tiff.writeUInt16BE(orientation, 18);
+    tiff.writeUInt32BE(0, 22); // No next IFD
+    return tiff;
+}
+
+/**
+ * Drops the "Exif\0\0" prefix some writers put before the TIFF header
+ * @param {Buffer} data - EXIF payload
+ * @returns {Buffer} Data starting at the TIFF header
+ */
+function withoutExifPrefix(data) {
+    return data.subarray(0, EXIF_PREFIX.length).equals(EXIF_PREFIX) ? data.subarray(EXIF_PREFIX.length) : data;
+}
+
+// ==================== JPEG ====================
+
+/**
+ * Names the metadata an APPn or COM segment carries
+ * JFIF (APP0), ICC profiles (APP2) and Adobe color information (APP14) affect how the pixels
+ * are shown and are kept.
+ * @param {number} marker - Segment marker (second byte)
+ * @param {Buffer} payload - Segment data after the length
+ * @returns {string|null} Kind of metadata to remove, or null to keep the segment
+ */
+function classifyJpegSegment(marker, payload) {
+    const startsWith = prefix => payload.subarray(0, prefix.length).equals(prefix);
+    switch (marker) {
+        case 0xE0:
+            return startsWith(Buffer.from('JFXX\0', 'latin1')) ? 'thumbnail' : null;
+        case 0xE1:
+            if (startsWith(EXIF_PREFIX)) {
+                return 'EXIF';
+            }
+            return XMP_PREFIXES.some(startsWith) ? 'XMP' : 'vendor metadata';
+        case 0xE2:
+            if (startsWith(Buffer.from('ICC_PROFILE\0', 'latin1'))) {
+                return null;
+            }
+            return startsWith(Buffer.from('MPF\0', 'latin1')) ? 'preview images' : 'vendor metadata';
+        case 0xED:
+            return 'IPTC';
+        case 0xEE:
+            return null;
+        case 0xFE:
+            return 'comments';
+        default:
+            return marker >= 0xE3 && marker <= 0xEF ? 'vendor metadata' : null;
+    }
+}
+
+/**
+ * Finds the end of the compressed image data (just past the EOI marker)
+ * Steps over entropy-coded bytes, restart markers and the tables between progressive scans.
+ * @param {Buffer} data - JPEG bytes
+ * @param {number} offset - Offset of the first SOS marker
+ * @returns {number} Offset after EOI, or the data length if there is none
+ */
+function findJpegEnd(data, offset) {
+    while (offset + 1 < data.length) {
+        if (data[offset] !== 0xFF) {
+            offset++;
+            continue;
+        }
+        const marker = data[offset + 1];
+        if (marker === 0xD9) {
+            return offset + 2;
+        }
+        if (marker === 0xFF) {
+            offset++; // Fill byte
+        } else if (marker === 0x00 || (marker >= 0xD0 && marker <= 0xD7)) {
+            offset += 2; // Stuffed byte or restart marker
+        } else if (offset + 4 <= data.length) {
+            offset += 2 + data.readUInt16BE(offset + 2); // SOS header or a table between scans
+        } else {
+            break;
+        }
+    }
+    return data.length;
+}
+
+/**
+ * Removes metadata segments from a JPEG file
+ * Data after the image (extra MPF pictures, vendor trailers) is dropped too.
+ * @param {Buffer} data - JPEG bytes
+ * @param {boolean} keepOrientation - Keep the EXIF orientation as a minimal EXIF segment
+ * @returns {StripResult|null} Result, or null if the file structure is not understood
+ */
+function stripJpeg(data, keepOrientation) {
+    const kept = [];
+    const removed = new Set();
+    let orientation = null;
+    let offset = 2;
+    for (;;) {
+        if (offset + 4 > data.length || data[offset] !== 0xFF) {
+            return null; // Truncated or not a JPEG after all
+        }
+        const marker = data[offset + 1];
+        if (marker === 0xFF) {
+            offset++;
+            continue;
+        }
+        if (marker === 0xDA) {
+            const end = findJpegEnd(data, offset);
+            kept.push(data.subarray(offset, end));
+            if (end < data.length) {
+                removed.add('trailing data');
+            }
+            break;
+        }
+        if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+            kept.push(data.subarray(offset, offset + 2));
+            offset += 2;
+            continue;
+        }
+
+        const end = offset + 2 + data.readUInt16BE(offset + 2);
+        if (end > data.length || end < offset + 4) {
+            return null;
+        }
+        const kind = classifyJpegSegment(marker, data.subarray(offset + 4, end));
+        if (kind) {
+            removed.add(kind);
+            if (kind === 'EXIF' && orientation === null) {
+                orientation = readOrientation(data.subarray(offset + 4 + EXIF_PREFIX.length, end));
+            }
+        } else {
+            kept.push(data.subarray(offset, end));
+        }
+        offset = end;
+    }
+
+    if (removed.size === 0) {
+        return { data, removed: [] };
+    }
+    if (keepOrientation && orientation) {
+        const exif = Buffer.concat([EXIF_PREFIX, buildOrientationExif(orientation)]);
+        const header = Buffer.alloc(4);
+        header.writeUInt16BE(0xFFE1, 0);
+        header.writeUInt16BE(exif.length + 2, 2);
+        // After the JFIF segment when there is one, otherwise first
+        const position = kept.length > 0 && kept[0][1] === 0xE0 ? 1 : 0;
+        kept.splice(position, 0, header, exif);
+    }
+    return { data: Buffer.concat([data.subarray(0, 2), ...kept]), removed: [...removed] };
+}
+
+// ==================== PNG ====================
+
+// CRC-32 table for PNG chunks
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 PNG stores after each chunk
+ * @param {Buffer} data - Chunk type and data
+ * @returns {number} CRC
+ */
+function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Int32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c;
+        }
+    }
+    let crc = -1;
+    for (const byte of data) {
+        crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Builds a PNG chunk
+ * @param {string} type - Four-letter chunk type
+ * @param {Buffer} payload - Chunk data
+ * @returns {Buffer} Length, type, data and CRC
+ */
+function buildPngChunk(type, payload) {
+    const chunk = Buffer.alloc(payload.length + 12);
+    chunk.writeUInt32BE(payload.length, 0);
+    chunk.write(type, 4, 'latin1');
+    payload.copy(chunk, 8);
+    chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + payload.length)), 8 + payload.length);
+    return chunk;
+}
+
+/**
+ * Removes text and EXIF chunks from a PNG file
+ * @param {Buffer} data - PNG bytes
+ * @param {boolean} keepOrientation - Keep the EXIF orientation as a minimal eXIf chunk
+ * @returns {StripResult|null} Result, or null if the file structure is not understood
+ */
+function stripPng(data, keepOrientation) {
+    const kept = [data.subarray(0, 8)];
+    const removed = new Set();
+    let offset = 8;
+    while (offset < data.length) {
+        if (offset + 12 > data.length) {
+            return null;
+        }
+        const end = offset + 12 + data.readUInt32BE(offset);
+        if (end > data.length) {
+            return null;
+        }
+        const type = data.toString('latin1', offset + 4, offset + 8);
+        const kind = PNG_METADATA_CHUNKS[type];
+        if (!kind) {
+            kept.push(data.subarray(offset, end));
+        } else {
+            removed.add(kind);
+            const orientation = keepOrientation && type === 'eXIf'
+                ? readOrientation(withoutExifPrefix(data.subarray(offset + 8, end - 4)))
+                : null;
+            if (orientation) {
+                kept.push(buildPngChunk('eXIf', buildOrientationExif(orientation)));
+            }
+        }
+        offset = end;
+        if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (removed.size === 0) {
+        return { data, removed: [] };
+    }
+    return { data: Buffer.concat(kept), removed: [...removed] };
+}
+
+// ==================== WEBP ====================
+
+/**
+ * Removes EXIF and XMP chunks from a WebP file
+ * Only extended WebP files (with a VP8X chunk) can carry metadata.
+ * @param {Buffer} data - WebP bytes
+ * @param {boolean} keepOrientation - Keep the EXIF orientation as a minimal EXIF chunk
+ * @returns {StripResult|null} Result, or null if the file structure is not understood
+ */
+function stripWebp(data, keepOrientation) {
+    const chunks = [];
+    const removed = new Set();
+    let clearFlags = 0;
+    let offset = 12;
+    while (offset < data.length) {
+        if (offset + 8 > data.length) {
+            return null;
+        }
+        const size = data.readUInt32LE(offset + 4);
+        const end = Math.min(data.length, offset + 8 + size + (size % 2));
+        if (offset + 8 + size > data.length) {
+            return null;
+        }
+        const fourCC = data.toString('latin1', offset, offset + 4);
+        const metadata = WEBP_METADATA_CHUNKS[fourCC];
+        if (!metadata) {
+            chunks.push(Buffer.from(data.subarray(offset, end)));
+        } else {
+            removed.add(metadata.label);
+            const orientation = keepOrientation && fourCC === 'EXIF'
+                ? readOrientation(withoutExifPrefix(data.subarray(offset + 8, offset + 8 + size)))
+                : null;
+            if (orientation) {
+                const exif = buildOrientationExif(orientation);
+                const header = Buffer.alloc(8);
+                header.write('EXIF', 0, 'latin1');
+                header.writeUInt32LE(exif.length, 4);
+                chunks.push(Buffer.concat([header, exif]));
+            } else {
+                clearFlags |= metadata.flag;
+            }
+        }
+        offset = end;
+    }
+
+    if (removed.size === 0) {
+        return { data, removed: [] };
+    }
+    const vp8x = chunks.find(chunk => chunk.toString('latin1', 0, 4) === 'VP8X');
+    if (vp8x) {
+        vp8x[8] &= ~clearFlags;
+    }
+    const header = Buffer.from(data.subarray(0, 12));
+    const body = Buffer.concat(chunks);
+    header.writeUInt32LE(body.length + 4, 4);
+    return { data: Buffer.concat([header, body]), removed: [...removed] };
+}
+
+/**
+ * Removes privacy-sensitive metadata (location, device, thumbnails, text) from an image
+ * JPEG: EXIF, XMP, IPTC, comments, preview images and vendor segments. PNG: tEXt, iTXt, zTXt and
+ * eXIf chunks. WebP: EXIF and XMP chunks. Other formats are returned unchanged; a JPEG, PNG or WebP
+ * whose structure is not understood is returned unchanged with unreadable set, so the caller can
+ * say that its metadata was kept.
+ * @param {Buffer} data - Image bytes
+ * @param {Object} [options]
+ * @param {boolean} [options.keepOrientation=false] - Keep the EXIF orientation so rotated photos still display upright
+ * @returns {StripResult} Image bytes and what was removed
+ */
+function stripMetadata(data, { keepOrientation = false } = {}) {
+    const strippers = { jpeg: stripJpeg, png: stripPng, webp: stripWebp };
+    const stripper = strippers[detectImageFormat(data)?.id];
+    if (!stripper) {
+        return { data, removed: [] };
+    }
+    return stripper(data, keepOrientation) || { data, removed: [], unreadable: true };
+}
+
+module.exports = {
+    stripMetadata,
+    readOrientation
+};
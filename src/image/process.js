@@ -0,0 +1,134 @@
+// Downscaling and recompression so pasted images fit Claude's image limits
+const path = require('path');
+const { mimeTypeForPath, extensionForMimeType, decodeImage, encodeImage } = require('./codec');
+const { readImageDimensions } = require('./format');
+
+// Output formats selectable through the outputFormat setting
+const OUTPUT_MIME_TYPES = {
+    png: 'image/png',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp'
+};
+
+// Lowest quality tried for lossy formats before downscaling further
+const MIN_QUALITY = 40;
+
+// Each downscale step shrinks both dimensions to this fraction
+const DOWNSCALE_STEP = 0.75;
+const MAX_DOWNSCALE_STEPS = 8;
+
+/**
+ * @typedef {Object} ProcessingOptions
+ * @property {number} maxWidth - Maximum width in pixels
+ * @property {number} maxHeight - Maximum height in pixels
+ * @property {number} maxBytes - Maximum encoded file size in bytes
+ * @property {string} outputFormat - 'original', 'png', 'jpeg' or 'webp'
+ * @property {number} quality - Quality for JPEG/WebP (1-100)
+ * @property {boolean} keepOriginal - Keep the unprocessed file as "<name>_original.<ext>"
+ */
+
+/**
+ * Chooses the output MIME type for an image
+ * Formats Claude reads as-is keep their type; others (BMP, TIFF, GIF when re-encoded) become PNG
+ * @param {string} sourceMimeType - MIME type of the original file
+ * @param {string} outputFormat - Output format setting
+ * @returns {string} Output MIME type
+ */
+function resolveOutputMimeType(sourceMimeType, outputFormat) {
+    if (OUTPUT_MIME_TYPES[outputFormat]) {
+        return OUTPUT_MIME_TYPES[outputFormat];
+    }
+    return Object.values(OUTPUT_MIME_TYPES).includes(sourceMimeType) ? sourceMimeType : 'image/png';
+}
+
+/**
+ * Encodes the image, lowering quality and then resolution until it fits maxBytes
+ * @param {Jimp} image - Decoded image (resized in place when needed)
+ * @param {string} mimeType - Output MIME type
+ * @param {ProcessingOptions} options - Processing options
+ * @returns {Promise<Buffer>} Encoded bytes within the size limit
+ */
+async function encodeWithinLimit(image, mimeType, options) {
+    const isLossy = mimeType !== 'image/png';
+    let quality = Math.min(100, Math.max(1, options.quality));
+
+    for (let step = 0; step <= MAX_DOWNSCALE_STEPS; step++) {
+        let encoded = await encodeImage(image, mimeType, quality);
+        while (encoded.length > options.maxBytes && isLossy && quality > MIN_QUALITY) {
+            quality = Math.max(MIN_QUALITY, quality - 15);
+            encoded = await encodeImage(image, mimeType, quality);
+        }
+        if (encoded.length <= options.maxBytes) {
+            return encoded;
+        }
+
+        image.resize({
+            w: Math.max(1, Math.round(image.width * DOWNSCALE_STEP)),
+            h: Math.max(1, Math.round(image.height * DOWNSCALE_STEP))
+        });
+    }
+
+    throw new Error(`Image could not be reduced below ${Math.round(options.maxBytes / 1024)}KB`);
+}
+
+/**
+ * A processed image, ready to be written.
+ * @typedef {Object} ProcessedImage
+ * @property {Buffer} data - Image bytes
+ * @property {string} fileName - Filename (the extension may have changed)
+ * @property {{data: Buffer, fileName: string}|null} original - Unprocessed image to keep, if keepOriginal applied
+ */
+
+/**
+ * Resizes and re-encodes an image so it fits the configured limits
+ * Images that already fit and need no format change are returned untouched, without decoding them
+ * when their header gives the dimensions.
+ * Formats the codec cannot decode (SVG, ICO) are returned unchanged.
+ * @param {Buffer} data - Image bytes
+ * @param {string} fileName - Filename the image will be saved under
+ * @param {ProcessingOptions} options - Processing options
+ * @returns {Promise<ProcessedImage>} Processed image and the original to keep alongside it
+ */
+async function processImage(data, fileName, options) {
+    const unchanged = { data, fileName, original: null };
+    const sourceMimeType = mimeTypeForPath(fileName);
+    if (!sourceMimeType) {
+        return unchanged;
+    }
+
+    const outputMimeType = resolveOutputMimeType(sourceMimeType, options.outputFormat);
+
+    // Animated GIFs would lose their frames, so only touch them when they break a limit
+    const tooHeavy = data.length > options.maxBytes;
+    const formatChange = outputMimeType !== sourceMimeType &&
+        !(sourceMimeType === 'image/gif' && options.outputFormat === 'original');
+    const exceeds = ({ width, height }) => width > options.maxWidth || height > options.maxHeight;
+    const header = tooHeavy || formatChange ? null : readImageDimensions(data);
+    if (header && !exceeds(header)) {
+        return unchanged;
+    }
+
+    const image = await decodeImage(data, sourceMimeType);
+    const tooLarge = exceeds(image);
+    if (!tooLarge && !tooHeavy && !formatChange) {
+        return unchanged;
+    }
+
+    if (tooLarge) {
+        image.scaleToFit({ w: options.maxWidth, h: options.maxHeight });
+    }
+    const encoded = await encodeWithinLimit(image, outputMimeType, options);
+
+    const sourceExt = path.extname(fileName);
+    const baseName = path.basename(fileName, sourceExt);
+    return {
+        data: encoded,
+        fileName: baseName + extensionForMimeType(outputMimeType),
+        original: options.keepOriginal ? { data, fileName: `${baseName}_original${sourceExt}` } : null
+    };
+}
+
+module.exports = {
+    processImage,
+    resolveOutputMimeType
+};
@@ -0,0 +1,137 @@
+// Insertion profiles: the text sent to a terminal for pasted images
+//
+// A profile renders a template once per image, joins the results with a separator and optionally
+// presses Enter, so references can be shaped for Claude Code (@path), aider (/add path) or scripts
+// (--image path). The first profile whose terminalNamePattern matches the terminal is used.
+const path = require('path');
+const { windowsToWslPath, wslToWindowsPath } = require('./paths');
+const { quoteForShell } = require('./shell');
+
+const PATH_STYLES = ['posix', 'absolute', 'relative', 'windows'];
+
+/**
+ * How references are written into a terminal.
+ * @typedef {Object} InsertionProfile
+ * @property {string} name - Profile name (shown in errors)
+ * @property {string} [terminalNamePattern] - Regular expression for the terminals using the profile (empty = all)
+ * @property {string} template - Text per image with {path}, {relPath}, {winPath} and {name} placeholders
+ * @property {string} separator - Text between the references of several images
+ * @property {string} pathStyle - Form of {path}: 'posix', 'absolute', 'relative' or 'windows'
+ * @property {boolean} pressEnter - Submit the line after inserting it
+ */
+
+// Claude Code's "@/path/to/image.png" references, as earlier versions inserted them
+const DEFAULT_PROFILE = {
+    name: 'claude',
+    terminalNamePattern: '',
+    template: '@{path}',
+    separator: ' ',
+    pathStyle: 'posix',
+    pressEnter: false
+};
+
+/**
+ * Fills in and checks a profile from the insertionProfiles setting
+ * @param {Object} value - Profile as configured
+ * @param {number} index - Position in the setting (names unnamed profiles)
+ * @returns {InsertionProfile} Complete profile
+ * @throws {Error} For a missing template, unknown path style or invalid pattern
+ */
+function normalizeProfile(value, index) {
+    const profile = { ...DEFAULT_PROFILE, name: `profile ${index + 1}`, ...value };
+    const label = `Invalid insertion profile "${profile.name}"`;
+    if (typeof profile.template !== 'string' || !/\{(path|relPath|winPath|name)\}/.test(profile.template)) {
+        throw new Error(`${label}: template needs {path}, {relPath}, {winPath} or {name}`);
+    }
+    if (!PATH_STYLES.includes(profile.pathStyle)) {
+        throw new Error(`${label}: pathStyle must be one of ${PATH_STYLES.join(', ')}`);
+    }
+    if (profile.terminalNamePattern) {
+        try {
+            new RegExp(profile.terminalNamePattern, 'i');
+        } catch (error) {
+            throw new Error(`${label}: ${error.message}`);
+        }
+    }
+    return profile;
+}
+
+/**
+ * Picks the profile for a terminal
+ * @param {Object[]} profiles - insertionProfiles setting
+ * @param {string} terminalName - Name of the terminal receiving the references
+ * @returns {InsertionProfile} First matching profile, or the built-in Claude Code profile
+ */
+function selectInsertionProfile(profiles, terminalName) {
+    const configured = (Array.isArray(profiles) ? profiles : []).map(normalizeProfile);
+    return configured.find(profile => !profile.terminalNamePattern ||
+        new RegExp(profile.terminalNamePattern, 'i').test(terminalName)) || DEFAULT_PROFILE;
+}
+
+/**
+ * Works out the path forms an image can be inserted as
+ * @param {string} imagePath - Saved image path (Windows form on Windows, Linux form elsewhere)
+ * @param {string} platform - Current platform: 'windows', 'wsl' or 'linux'
+ * @param {string} [workspacePath] - Workspace folder the paste belongs to
+ * @returns {{posix: string, absolute: string, relative: string, windows: string}} Path forms
+ */
+function imagePathForms(imagePath, platform, workspacePath) {
+    const pathModule = platform === 'windows' ? path.win32 : path.posix;
+    const posix = platform === 'windows' ? windowsToWslPath(imagePath) : imagePath;
+
+    let windows = imagePath;
+    if (platform === 'wsl') {
+        try {
+            windows = wslToWindowsPath(imagePath);
+        } catch (error) {
+            // Distribution unknown: keep the Linux path
+        }
+    }
+
+    // Outside the workspace (or without one) the relative form falls back to the POSIX path
+    let relative = posix;
+    if (workspacePath) {
+        const fromWorkspace = pathModule.relative(workspacePath, imagePath);
+        if (fromWorkspace && !/^\.\.([\\/]|$)/.test(fromWorkspace) && !pathModule.isAbsolute(fromWorkspace)) {
+            relative = fromWorkspace.replace(/\\/g, '/');
+        }
+    }
+
+    return { posix, absolute: imagePath, relative, windows };
+}
+
+/**
+ * Builds the text inserted into a terminal for one or more images
+ * Only the placeholder values are quoted, never the template text around them, so "@{path}" gives
+ * @'/home/me/login page.png' and Claude Code still sees the "@" that starts a file reference.
+ * @param {InsertionProfile} profile - Profile to apply
+ * @param {string[]} imagePaths - Saved image paths
+ * @param {Object} context
+ * @param {string} context.platform - Current platform: 'windows', 'wsl' or 'linux'
+ * @param {string} context.shell - Shell to quote for ('none' disables quoting)
+ * @param {string} [context.workspacePath] - Workspace folder for {relPath} and the relative style
+ * @param {(imagePath: string) => string|null} [context.mapPath] - Path inside the terminal (path mappings);
+ *   when it returns one, {path} is that path whatever the pathStyle
+ * @returns {string} Text to send (without the Enter)
+ */
+function buildInsertionText(profile, imagePaths, context) {
+    const references = imagePaths.map(imagePath => {
+        const forms = imagePathForms(imagePath, context.platform, context.workspacePath);
+        const values = {
+            path: (context.mapPath && context.mapPath(imagePath)) || forms[profile.pathStyle],
+            relPath: forms.relative,
+            winPath: forms.windows,
+            name: path.basename(forms.absolute.replace(/\\/g, '/'))
+        };
+        return profile.template.replace(/\{(path|relPath|winPath|name)\}/g, (match, key) =>
+            quoteForShell(values[key], context.shell));
+    });
+    return references.join(profile.separator);
+}
+
+module.exports = {
+    PATH_STYLES,
+    DEFAULT_PROFILE,
+    selectInsertionProfile,
+    buildInsertionText
+};
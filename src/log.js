@@ -0,0 +1,68 @@
+// Extension log, written to the "Claude Image Paste" output channel
+//
+// The channel is a VS Code log output channel, so its level is set with "Developer: Set Log Level..."
+// (Info by default; Debug and Trace add provider and timing details). Until the extension activates,
+// and in scripts running outside VS Code, messages go to the console.
+
+// LogOutputChannel set in activate
+let channel = null;
+
+/**
+ * Sends log messages to an output channel (null goes back to the console)
+ * @param {import('vscode').LogOutputChannel|null} outputChannel - Channel created with { log: true }
+ */
+function setLogChannel(outputChannel) {
+    channel = outputChannel;
+}
+
+/**
+ * Shows the output channel, if there is one
+ */
+function showLog() {
+    if (channel) {
+        channel.show(true);
+    }
+}
+
+/**
+ * Writes one message
+ * @param {'trace'|'debug'|'info'|'warn'|'error'} level - Log level
+ * @param {string} message - Message text
+ */
+function write(level, message) {
+    if (channel) {
+        channel[level](message);
+    } else {
+        console.log(`[${level}] ${message}`);
+    }
+}
+
+/**
+ * Formats an error for the log, keeping the stack trace for unexpected errors
+ * @param {string} message - What failed
+ * @param {Error|string} [error] - The error
+ * @returns {string} Message text
+ */
+function describeError(message, error) {
+    if (!error) {
+        return message;
+    }
+    if (error instanceof Error) {
+        return `${message}: ${error.stack || error.message}`;
+    }
+    return `${message}: ${error}`;
+}
+
+const log = {
+    trace: message => write('trace', message),
+    debug: message => write('debug', message),
+    info: message => write('info', message),
+    warn: message => write('warn', message),
+    error: (message, error) => write('error', describeError(message, error))
+};
+
+module.exports = {
+    log,
+    setLogChannel,
+    showLog
+};
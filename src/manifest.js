@@ -0,0 +1,164 @@
+// Per-directory record of the images this extension saved (with content hashes for deduplication)
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { SUPPORTED_IMAGE_EXTENSIONS } = require('./constants');
+const { log } = require('./log');
+
+// Stored next to the images in the save directory
+const MANIFEST_FILENAME = '.claude-image-paste.json';
+const MANIFEST_VERSION = 1;
+
+/**
+ * One image saved by the extension.
+ * @typedef {Object} ManifestEntry
+ * @property {string} name - Filename within the save directory
+ * @property {string|null} hash - SHA-256 of the pasted (pre-processing) image bytes
+ * @property {number} size - Size in bytes when recorded
+ * @property {number} createdAt - Epoch milliseconds when the image was saved
+ */
+
+/**
+ * Computes the SHA-256 hash of image bytes
+ * @param {Buffer} data - Bytes to hash
+ * @returns {string} Hex digest
+ */
+function hashData(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Checks that a manifest entry names an image directly inside the save directory
+ * The manifest may come from a cloned repository, and its names end up in unlink calls.
+ * @param {*} entry - Entry as read from the manifest file
+ * @returns {boolean} True for a plain image filename such as "img_20250103_120000.png"
+ */
+function isSafeEntry(entry) {
+    const name = entry?.name;
+    return typeof name === 'string' &&
+        path.basename(name) === name &&
+        !/[/\\]/.test(name) &&
+        !name.includes('..') &&
+        SUPPORTED_IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase());
+}
+
+/**
+ * Reads the manifest of a directory
+ * A missing or corrupt manifest is treated as empty; entries that are not plain image filenames
+ * are dropped (see isSafeEntry)
+ * @param {string} directory - Save directory
+ * @returns {{version: number, images: ManifestEntry[]}} Manifest contents
+ */
+function readManifest(directory) {
+    try {
+        const manifest = JSON.parse(fs.readFileSync(path.join(directory, MANIFEST_FILENAME), 'utf8'));
+        if (manifest && Array.isArray(manifest.images)) {
+            const images = manifest.images.filter(isSafeEntry);
+            if (images.length < manifest.images.length) {
+                log.warn(`Ignoring ${manifest.images.length - images.length} manifest entries that are not image filenames in ${directory}`);
+            }
+            return { version: MANIFEST_VERSION, images };
+        }
+    } catch (error) {
+        // Missing or unreadable manifest - start fresh
+    }
+    return { version: MANIFEST_VERSION, images: [] };
+}
+
+/**
+ * Writes the manifest of a directory
+ * Failures are logged, not thrown - the manifest is an optimization, not critical data
+ * @param {string} directory - Save directory
+ * @param {{version: number, images: ManifestEntry[]}} manifest - Manifest contents
+ */
+function writeManifest(directory, manifest) {
+    try {
+        fs.writeFileSync(path.join(directory, MANIFEST_FILENAME), JSON.stringify(manifest, null, 2) + '\n');
+    } catch (error) {
+        log.warn(`Could not update image manifest: ${error.message}`);
+    }
+}
+
+/**
+ * Finds a previously saved image with the same content hash
+ * Entries whose file is gone or has changed size are dropped from the manifest.
+ * @param {string} directory - Save directory
+ * @param {string} hash - SHA-256 of the incoming image
+ * @returns {string|null} Path to the existing image, or null if none matches
+ */
+function findDuplicate(directory, hash) {
+    const manifest = readManifest(directory);
+    const matches = manifest.images.filter(entry => entry.hash === hash);
+    if (matches.length === 0) {
+        return null;
+    }
+
+    let found = null;
+    const stale = [];
+    for (const entry of matches) {
+        const filePath = path.join(directory, entry.name);
+        try {
+            if (fs.statSync(filePath).size === entry.size) {
+                found = filePath;
+                break;
+            }
+        } catch (error) {
+            // File was deleted or renamed outside the extension
+        }
+        stale.push(entry);
+    }
+
+    if (stale.length > 0) {
+        manifest.images = manifest.images.filter(entry => !stale.includes(entry));
+        writeManifest(directory, manifest);
+    }
+    return found;
+}
+
+/**
+ * Records a saved image in its directory's manifest
+ * @param {string} filePath - Final path of the saved image
+ * @param {string|null} hash - SHA-256 of the pasted image bytes (null if not hashed)
+ */
+function recordImage(filePath, hash) {
+    const directory = path.dirname(filePath);
+    const name = path.basename(filePath);
+    let size = 0;
+    try {
+        size = fs.statSync(filePath).size;
+    } catch (error) {
+        return; // Nothing to record if the file is gone
+    }
+
+    const manifest = readManifest(directory);
+    manifest.images = manifest.images.filter(entry => entry.name !== name);
+    manifest.images.push({ name, hash, size, createdAt: Date.now() });
+    writeManifest(directory, manifest);
+}
+
+/**
+ * Updates a manifest entry after its file was renamed
+ * @param {string} directory - Save directory
+ * @param {string} oldName - Previous filename
+ * @param {string} newName - New filename
+ */
+function renameImage(directory, oldName, newName) {
+    const manifest = readManifest(directory);
+    const entry = manifest.images.find(image => image.name === oldName);
+    if (!entry) {
+        return;
+    }
+    manifest.images = manifest.images.filter(image => image === entry || image.name !== newName);
+    entry.name = newName;
+    writeManifest(directory, manifest);
+}
+
+module.exports = {
+    MANIFEST_FILENAME,
+    hashData,
+    readManifest,
+    writeManifest,
+    findDuplicate,
+    recordImage,
+    renameImage
+};
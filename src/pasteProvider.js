@@ -0,0 +1,105 @@
+// DocumentPasteEditProvider so a normal Ctrl+V of an image in a document runs the paste pipeline
+const vscode = require('vscode');
+const { EXTENSION_NAME, CONFIG_SECTION } = require('./constants');
+const { createTimestampedFilename, extensionForMimeType } = require('./clipboard/common');
+const { buildEditorSnippet, DOCUMENT_LANGUAGES } = require('./snippets');
+const { log } = require('./log');
+
+// Clipboard MIME types offered to the provider, in order of preference
+const PASTE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif', 'image/bmp', 'image/svg+xml'];
+
+// What an offered edit saves once it is chosen: edit -> { image, document, platform, saving? }
+const pendingEdits = new WeakMap();
+
+/**
+ * Registers the paste edit provider when the running VS Code supports the API (1.97+)
+ * @param {vscode.ExtensionContext} context - VS Code extension context
+ * @param {Object} deps - Functions shared with the paste pipeline
+ * @param {() => string|null} deps.getPlatform - Platform detection
+ * @param {(images: import('./clipboard').ClipboardImage[], platform: string,
+ *     workspaceFolder?: vscode.WorkspaceFolder) => Promise<string[]>} deps.saveImages - Save pipeline
+ */
+function registerPasteProvider(context, deps) {
+    if (typeof vscode.languages.registerDocumentPasteEditProvider !== 'function' ||
+        !vscode.DocumentDropOrPasteEditKind) {
+        return;
+    }
+
+    const kind = vscode.DocumentDropOrPasteEditKind.Empty.append('claudeImagePaste', 'image');
+
+    // Offering the edit writes nothing: the image is saved in resolveDocumentPasteEdit, once the
+    // user has picked this edit over VS Code's built-in paste
+    const provider = {
+        async provideDocumentPasteEdits(document, ranges, dataTransfer, pasteContext, token) {
+            const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+            const platform = deps.getPlatform();
+            if (!platform || !config.get('documentPasteProvider', true)) {
+                return undefined;
+            }
+
+            // Pick the best image representation on the clipboard
+            let mimeType = null;
+            let file = null;
+            for (const type of PASTE_MIME_TYPES) {
+                file = dataTransfer.get(type)?.asFile();
+                if (file) {
+                    mimeType = type;
+                    break;
+                }
+            }
+            if (!file) {
+                return undefined;
+            }
+
+            const data = await file.data();
+            if (token.isCancellationRequested) {
+                return undefined;
+            }
+
+            const image = {
+                data: Buffer.from(data),
+                fileName: createTimestampedFilename(extensionForMimeType(mimeType))
+            };
+            const edit = new vscode.DocumentPasteEdit('', 'Insert image for Claude', kind);
+            pendingEdits.set(edit, { image, document, platform });
+            return [edit];
+        },
+
+        async resolveDocumentPasteEdit(edit, token) {
+            const pending = pendingEdits.get(edit);
+            if (!pending || (!pending.saving && token.isCancellationRequested)) {
+                return undefined;
+            }
+
+            // Save once, even if the edit is resolved again. A failed save is reported and the
+            // edit inserts nothing
+            if (!pending.saving) {
+                const { image, document, platform } = pending;
+                pending.saving = deps.saveImages([image], platform, vscode.workspace.getWorkspaceFolder(document.uri))
+                    .then(imagePaths => {
+                        const documentPath = document.isUntitled ? null : document.uri.fsPath;
+                        edit.insertText = buildEditorSnippet(document.languageId, documentPath, imagePaths);
+                        return edit;
+                    })
+                    .catch(error => {
+                        log.error('Could not save the pasted image', error);
+                        vscode.window.showErrorMessage(`${EXTENSION_NAME}: Could not save the pasted image: ${error.message}`);
+                        return edit;
+                    });
+            }
+            return pending.saving;
+        }
+    };
+
+    context.subscriptions.push(
+        vscode.languages.registerDocumentPasteEditProvider(
+            DOCUMENT_LANGUAGES.map(language => ({ language })),
+            provider,
+            { providedPasteEditKinds: [kind], pasteMimeTypes: PASTE_MIME_TYPES }
+        )
+    );
+}
+
+module.exports = {
+    registerPasteProvider
+};
@@ -0,0 +1,178 @@
+// Path mappings: rewrite saved image paths for terminals where the CLI runs somewhere else
+//
+// With `docker compose exec app claude` or `ssh host` in the integrated terminal, the saved path on
+// this machine does not exist on the other side. A mapping names a folder on this machine (hostPath)
+// and the same folder as seen from the terminal (terminalPath), such as a bind mount; it applies to
+// terminals matching its name pattern or running a process matching its process pattern.
+const fs = require('fs');
+const path = require('path');
+const { isWindowsPath, windowsToWslPath } = require('./paths');
+const { log } = require('./log');
+
+// How long to wait for a terminal's shell process id
+const PROCESS_ID_TIMEOUT_MS = 1000;
+
+// Upper bound on processes inspected per terminal
+const MAX_PROCESSES = 200;
+
+/**
+ * A folder on this machine and where a terminal sees it.
+ * @typedef {Object} PathMapping
+ * @property {string} name - Rule name (shown in errors and warnings)
+ * @property {string} [terminalNamePattern] - Regular expression for the terminals using the rule
+ * @property {string} [processPattern] - Regular expression for the command line of a process running in the terminal
+ * @property {string} hostPath - Folder on this machine (relative paths start at the workspace folder)
+ * @property {string} terminalPath - The same folder inside the container or on the SSH host
+ */
+
+/**
+ * Checks a rule from the pathMappings setting
+ * @param {Object} value - Rule as configured
+ * @param {number} index - Position in the setting (names unnamed rules)
+ * @returns {PathMapping} Rule with its name filled in
+ * @throws {Error} For missing paths, a rule without a pattern or an invalid pattern
+ */
+function normalizeMapping(value, index) {
+    const mapping = { name: `mapping ${index + 1}`, ...value };
+    const label = `Invalid path mapping "${mapping.name}"`;
+    if (typeof mapping.hostPath !== 'string' || !mapping.hostPath.trim() ||
+        typeof mapping.terminalPath !== 'string' || !mapping.terminalPath.trim()) {
+        throw new Error(`${label}: hostPath and terminalPath are required`);
+    }
+    if (!mapping.terminalNamePattern && !mapping.processPattern) {
+        throw new Error(`${label}: set terminalNamePattern or processPattern`);
+    }
+    for (const key of ['terminalNamePattern', 'processPattern']) {
+        if (mapping[key]) {
+            try {
+                new RegExp(mapping[key], 'i');
+            } catch (error) {
+                throw new Error(`${label}: ${error.message}`);
+            }
+        }
+    }
+    return mapping;
+}
+
+/**
+ * Reads the pathMappings setting
+ * @param {Object[]} mappings - pathMappings setting
+ * @returns {PathMapping[]} Checked rules, in order
+ */
+function parsePathMappings(mappings) {
+    return (Array.isArray(mappings) ? mappings : []).map(normalizeMapping);
+}
+
+/**
+ * Lists the command lines of a process and everything started below it
+ * Reads /proc, so it works wherever the terminal's processes are Linux processes (Linux, WSL,
+ * and the remote side of SSH/container windows).
+ * @param {number} rootPid - Process id of the terminal's shell
+ * @param {string} [procRoot='/proc'] - proc file system mount
+ * @returns {string[]} Command lines with arguments separated by spaces
+ */
+function listProcessTree(rootPid, procRoot = '/proc') {
+    const commandLines = [];
+    const queue = [rootPid];
+    const seen = new Set();
+    while (queue.length > 0 && seen.size < MAX_PROCESSES) {
+        const pid = queue.shift();
+        if (seen.has(pid)) {
+            continue;
+        }
+        seen.add(pid);
+        try {
+            const commandLine = fs.readFileSync(path.join(procRoot, String(pid), 'cmdline'), 'utf8')
+                .split('\0').filter(Boolean).join(' ');
+            if (commandLine) {
+                commandLines.push(commandLine);
+            }
+            for (const task of fs.readdirSync(path.join(procRoot, String(pid), 'task'))) {
+                const children = fs.readFileSync(path.join(procRoot, String(pid), 'task', task, 'children'), 'utf8');
+                queue.push(...children.split(/\s+/).filter(Boolean).map(Number));
+            }
+        } catch (error) {
+            // The process exited while walking the tree
+        }
+    }
+    return commandLines;
+}
+
+/**
+ * Lists the command lines of the processes running in a terminal
+ * @param {import('vscode').Terminal} terminal - Terminal to inspect
+ * @returns {Promise<string[]>} Command lines (empty where /proc is not available)
+ */
+async function getTerminalProcesses(terminal) {
+    if (process.platform !== 'linux') {
+        log.debug('Process detection for path mappings needs /proc; matching terminal names only');
+        return [];
+    }
+    let timer;
+    const pid = await Promise.race([
+        Promise.resolve(terminal.processId),
+        new Promise(resolve => { timer = setTimeout(resolve, PROCESS_ID_TIMEOUT_MS); })
+    ]).finally(() => clearTimeout(timer));
+    return pid ? listProcessTree(pid) : [];
+}
+
+/**
+ * Picks the rules that apply to a terminal
+ * @param {PathMapping[]} mappings - Checked rules
+ * @param {import('vscode').Terminal} terminal - Terminal receiving the references
+ * @returns {Promise<PathMapping[]>} Matching rules, in order
+ */
+async function selectPathMappings(mappings, terminal) {
+    const byName = mapping => mapping.terminalNamePattern &&
+        new RegExp(mapping.terminalNamePattern, 'i').test(terminal.name);
+    // Only look at processes when a rule asks for it and its name pattern did not already match
+    const commandLines = mappings.some(mapping => mapping.processPattern && !byName(mapping))
+        ? await getTerminalProcesses(terminal)
+        : [];
+    return mappings.filter(mapping => byName(mapping) || (mapping.processPattern &&
+        commandLines.some(commandLine => new RegExp(mapping.processPattern, 'i').test(commandLine))));
+}
+
+/**
+ * Rewrites a saved image path to where a terminal sees it
+ * @param {PathMapping[]} mappings - Rules that apply to the terminal
+ * @param {string} imagePath - Saved image path (Windows form on Windows, Linux form elsewhere)
+ * @param {Object} context
+ * @param {string} context.platform - Current platform: 'windows', 'wsl' or 'linux'
+ * @param {string} [context.workspacePath] - Workspace folder relative host paths start at
+ * @returns {string|null} Path inside the terminal, or null if no rule covers the image
+ */
+function mapImagePath(mappings, imagePath, context) {
+    const pathModule = context.platform === 'windows' ? path.win32 : path.posix;
+    for (const mapping of mappings) {
+        let hostPath = mapping.hostPath;
+        if (context.platform === 'wsl' && isWindowsPath(hostPath)) {
+            hostPath = windowsToWslPath(hostPath);
+        }
+        if (!pathModule.isAbsolute(hostPath)) {
+            if (!context.workspacePath) {
+                continue;
+            }
+            hostPath = pathModule.resolve(context.workspacePath, hostPath);
+        }
+
+        let relative = pathModule.relative(hostPath, imagePath);
+        if (context.platform === 'windows' && /^[a-z]:/i.test(relative)) {
+            continue; // Another drive
+        }
+        if (relative === '..' || relative.startsWith(`..${pathModule.sep}`) || pathModule.isAbsolute(relative)) {
+            continue;
+        }
+        relative = relative.replace(/\\/g, '/');
+        const terminalPath = mapping.terminalPath.replace(/[\\/]+$/, '');
+        return relative ? `${terminalPath}/${relative}` : terminalPath;
+    }
+    return null;
+}
+
+module.exports = {
+    parsePathMappings,
+    listProcessTree,
+    selectPathMappings,
+    mapImagePath
+};
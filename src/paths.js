@@ -0,0 +1,215 @@
+// Windows <-> WSL path translation shared by the extension and the clipboard providers
+const fs = require('fs');
+const { execFile } = require('child_process');
+const { log } = require('./log');
+
+// Where WSL mounts the Windows drives unless /etc/wsl.conf says otherwise
+const DEFAULT_AUTOMOUNT_ROOT = '/mnt/';
+const WSL_CONF_PATH = '/etc/wsl.conf';
+
+// UNC prefix for Linux files seen from Windows (\\wsl$ works on every WSL 2 build, \\wsl.localhost on newer ones)
+const DEFAULT_UNC_PREFIX = '\\\\wsl$';
+
+// Time allowed for the wslpath call
+const WSLPATH_TIMEOUT = 2000;
+
+// Automount root read from wsl.conf (cached after the first lookup)
+let automountRoot = null;
+
+// Automount root reported by wslpath (set by configurePathTranslation when useWslpath is on)
+let wslpathRoot = null;
+
+// Options of the latest configurePathTranslation call
+let currentOptions = null;
+
+/**
+ * Normalizes an automount root to "/<dir>/" form
+ * @param {string} root - Root from wsl.conf, e.g. "/windir", "/" or "/mnt/"
+ * @returns {string} Root with leading and trailing slash
+ */
+function normalizeAutomountRoot(root) {
+    const trimmed = root.trim().replace(/\/+/g, '/').replace(/^\/|\/$/g, '');
+    return trimmed ? `/${trimmed}/` : '/';
+}
+
+/**
+ * Reads the [automount] root setting from the contents of a wsl.conf file
+ * @param {string} content - wsl.conf contents
+ * @returns {string} Automount root (e.g. "/mnt/"), the default when not set
+ */
+function parseAutomountRoot(content) {
+    let section = '';
+    for (const rawLine of content.split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const sectionMatch = line.match(/^\[(.+)\]$/);
+        if (sectionMatch) {
+            section = sectionMatch[1].trim().toLowerCase();
+            continue;
+        }
+        const keyMatch = line.match(/^([^=]+)=(.*)$/);
+        if (section === 'automount' && keyMatch && keyMatch[1].trim().toLowerCase() === 'root') {
+            const value = keyMatch[2].trim().replace(/^(["'])(.*)\1$/, '$2');
+            return value ? normalizeAutomountRoot(value) : DEFAULT_AUTOMOUNT_ROOT;
+        }
+    }
+    return DEFAULT_AUTOMOUNT_ROOT;
+}
+
+/**
+ * Returns the automount root of the WSL distribution this process runs in
+ * @returns {string} Automount root: the one wslpath reported (useWslpath), else the one in wsl.conf;
+ *   "/mnt/" outside WSL or when neither is available
+ */
+function getAutomountRoot() {
+    if (wslpathRoot) {
+        return wslpathRoot;
+    }
+    if (automountRoot === null) {
+        automountRoot = DEFAULT_AUTOMOUNT_ROOT;
+        if (process.platform === 'linux') {
+            try {
+                automountRoot = parseAutomountRoot(fs.readFileSync(WSL_CONF_PATH, 'utf8'));
+            } catch (error) {
+                // No wsl.conf: the default root applies
+            }
+        }
+    }
+    return automountRoot;
+}
+
+/**
+ * Asks the wslpath tool where the Windows drives are mounted
+ * @returns {Promise<string|null>} Automount root ("/mnt/"), or null if wslpath is missing or failed
+ */
+function queryWslpathRoot() {
+    return new Promise(resolve => {
+        execFile('wslpath', ['-u', 'C:\\'], { encoding: 'utf8', timeout: WSLPATH_TIMEOUT }, (error, stdout) => {
+            const match = error ? null : stdout.trim().match(/^(\/.*?)c\/?$/i);
+            if (!match) {
+                log.debug(`wslpath failed, using the automount root from ${WSL_CONF_PATH}: ${error ? error.message : stdout.trim()}`);
+                resolve(null);
+                return;
+            }
+            resolve(normalizeAutomountRoot(match[1]));
+        });
+    });
+}
+
+/**
+ * Sets how paths are translated
+ * With useWslpath, the wslpath tool is asked once (in the background) for the automount root, so
+ * translating a path never waits for a process; until it answers, or if it fails, wsl.conf is used.
+ * @param {Object} options
+ * @param {boolean} [options.useWslpath] - Take the automount root from wslpath (inside WSL)
+ * @returns {Promise<string>} Automount root once the lookup is done
+ */
+async function configurePathTranslation(options) {
+    currentOptions = options;
+    wslpathRoot = null;
+    if (options.useWslpath && process.platform === 'linux') {
+        const root = await queryWslpathRoot();
+        // Ignore the answer if the setting changed again meanwhile
+        if (root && currentOptions === options) {
+            wslpathRoot = root;
+        }
+    }
+    return getAutomountRoot();
+}
+
+/**
+ * Checks whether a path is in Windows form (drive letter or UNC)
+ * @param {string} value - Path to check
+ * @returns {boolean} True for "C:\...", "c:/...", "\\server\share" and "\\wsl$\..." paths
+ */
+function isWindowsPath(value) {
+    return /^[a-z]:/i.test(value) || /^\\\\/.test(value);
+}
+
+/**
+ * Converts a Windows path to WSL path format for Node.js file operations
+ * - C:\Users\me (any drive letter case) -> /mnt/c/Users/me, using the automount root
+ * - \\wsl$\Ubuntu\home\me and \\wsl.localhost\Ubuntu\home\me -> /home/me
+ * - \\?\ long path prefixes are removed
+ * - Network shares (\\server\share\dir) have no WSL path; they become //server/share/dir
+ * @param {string} winPath - Windows path (e.g., "C:\Users\...")
+ * @param {Object} [options] - Overrides for the environment (used by tests)
+ * @param {string} [options.automountRoot] - Automount root instead of getAutomountRoot()
+ * @param {string} [options.distroName] - Current distribution instead of $WSL_DISTRO_NAME
+ * @returns {string} WSL path (e.g., "/mnt/c/Users/..."); the input itself for another distribution's files
+ */
+function windowsToWslPath(winPath, options = {}) {
+    const root = options.automountRoot !== undefined ? normalizeAutomountRoot(options.automountRoot) : getAutomountRoot();
+    const value = winPath.replace(/^\\\\\?\\UNC\\/i, '\\\\').replace(/^\\\\\?\\/, '');
+
+    // Files of a WSL distribution seen from Windows
+    const wslShare = value.match(/^[\\/]{2}(?:wsl\$|wsl\.localhost)[\\/]([^\\/]+)(.*)$/i);
+    if (wslShare) {
+        const distroName = options.distroName ?? process.env.WSL_DISTRO_NAME;
+        if (distroName && distroName.toLowerCase() !== wslShare[1].toLowerCase()) {
+            // Another distribution's files cannot be reached by path from here
+            return winPath;
+        }
+        return wslShare[2].replace(/\\/g, '/') || '/';
+    }
+
+    // Drive letter paths, including mapped network drives
+    const drive = value.match(/^([a-z]):(.*)$/i);
+    if (drive) {
+        const rest = drive[2].replace(/\\/g, '/').replace(/^\/+/, '');
+        return `${root}${drive[1].toLowerCase()}${rest ? '/' + rest : ''}`;
+    }
+
+    return value.replace(/\\/g, '/');
+}
+
+/**
+ * Converts a WSL path to Windows path format
+ * - /mnt/c/Users/me -> C:\Users\me, using the automount root
+ * - Other Linux paths (/home/me) -> \\wsl$\<distro>\home\me
+ * - //server/share/dir -> \\server\share\dir
+ * @param {string} wslPath - WSL path (e.g., "/mnt/c/Users/...")
+ * @param {Object} [options] - Overrides for the environment (used by tests)
+ * @param {string} [options.automountRoot] - Automount root instead of getAutomountRoot()
+ * @param {string} [options.distroName] - Current distribution instead of $WSL_DISTRO_NAME
+ * @param {string} [options.uncPrefix] - "\\wsl$" (default) or "\\wsl.localhost"
+ * @returns {string} Windows path (e.g., "C:\Users\...")
+ * @throws {Error} For Linux paths outside the Windows drives when the distribution is unknown
+ */
+function wslToWindowsPath(wslPath, options = {}) {
+    const root = options.automountRoot !== undefined ? normalizeAutomountRoot(options.automountRoot) : getAutomountRoot();
+
+    // Windows drives under the automount root
+    if (wslPath.startsWith(root)) {
+        const drive = wslPath.slice(root.length).match(/^([a-z])(\/.*)?$/i);
+        if (drive) {
+            return `${drive[1].toUpperCase()}:${(drive[2] || '/').replace(/\//g, '\\')}`;
+        }
+    }
+
+    // Network shares
+    if (/^\/\/[^/]/.test(wslPath)) {
+        return wslPath.replace(/\//g, '\\');
+    }
+
+    // Everything else lives inside the distribution
+    if (wslPath.startsWith('/')) {
+        const distroName = options.distroName ?? process.env.WSL_DISTRO_NAME;
+        if (!distroName) {
+            throw new Error(`Cannot translate ${wslPath} to a Windows path: WSL distribution unknown`);
+        }
+        const prefix = options.uncPrefix || DEFAULT_UNC_PREFIX;
+        return `${prefix}\\${distroName}${wslPath.replace(/\//g, '\\')}`;
+    }
+
+    return wslPath.replace(/\//g, '\\');
+}
+
+module.exports = {
+    DEFAULT_AUTOMOUNT_ROOT,
+    parseAutomountRoot,
+    getAutomountRoot,
+    configurePathTranslation,
+    isWindowsPath,
+    windowsToWslPath,
+    wslToWindowsPath
+};
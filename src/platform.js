@@ -0,0 +1,55 @@
+// Detecting which clipboard and path rules apply: native Windows, WSL or a Linux desktop
+const fs = require('fs');
+const { getAutomountRoot } = require('./paths');
+
+/**
+ * Determines the current platform and how it was recognized
+ * Uses multiple detection methods for robustness
+ * @returns {{platform: string|null, method: string}} Platform ('windows' for native Windows, 'wsl' for
+ *   Windows Subsystem for Linux, 'linux' for a native Linux desktop, or null if unsupported) and the
+ *   detection method that decided it
+ */
+function detectPlatform() {
+    // Check if running on native Windows
+    if (process.platform === 'win32') {
+        return { platform: 'windows', method: 'process.platform is win32' };
+    }
+
+    // Check if running on WSL (Linux with Windows integration)
+    if (process.platform === 'linux') {
+        // Method 1: Check for WSL environment variable (most reliable)
+        if (process.env.WSL_DISTRO_NAME || process.env.WSLENV) {
+            return { platform: 'wsl', method: 'WSL_DISTRO_NAME/WSLENV environment variable' };
+        }
+
+        // Method 2: Check for WSL interop file
+        if (fs.existsSync('/proc/sys/fs/binfmt_misc/WSLInterop')) {
+            return { platform: 'wsl', method: 'WSL interop file' };
+        }
+
+        // Method 3: Fallback - check for Windows mount point (honouring a custom automount root)
+        const windowsDirectory = `${getAutomountRoot()}c/Windows`;
+        if (fs.existsSync(windowsDirectory)) {
+            return { platform: 'wsl', method: `Windows mount point ${windowsDirectory}` };
+        }
+
+        // Native Linux desktop (X11 or Wayland clipboard providers)
+        return { platform: 'linux', method: 'no WSL markers found' };
+    }
+
+    // Unsupported platform (e.g., macOS)
+    return { platform: null, method: `unsupported process.platform ${process.platform}` };
+}
+
+/**
+ * Determines the current platform and checks compatibility
+ * @returns {string|null} 'windows', 'wsl', 'linux', or null if unsupported
+ */
+function getPlatform() {
+    return detectPlatform().platform;
+}
+
+module.exports = {
+    detectPlatform,
+    getPlatform
+};
@@ -0,0 +1,123 @@
+// Carries clipboard contents from the UI side (the machine running the VS Code window) to the
+// workspace side (the SSH host, dev container or codespace running this extension)
+//
+// Under Remote-SSH, Dev Containers and Codespaces the extension runs next to the files, far from the
+// clipboard. The companion extension (ui/) runs on the user's machine and answers one command;
+// arguments and results cross the extension hosts as JSON, so image bytes travel as base64 with
+// their length and SHA-256 and are verified on arrival.
+const crypto = require('crypto');
+
+// The companion extension and the command it registers
+const UI_EXTENSION_ID = 'melon-hub.claude-code-image-paste-ui';
+const UI_CLIPBOARD_COMMAND = 'claude-image-paste-ui.clipboard';
+
+// Remote windows where the clipboard is out of reach (WSL windows read the Windows clipboard directly)
+const LOCAL_CLIPBOARD_REMOTES = ['wsl'];
+
+/**
+ * Checks whether a window's clipboard is on another machine than this extension
+ * @param {string|undefined} remoteName - vscode.env.remoteName ('ssh-remote', 'dev-container', 'codespaces', ...)
+ * @returns {boolean} True for remote windows other than WSL
+ */
+function isRemoteClipboardWindow(remoteName) {
+    return Boolean(remoteName) && !LOCAL_CLIPBOARD_REMOTES.includes(remoteName);
+}
+
+/**
+ * A request sent to the UI side.
+ * @typedef {Object} ClipboardRequest
+ * @property {'read'|'targets'|'token'} method - Read the images, list the formats, or read the change token
+ * @property {number} [maxFiles] - Maximum number of copied files to take ('read')
+ */
+
+/**
+ * Moves clipboard contents between the two sides. Tests pass an object with the same methods.
+ * @typedef {Object} ClipboardTransport
+ * @property {() => boolean} isRemote - Whether the window's clipboard is on another machine
+ * @property {() => Promise<boolean>} isAvailable - Whether the UI side can be reached
+ * @property {(maxFiles: number) => Promise<import('../clipboard').ClipboardResult>} readClipboard - Reads
+ *   the clipboard image(s) on the UI side
+ * @property {() => Promise<string[]>} listTargets - Clipboard formats on the UI side
+ * @property {() => Promise<string|null>} readChangeToken - Value that changes with the UI-side clipboard
+ */
+
+/**
+ * Prepares a clipboard read for the trip to the workspace side
+ * @param {import('../clipboard').ClipboardResult} result - Images read on the UI side
+ * @returns {{images: Array<{data: string, length: number, sha256: string, fileName: string, sourceName?: string}>,
+ *   skipped: string[]}}
+ *   JSON-safe payload
+ */
+function encodeClipboardResult(result) {
+    return {
+        images: result.images.map(image => ({
+            data: image.data.toString('base64'),
+            length: image.data.length,
+            sha256: crypto.createHash('sha256').update(image.data).digest('hex'),
+            fileName: image.fileName,
+            sourceName: image.sourceName
+        })),
+        skipped: result.skipped
+    };
+}
+
+/**
+ * Restores a clipboard read on the workspace side, checking every image arrived intact
+ * @param {Object} payload - Result of encodeClipboardResult
+ * @returns {import('../clipboard').ClipboardResult} Images and skipped file names
+ * @throws {Error} If the payload is malformed or an image does not match its length or hash
+ */
+function decodeClipboardResult(payload) {
+    if (!payload || !Array.isArray(payload.images)) {
+        throw new Error('The UI-side clipboard reader sent an invalid response');
+    }
+    const images = payload.images.map(image => {
+        const data = Buffer.from(String(image.data), 'base64');
+        const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+        if (data.length !== image.length || sha256 !== image.sha256) {
+            throw new Error('Clipboard image was corrupted in transfer. Please try again.');
+        }
+        const decoded = { data, fileName: String(image.fileName) };
+        if (typeof image.sourceName === 'string' && image.sourceName) {
+            decoded.sourceName = image.sourceName;
+        }
+        return decoded;
+    });
+    return { images, skipped: Array.isArray(payload.skipped) ? payload.skipped.map(String) : [] };
+}
+
+/**
+ * Creates the transport that calls the companion extension through a VS Code command
+ * VS Code activates the companion on the first call and routes the command to the UI extension host.
+ * @param {Object} api
+ * @param {typeof import('vscode').commands} api.commands - vscode.commands
+ * @param {typeof import('vscode').extensions} api.extensions - vscode.extensions (lists both hosts' extensions)
+ * @param {string|undefined} api.remoteName - vscode.env.remoteName
+ * @returns {ClipboardTransport} Transport (unavailable in local and WSL windows)
+ */
+function createCommandTransport({ commands, extensions, remoteName }) {
+    const call = request => commands.executeCommand(UI_CLIPBOARD_COMMAND, request);
+    return {
+        isRemote: () => isRemoteClipboardWindow(remoteName),
+        isAvailable: async () => isRemoteClipboardWindow(remoteName) &&
+            Boolean(extensions.getExtension(UI_EXTENSION_ID)),
+        readClipboard: async maxFiles => decodeClipboardResult(await call({ method: 'read', maxFiles })),
+        listTargets: async () => {
+            const targets = await call({ method: 'targets' });
+            return Array.isArray(targets) ? targets.map(String) : [];
+        },
+        readChangeToken: async () => {
+            const token = await call({ method: 'token' });
+            return token === null || token === undefined ? null : String(token);
+        }
+    };
+}
+
+module.exports = {
+    UI_EXTENSION_ID,
+    UI_CLIPBOARD_COMMAND,
+    isRemoteClipboardWindow,
+    encodeClipboardResult,
+    decodeClipboardResult,
+    createCommandTransport
+};
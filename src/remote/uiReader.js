@@ -0,0 +1,56 @@
+// UI side of remote clipboard access: run by the companion extension on the machine showing the
+// VS Code window, where the clipboard is
+const vscode = require('vscode');
+const { CONFIG_SECTION } = require('../constants');
+const { getPlatform } = require('../platform');
+const { resolveProvider } = require('../clipboard');
+const { MAX_CLIPBOARD_BYTES } = require('../clipboard/common');
+const { UI_CLIPBOARD_COMMAND, encodeClipboardResult } = require('./transport');
+
+/**
+ * Answers one request from the workspace side
+ * @param {import('./transport').ClipboardRequest} request - What to read
+ * @returns {Promise<Object|string[]|string|null>} Encoded images, format list or change token
+ */
+async function handleClipboardRequest(request = {}) {
+    const platform = getPlatform();
+    if (!platform) {
+        throw new Error('Clipboard access is only supported on Windows, WSL and Linux');
+    }
+    const preference = vscode.workspace.getConfiguration(CONFIG_SECTION).get('clipboardProvider', 'auto');
+    // "remote" means this reader, so the UI side picks its own local provider
+    const provider = await resolveProvider(platform, preference === 'remote' ? 'auto' : preference);
+    const context = { platform };
+
+    switch (request.method) {
+        case 'targets':
+            return provider.listTargets(context);
+        case 'token':
+            return provider.readChangeToken ? provider.readChangeToken(context) : null;
+        case 'read': {
+            const maxFiles = Math.min(50, Math.max(1, Math.floor(Number(request.maxFiles) || 1)));
+            const result = await provider.readImage({ platform, maxFiles });
+            if (result.images.some(image => image.data.length > MAX_CLIPBOARD_BYTES)) {
+                throw new Error(`Clipboard image is larger than ${MAX_CLIPBOARD_BYTES / (1024 * 1024)} MB.`);
+            }
+            return encodeClipboardResult(result);
+        }
+        default:
+            throw new Error(`Unknown clipboard request: ${request.method}`);
+    }
+}
+
+/**
+ * Registers the command the workspace side calls to read this machine's clipboard
+ * @param {vscode.ExtensionContext} context - Extension context of the companion extension
+ */
+function registerUiClipboardReader(context) {
+    context.subscriptions.push(
+        vscode.commands.registerCommand(UI_CLIPBOARD_COMMAND, handleClipboardRequest)
+    );
+}
+
+module.exports = {
+    handleClipboardRequest,
+    registerUiClipboardReader
+};
@@ -0,0 +1,71 @@
+// Workspace side of remote clipboard access: writes the received images through vscode.workspace.fs,
+// which reaches the remote machine's (or container's) file system
+const crypto = require('crypto');
+const vscode = require('vscode');
+const { log } = require('../log');
+
+// Names tried before giving up ("name.png", "name_2.png", ... "name_1000.png")
+const MAX_NAME_ATTEMPTS = 1000;
+
+/**
+ * Checks whether an error says the target file already exists
+ * @param {Error & {code?: string}} error - Error from the file system
+ * @returns {boolean} True for vscode.FileSystemError.FileExists (or EEXIST from a Node-style double)
+ */
+function isFileExists(error) {
+    return error.code === 'FileExists' || error.code === 'EEXIST';
+}
+
+/**
+ * Writes image bytes into a directory on the workspace side, never overwriting an existing file
+ * The bytes go to a hidden temporary file first, which is then renamed without overwriting; a
+ * name taken in the meantime (another window, a sync tool) moves on to the next counter instead of
+ * replacing that file.
+ * @param {vscode.Uri} directory - Save directory (created if missing)
+ * @param {string} fileName - Desired filename ("name_2.png", "name_3.png", ... if it is taken)
+ * @param {Uint8Array} data - Image bytes
+ * @param {vscode.FileSystem} [fileSystem=vscode.workspace.fs] - File system to write through
+ * @returns {Promise<vscode.Uri>} URI of the written file
+ */
+async function writeWorkspaceImage(directory, fileName, data, fileSystem = vscode.workspace.fs) {
+    if (fileName.includes('/') || fileName.includes('\\') || fileName.includes('..')) {
+        throw new Error('Invalid filename detected');
+    }
+
+    const dot = fileName.lastIndexOf('.');
+    const baseName = dot > 0 ? fileName.slice(0, dot) : fileName;
+    const extension = dot > 0 ? fileName.slice(dot) : '';
+    const temporary = vscode.Uri.joinPath(directory, `.${crypto.randomBytes(6).toString('hex')}.tmp`);
+    let written = false;
+    try {
+        await fileSystem.createDirectory(directory);
+        await fileSystem.writeFile(temporary, data);
+        written = true;
+        for (let counter = 1; ; counter++) {
+            const target = vscode.Uri.joinPath(directory,
+                counter === 1 ? fileName : `${baseName}_${counter}${extension}`);
+            try {
+                await fileSystem.rename(temporary, target, { overwrite: false });
+                return target;
+            } catch (error) {
+                if (!isFileExists(error) || counter >= MAX_NAME_ATTEMPTS) {
+                    throw error;
+                }
+            }
+        }
+    } catch (error) {
+        log.error(`Could not write ${fileName} through the workspace file system`, error);
+        if (written) {
+            await Promise.resolve(fileSystem.delete(temporary)).catch(() => {});
+        }
+        // Provide user-friendly error messages (sanitized)
+        if (error.code === 'NoPermissions') {
+            throw new Error('Permission denied when saving image');
+        }
+        throw new Error('Failed to save image');
+    }
+}
+
+module.exports = {
+    writeWorkspaceImage
+};
@@ -0,0 +1,160 @@
+// Retention policies for images saved by the extension (only files listed in the manifest are touched)
+const fs = require('fs');
+const path = require('path');
+const { readManifest, writeManifest } = require('./manifest');
+const { log } = require('./log');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} RetentionPolicy
+ * @property {number} maxImages - Maximum number of images to keep (0 = unlimited)
+ * @property {number} maxAgeDays - Delete images last used more than this many days ago (0 = unlimited)
+ * @property {number} maxTotalMegabytes - Maximum combined size of kept images (0 = unlimited)
+ */
+
+/**
+ * An image the extension saved, with its current file stats.
+ * @typedef {Object} TrackedImage
+ * @property {string} name - Filename
+ * @property {string} path - Full path
+ * @property {number} size - Size in bytes
+ * @property {number} mtime - Last modified/used time (epoch ms)
+ */
+
+/**
+ * Lists the images recorded in a directory's manifest that still exist
+ * Entries for files that disappeared are pruned from the manifest.
+ * @param {string} directory - Save directory
+ * @returns {TrackedImage[]} Tracked images, newest first
+ */
+function listTrackedImages(directory) {
+    const manifest = readManifest(directory);
+    const images = [];
+    const missing = [];
+
+    for (const entry of manifest.images) {
+        const filePath = path.join(directory, entry.name);
+        try {
+            const stats = fs.statSync(filePath);
+            images.push({ name: entry.name, path: filePath, size: stats.size, mtime: stats.mtime.getTime() });
+        } catch (error) {
+            missing.push(entry.name);
+        }
+    }
+
+    if (missing.length > 0) {
+        manifest.images = manifest.images.filter(entry => !missing.includes(entry.name));
+        writeManifest(directory, manifest);
+    }
+
+    return images.sort((a, b) => b.mtime - a.mtime);
+}
+
+/**
+ * Decides which tracked images violate the retention policy
+ * @param {TrackedImage[]} images - Tracked images, newest first
+ * @param {RetentionPolicy} policy - Limits to apply
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - Current time (epoch ms)
+ * @param {string[]} [options.keep=[]] - Filenames that must not be deleted (e.g. the current paste)
+ * @returns {{image: TrackedImage, reason: string}[]} Images to delete and why
+ */
+function planCleanup(images, policy, options = {}) {
+    const now = options.now || Date.now();
+    const keep = options.keep || [];
+    const maxBytes = policy.maxTotalMegabytes > 0 ? policy.maxTotalMegabytes * 1024 * 1024 : Infinity;
+    const maxImages = policy.maxImages > 0 ? policy.maxImages : Infinity;
+    const maxAge = policy.maxAgeDays > 0 ? policy.maxAgeDays * DAY_MS : Infinity;
+
+    const plan = [];
+    let keptCount = 0;
+    let keptBytes = 0;
+
+    // Images from the current paste count toward the limits but are never deleted
+    for (const image of images) {
+        if (keep.includes(image.name)) {
+            keptCount++;
+            keptBytes += image.size;
+        }
+    }
+
+    for (const image of images) {
+        if (keep.includes(image.name)) {
+            continue;
+        }
+
+        let reason = null;
+        if (now - image.mtime > maxAge) {
+            reason = `older than ${policy.maxAgeDays} day(s)`;
+        } else if (keptCount >= maxImages) {
+            reason = `more than ${policy.maxImages} images`;
+        } else if (keptBytes + image.size > maxBytes) {
+            reason = `over ${policy.maxTotalMegabytes}MB total`;
+        }
+
+        if (reason) {
+            plan.push({ image, reason });
+        } else {
+            keptCount++;
+            keptBytes += image.size;
+        }
+    }
+
+    return plan;
+}
+
+/**
+ * Deletes tracked images and removes them from the manifest
+ * Handles errors gracefully for individual files
+ * @param {string} directory - Save directory
+ * @param {TrackedImage[]} images - Images to delete
+ * @returns {number} Number of files deleted
+ */
+function deleteTrackedImages(directory, images) {
+    const deleted = [];
+    for (const image of images) {
+        try {
+            fs.unlinkSync(image.path);
+            deleted.push(image.name);
+            log.info(`Deleted pasted image: ${image.name}`);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                deleted.push(image.name);
+            } else {
+                log.warn(`Failed to delete ${image.name}: ${error.message}`);
+            }
+        }
+    }
+
+    if (deleted.length > 0) {
+        const manifest = readManifest(directory);
+        manifest.images = manifest.images.filter(entry => !deleted.includes(entry.name));
+        writeManifest(directory, manifest);
+    }
+    return deleted.length;
+}
+
+/**
+ * Applies the retention policy to a save directory
+ * @param {string} directory - Save directory
+ * @param {RetentionPolicy} policy - Limits to apply
+ * @param {string[]} [keep=[]] - Filenames that must not be deleted
+ * @returns {number} Number of files deleted
+ */
+function applyRetention(directory, policy, keep = []) {
+    try {
+        const plan = planCleanup(listTrackedImages(directory), policy, { keep });
+        return deleteTrackedImages(directory, plan.map(item => item.image));
+    } catch (error) {
+        log.warn(`Could not cleanup old images: ${error.message}`);
+        return 0;
+    }
+}
+
+module.exports = {
+    listTrackedImages,
+    planCleanup,
+    deleteTrackedImages,
+    applyRetention
+};
@@ -0,0 +1,98 @@
+// Shell detection and quoting for text sent to terminals
+const path = require('path');
+
+// Shells with their own quoting rules ('sh' and other POSIX shells are quoted like bash)
+const SHELLS = ['bash', 'zsh', 'fish', 'powershell', 'cmd'];
+
+// Words that need no quoting (backslashes are only literal in PowerShell and cmd)
+const SAFE_WORD = /^[\w@%+=:,./-]+$/;
+const SAFE_WINDOWS_WORD = /^[\w@%+=:,./\\-]+$/;
+
+/**
+ * Maps a shell name, executable path or terminal title to a supported shell
+ * @param {string|undefined} value - e.g. "pwsh", "/usr/bin/fish", "C:\\Windows\\System32\\cmd.exe", "Ubuntu (WSL)"
+ * @returns {string|null} 'bash', 'zsh', 'fish', 'powershell', 'cmd', or null if unknown
+ */
+function normalizeShellName(value) {
+    if (!value || typeof value !== 'string') {
+        return null;
+    }
+    const name = path.win32.basename(value).toLowerCase().replace(/\.exe$/, '');
+    if (/\b(pwsh|powershell)\b/.test(name)) {
+        return 'powershell';
+    }
+    if (/\b(cmd|command prompt)\b/.test(name)) {
+        return 'cmd';
+    }
+    if (/\bfish\b/.test(name)) {
+        return 'fish';
+    }
+    if (/\bzsh\b/.test(name)) {
+        return 'zsh';
+    }
+    if (/\b(bash|sh|dash|ksh|wsl|ubuntu|debian)\b/.test(name)) {
+        return 'bash';
+    }
+    return null;
+}
+
+/**
+ * Works out which shell runs in a terminal
+ * Uses the shell reported by shell integration, then the shell the terminal was created with,
+ * then the terminal name, and finally the platform default.
+ * @param {import('vscode').Terminal} terminal - Target terminal
+ * @param {string} platform - Current platform: 'windows', 'wsl' or 'linux'
+ * @returns {string} 'bash', 'zsh', 'fish', 'powershell' or 'cmd'
+ */
+function detectShell(terminal, platform) {
+    const candidates = [
+        terminal.state?.shell,
+        terminal.creationOptions?.shellPath,
+        terminal.name
+    ];
+    for (const candidate of candidates) {
+        const shell = normalizeShellName(candidate);
+        if (shell) {
+            return shell;
+        }
+    }
+    if (platform === 'windows') {
+        return 'powershell';
+    }
+    return normalizeShellName(process.env.SHELL) || 'bash';
+}
+
+/**
+ * Quotes a word so the given shell passes it through unchanged
+ * Words made only of safe characters are returned as they are. Quote the path alone, not a
+ * prefix such as Claude Code's "@", which has to stay outside the quotes.
+ * @param {string} word - Text to quote (e.g. "/home/me/login page.png")
+ * @param {string} shell - 'bash', 'zsh', 'fish', 'powershell', 'cmd' or 'none'
+ * @returns {string} Quoted word
+ */
+function quoteForShell(word, shell) {
+    const windowsShell = shell === 'powershell' || shell === 'cmd';
+    if (shell === 'none' || (windowsShell ? SAFE_WINDOWS_WORD : SAFE_WORD).test(word)) {
+        return word;
+    }
+    switch (shell) {
+        case 'fish':
+            // Inside single quotes fish only treats \\ and \' specially
+            return `'${word.replace(/[\\']/g, '\\$&')}'`;
+        case 'powershell':
+            // PowerShell also accepts typographic single quotes, so double those as well
+            return `'${word.replace(/['\u2018\u2019\u201A\u201B]/g, '$&$&')}'`;
+        case 'cmd':
+            // Windows paths cannot contain double quotes
+            return `"${word.replace(/"/g, '')}"`;
+        default:
+            return `'${word.replace(/'/g, '\'\\\'\'')}'`;
+    }
+}
+
+module.exports = {
+    SHELLS,
+    normalizeShellName,
+    detectShell,
+    quoteForShell
+};
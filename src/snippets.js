@@ -0,0 +1,110 @@
+// Language-aware text inserted into editors for pasted images
+const path = require('path');
+
+// Languages that get a Markdown image link
+const MARKDOWN_LANGUAGES = ['markdown', 'mdx', 'quarto', 'rmd'];
+
+// Languages that get an HTML <img> tag
+const HTML_LANGUAGES = ['html', 'vue', 'svelte', 'astro', 'php', 'erb', 'handlebars', 'razor'];
+
+// Languages where the snippet is inserted in "documents" mode (others keep pasting into the terminal)
+const DOCUMENT_LANGUAGES = [...MARKDOWN_LANGUAGES, ...HTML_LANGUAGES, 'plaintext'];
+
+/**
+ * Builds a path to the image relative to the document, with forward slashes
+ * Falls back to the absolute path for untitled documents or images on another drive.
+ * @param {string} imagePath - Image path
+ * @param {string|null} documentPath - Path of the document, null if untitled
+ * @returns {string} Relative (or absolute) path using "/" separators
+ */
+function relativeImagePath(imagePath, documentPath) {
+    if (!documentPath) {
+        return imagePath.replace(/\\/g, '/');
+    }
+    const relative = path.relative(path.dirname(documentPath), imagePath);
+    if (!relative || path.isAbsolute(relative)) {
+        return imagePath.replace(/\\/g, '/');
+    }
+    return relative.replace(/\\/g, '/');
+}
+
+/**
+ * Escapes text for use inside an HTML attribute
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtmlAttribute(value) {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Returns the snippet style used for a language
+ * @param {string} languageId - VS Code language id
+ * @returns {'markdown'|'html'|'reference'} Snippet style
+ */
+function snippetStyleForLanguage(languageId) {
+    if (MARKDOWN_LANGUAGES.includes(languageId)) {
+        return 'markdown';
+    }
+    if (HTML_LANGUAGES.includes(languageId)) {
+        return 'html';
+    }
+    return 'reference';
+}
+
+/**
+ * Builds the text to insert into a document for one or more images
+ * - Markdown: ![name](relative/path.png)
+ * - HTML: <img src="relative/path.png" alt="name">
+ * - Anything else: @relative/path.png references
+ * @param {string} languageId - VS Code language id of the document
+ * @param {string|null} documentPath - Path of the document, null if untitled
+ * @param {string[]} imagePaths - Saved image paths
+ * @returns {string} Text to insert
+ */
+function buildEditorSnippet(languageId, documentPath, imagePaths) {
+    const style = snippetStyleForLanguage(languageId);
+
+    const snippets = imagePaths.map(imagePath => {
+        const relative = relativeImagePath(imagePath, documentPath);
+        const name = path.basename(imagePath, path.extname(imagePath));
+        if (style === 'markdown') {
+            // Angle brackets keep paths with spaces or parentheses intact
+            const target = /[\s()<>]/.test(relative) ? `<${relative.replace(/[<>]/g, encodeURIComponent)}>` : relative;
+            return `![${name.replace(/[[\]]/g, '\\$&')}](${target})`;
+        }
+        if (style === 'html') {
+            return `<img src="${escapeHtmlAttribute(relative)}" alt="${escapeHtmlAttribute(name)}">`;
+        }
+        const reference = /^(\.{1,2}\/|\/|[A-Za-z]:\/)/.test(relative) ? relative : `./${relative}`;
+        return `@${reference}`;
+    });
+
+    return snippets.join(style === 'reference' ? ' ' : '\n');
+}
+
+/**
+ * Whether the paste command should insert into an editor of this language
+ * @param {string} languageId - VS Code language id
+ * @param {string} mode - insertIntoEditor setting: 'documents', 'always' or 'never'
+ * @returns {boolean} True if the editor should receive the snippet
+ */
+function shouldInsertIntoEditor(languageId, mode) {
+    if (mode === 'always') {
+        return true;
+    }
+    if (mode === 'never') {
+        return false;
+    }
+    return DOCUMENT_LANGUAGES.includes(languageId);
+}
+
+module.exports = {
+    DOCUMENT_LANGUAGES,
+    buildEditorSnippet,
+    shouldInsertIntoEditor
+};
@@ -0,0 +1,223 @@
+// Choosing the terminal that receives the image references
+const vscode = require('vscode');
+const { EXTENSION_NAME, CONFIG_SECTION } = require('./constants');
+
+// workspaceState key holding the name of the remembered terminal
+const PREFERRED_TERMINAL_KEY = 'preferredTerminalName';
+
+// Set in registerTerminalSelection
+let workspaceState = null;
+
+// Terminal picked in this session (matched by name after a reload)
+let preferredTerminal = null;
+
+/**
+ * Returns the terminals that are still running
+ * @returns {vscode.Terminal[]} Open terminals
+ */
+function getOpenTerminals() {
+    return vscode.window.terminals.filter(terminal => !terminal.exitStatus);
+}
+
+/**
+ * Checks whether any terminal could receive the references
+ * @returns {boolean} True if at least one terminal is open
+ */
+function hasOpenTerminals() {
+    return getOpenTerminals().length > 0;
+}
+
+/**
+ * Looks up an open terminal by its exact name
+ * @param {string} name - Terminal name
+ * @returns {vscode.Terminal|undefined} The terminal, the active one if several share the name
+ */
+function findTerminalByName(name) {
+    const named = getOpenTerminals().filter(terminal => terminal.name === name);
+    return named.find(terminal => terminal === vscode.window.activeTerminal) || named[0];
+}
+
+/**
+ * Reads the terminalNamePattern setting
+ * @returns {RegExp|null} Case-insensitive pattern, or null if not set
+ */
+function getNamePattern() {
+    const pattern = vscode.workspace.getConfiguration(CONFIG_SECTION).get('terminalNamePattern', '');
+    if (!pattern) {
+        return null;
+    }
+    try {
+        return new RegExp(pattern, 'i');
+    } catch (error) {
+        throw new Error(`Invalid terminalNamePattern "${pattern}": ${error.message}`);
+    }
+}
+
+/**
+ * Finds the remembered terminal among the open ones
+ * @param {vscode.Terminal[]} terminals - Open terminals
+ * @returns {vscode.Terminal|null} Remembered terminal, or null if it is not open
+ */
+function findPreferredTerminal(terminals) {
+    if (preferredTerminal && terminals.includes(preferredTerminal)) {
+        return preferredTerminal;
+    }
+    const name = workspaceState?.get(PREFERRED_TERMINAL_KEY);
+    if (name) {
+        const named = terminals.filter(terminal => terminal.name === name);
+        if (named.length === 1) {
+            return named[0];
+        }
+    }
+    return null;
+}
+
+/**
+ * Remembers a terminal as the target for future pastes (null forgets it)
+ * @param {vscode.Terminal|null} terminal - Terminal to remember
+ */
+function rememberTerminal(terminal) {
+    preferredTerminal = terminal;
+    workspaceState?.update(PREFERRED_TERMINAL_KEY, terminal ? terminal.name : undefined);
+}
+
+/**
+ * Asks which terminal to use for this paste
+ * Only the pin button ("Always use this terminal") remembers the answer for later pastes.
+ * @param {vscode.Terminal[]} terminals - Terminals to choose from
+ * @returns {Promise<vscode.Terminal|undefined>} Chosen terminal, undefined if cancelled
+ */
+function promptForTerminal(terminals) {
+    const alwaysUseButton = {
+        iconPath: new vscode.ThemeIcon('pin'),
+        tooltip: 'Always use this terminal'
+    };
+    const quickPick = vscode.window.createQuickPick();
+    quickPick.placeholder = 'Which terminal should receive the image references? (pin one to always use it)';
+    quickPick.items = terminals.map(terminal => ({
+        label: `$(terminal) ${terminal.name}`,
+        description: terminal === vscode.window.activeTerminal ? 'active' : '',
+        buttons: [alwaysUseButton],
+        terminal
+    }));
+
+    return new Promise(resolve => {
+        let chosen;
+        quickPick.onDidAccept(() => {
+            chosen = quickPick.selectedItems[0]?.terminal;
+            quickPick.hide();
+        });
+        quickPick.onDidTriggerItemButton(event => {
+            chosen = event.item.terminal;
+            rememberTerminal(chosen);
+            quickPick.hide();
+        });
+        quickPick.onDidHide(() => {
+            quickPick.dispose();
+            resolve(chosen);
+        });
+        quickPick.show();
+    });
+}
+
+/**
+ * Picks the terminal that receives the references
+ * Order: the remembered terminal, the only terminal matching terminalNamePattern, the active
+ * terminal (if it matches), then a quick pick when several terminals are still possible.
+ * @returns {Promise<vscode.Terminal|undefined>} Target terminal, undefined if none is open or the pick was cancelled
+ */
+async function pickTerminal() {
+    const terminals = getOpenTerminals();
+    if (terminals.length === 0) {
+        return undefined;
+    }
+
+    const preferred = findPreferredTerminal(terminals);
+    if (preferred) {
+        return preferred;
+    }
+
+    // Narrow down by name; without any match every terminal stays a candidate
+    let candidates = terminals;
+    const pattern = getNamePattern();
+    if (pattern) {
+        const matching = terminals.filter(terminal => pattern.test(terminal.name));
+        if (matching.length > 0) {
+            candidates = matching;
+        }
+    }
+
+    if (candidates.length === 1) {
+        return candidates[0];
+    }
+    const activeTerminal = vscode.window.activeTerminal;
+    if (activeTerminal && candidates.includes(activeTerminal)) {
+        return activeTerminal;
+    }
+    return promptForTerminal(candidates);
+}
+
+/**
+ * "Select terminal for images" command
+ * Remembers the chosen terminal, or goes back to the automatic choice
+ */
+async function selectTerminal() {
+    const terminals = getOpenTerminals();
+    const current = findPreferredTerminal(terminals);
+    const items = terminals.map(terminal => ({
+        label: `$(terminal) ${terminal.name}`,
+        description: terminal === current ? 'selected' : (terminal === vscode.window.activeTerminal ? 'active' : ''),
+        terminal
+    }));
+    items.push({
+        label: '$(circle-slash) Choose automatically',
+        description: current ? '' : 'selected',
+        detail: 'Use the terminal matching terminalNamePattern, else the active terminal',
+        terminal: null
+    });
+
+    const picked = await vscode.window.showQuickPick(items, {
+        placeHolder: 'Which terminal should receive pasted image references?'
+    });
+    if (!picked) {
+        return;
+    }
+    rememberTerminal(picked.terminal);
+    vscode.window.setStatusBarMessage(picked.terminal
+        ? `${EXTENSION_NAME}: Images go to "${picked.terminal.name}"`
+        : `${EXTENSION_NAME}: Images go to the automatically chosen terminal`, 5000);
+}
+
+/**
+ * "Forget remembered terminal" command
+ * Goes back to the automatic choice (and asking when it is ambiguous)
+ */
+function forgetTerminal() {
+    rememberTerminal(null);
+    vscode.window.setStatusBarMessage(`${EXTENSION_NAME}: Images go to the automatically chosen terminal`, 5000);
+}
+
+/**
+ * Registers the terminal selection commands and remembers choices in the workspace state
+ * @param {vscode.ExtensionContext} context - Extension context
+ */
+function registerTerminalSelection(context) {
+    workspaceState = context.workspaceState;
+    context.subscriptions.push(
+        vscode.commands.registerCommand('claude-image-paste.selectTerminal', selectTerminal),
+        vscode.commands.registerCommand('claude-image-paste.forgetTerminal', forgetTerminal),
+        vscode.window.onDidCloseTerminal(terminal => {
+            // Keep the remembered name so a reopened terminal with the same name is used again
+            if (terminal === preferredTerminal) {
+                preferredTerminal = null;
+            }
+        })
+    );
+}
+
+module.exports = {
+    hasOpenTerminals,
+    findTerminalByName,
+    pickTerminal,
+    registerTerminalSelection
+};
@@ -0,0 +1,17 @@
+// Small formatting helpers shared by the extension modules
+
+/**
+ * Formats a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size like "512KB" or "3.4MB"
+ */
+function formatSize(bytes) {
+    if (bytes >= 1024 * 1024) {
+        return `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
+    }
+    return `${Math.round(bytes / 1024)}KB`;
+}
+
+module.exports = {
+    formatSize
+};
@@ -0,0 +1,337 @@
+// Clipboard watch mode: every new clipboard image is saved and queued, then inserted in one go
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const { EXTENSION_NAME, CONFIG_SECTION } = require('./constants');
+const { resolveProvider } = require('./clipboard');
+const { PathQueue, ClipboardChanges } = require('./watchState');
+const { log } = require('./log');
+
+// Bounds of the watchInterval setting, in milliseconds
+const MIN_INTERVAL = 250;
+const MAX_INTERVAL = 10000;
+
+/**
+ * Tree item for one queued image
+ */
+class QueuedImageItem extends vscode.TreeItem {
+    /**
+     * @param {string} imagePath - Saved image path
+     * @param {number} index - Position in the queue
+     */
+    constructor(imagePath, index) {
+        super(path.basename(imagePath), vscode.TreeItemCollapsibleState.None);
+        this.imagePath = imagePath;
+
+        const uri = vscode.Uri.file(imagePath);
+        this.resourceUri = uri;
+        this.iconPath = uri;
+        this.description = `#${index + 1}`;
+        this.tooltip = imagePath;
+        this.contextValue = 'queuedImage';
+        this.command = { command: 'vscode.open', title: 'Open Image', arguments: [uri] };
+    }
+}
+
+/**
+ * Ordered list of saved images waiting to be inserted, kept per workspace
+ * Also the tree data provider of the Image Queue view.
+ */
+class ImageQueue extends PathQueue {
+    /**
+     * @param {vscode.Memento} workspaceState - Storage for the queue
+     */
+    constructor(workspaceState) {
+        super(workspaceState);
+        this.changeEmitter = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this.changeEmitter.event;
+    }
+
+    /**
+     * Persists the queue and refreshes the view
+     */
+    save() {
+        super.save();
+        this.changeEmitter.fire();
+    }
+
+    /**
+     * @param {QueuedImageItem} item - Tree item
+     * @returns {QueuedImageItem} The same item
+     */
+    getTreeItem(item) {
+        return item;
+    }
+
+    /**
+     * @returns {QueuedImageItem[]} One item per queued image, in insert order
+     */
+    getChildren() {
+        return this.paths.map((imagePath, index) => new QueuedImageItem(imagePath, index));
+    }
+
+    dispose() {
+        this.changeEmitter.dispose();
+    }
+}
+
+/**
+ * Polls the clipboard and queues every image that was not seen before (see ClipboardChanges)
+ */
+class ClipboardWatcher {
+    /**
+     * @param {ImageQueue} queue - Queue receiving the saved images
+     * @param {Object} deps - Functions shared with the paste pipeline
+     * @param {() => string|null} deps.getPlatform - Platform detection
+     * @param {(images: import('./clipboard').ClipboardImage[], platform: string) => Promise<string[]>} deps.saveImages -
+     *   Save pipeline (no rename prompt)
+     */
+    constructor(queue, deps) {
+        this.queue = queue;
+        this.deps = deps;
+        this.watching = false;
+        this.timer = null;
+        // Incremented on every start/stop so a poll still running from an earlier session ends quietly
+        this.session = 0;
+        this.provider = null;
+        this.platform = null;
+        this.changes = new ClipboardChanges();
+
+        this.statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 100);
+        this.statusBarItem.command = 'claude-image-paste.watchMenu';
+        this.queueListener = queue.onDidChangeTreeData(() => this.updateStatus());
+        this.updateStatus();
+    }
+
+    /**
+     * Starts watching with the configured clipboard provider
+     */
+    async start() {
+        if (this.watching) {
+            return;
+        }
+        const platform = this.deps.getPlatform();
+        if (!platform) {
+            vscode.window.showErrorMessage(`${EXTENSION_NAME}: Only supported on Windows, WSL and Linux environments`);
+            return;
+        }
+        try {
+            const preference = vscode.workspace.getConfiguration(CONFIG_SECTION).get('clipboardProvider', 'auto');
+            this.provider = await resolveProvider(platform, preference);
+        } catch (error) {
+            vscode.window.showErrorMessage(`${EXTENSION_NAME}: ${error.message}`);
+            return;
+        }
+
+        this.platform = platform;
+        this.watching = true;
+        this.session++;
+        // The image already on the clipboard when watching starts is not queued
+        this.changes.reset();
+        this.updateStatus();
+        this.schedule(0);
+    }
+
+    /**
+     * Stops watching (the queue is kept)
+     */
+    stop() {
+        this.watching = false;
+        this.session++;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.updateStatus();
+    }
+
+    /**
+     * Schedules the next poll
+     * @param {number} delay - Milliseconds to wait
+     */
+    schedule(delay) {
+        const session = this.session;
+        this.timer = setTimeout(() => this.poll(session), delay);
+    }
+
+    /**
+     * Runs one check and schedules the next (polls never overlap)
+     * @param {number} session - Watch session the poll belongs to
+     */
+    async poll(session) {
+        try {
+            await this.check(session);
+        } catch (error) {
+            // The clipboard is often briefly locked by the app writing to it; try again next time
+            log.debug(`Clipboard watch check failed: ${error.message}`);
+        }
+        if (session !== this.session) {
+            return;
+        }
+
+        if (this.watching) {
+            const interval = vscode.workspace.getConfiguration(CONFIG_SECTION).get('watchInterval', 1000);
+            this.schedule(Math.min(MAX_INTERVAL, Math.max(MIN_INTERVAL, interval)));
+        }
+    }
+
+    /**
+     * Reads the clipboard if it changed and queues the images not seen before
+     * @param {number} session - Watch session the check belongs to
+     */
+    async check(session) {
+        const maxFiles = Math.min(50, Math.max(1,
+            vscode.workspace.getConfiguration(CONFIG_SECTION).get('maxFilesPerPaste', 10)));
+        const newImages = await this.changes.read(this.provider, { platform: this.platform, maxFiles },
+            () => session === this.session);
+        if (newImages.length === 0) {
+            return;
+        }
+
+        try {
+            this.queue.add(await this.deps.saveImages(newImages, this.platform));
+        } catch (error) {
+            vscode.window.showErrorMessage(`${EXTENSION_NAME}: Could not save a watched image: ${error.message}`);
+        }
+    }
+
+    /**
+     * Shows the watch state and queue length in the status bar
+     */
+    updateStatus() {
+        const count = this.queue.getPaths().length;
+        if (!this.watching && count === 0) {
+            this.statusBarItem.hide();
+            return;
+        }
+        this.statusBarItem.text = `${this.watching ? '$(eye)' : '$(eye-closed)'} ${count}`;
+        this.statusBarItem.tooltip = `${EXTENSION_NAME}: ${this.watching ? 'watching the clipboard' : 'not watching'}, ` +
+            `${count} image(s) queued. Click for actions.`;
+        this.statusBarItem.show();
+    }
+
+    dispose() {
+        this.stop();
+        this.queueListener.dispose();
+        this.statusBarItem.dispose();
+    }
+}
+
+/**
+ * Registers watch mode: the Image Queue view, the status bar item and their commands
+ * @param {vscode.ExtensionContext} context - VS Code extension context
+ * @param {Object} deps - Functions shared with the paste pipeline
+ * @param {() => string|null} deps.getPlatform - Platform detection
+ * @param {(images: import('./clipboard').ClipboardImage[], platform: string) => Promise<string[]>} deps.saveImages -
+ *   Save pipeline (no rename prompt)
+ * @param {(imagePaths: string[]) => Promise<boolean>} deps.insertReferences - Sends @path references to a
+ *   terminal; resolves to false if no terminal was chosen
+ * @returns {ClipboardWatcher} The watcher
+ */
+function registerClipboardWatch(context, deps) {
+    const queue = new ImageQueue(context.workspaceState);
+    const watcher = new ClipboardWatcher(queue, deps);
+    const treeView = vscode.window.createTreeView('claudeImagePaste.queue', {
+        treeDataProvider: queue,
+        canSelectMany: true
+    });
+
+    /**
+     * Resolves the queued paths a command applies to (clicked item, multi-selection or current selection)
+     * @param {QueuedImageItem} [item] - Item the command was invoked on
+     * @param {QueuedImageItem[]} [selected] - All selected items (multi-select)
+     * @returns {string[]} Paths to act on
+     */
+    const targetPaths = (item, selected) => {
+        const items = selected && selected.length > 0 ? selected : (item ? [item] : [...treeView.selection]);
+        return items.map(target => target.imagePath);
+    };
+
+    const insertQueued = async () => {
+        const imagePaths = queue.getPaths().filter(imagePath => fs.existsSync(imagePath));
+        if (imagePaths.length === 0) {
+            queue.clear();
+            vscode.window.showInformationMessage(`${EXTENSION_NAME}: No images queued`);
+            return;
+        }
+        if (await deps.insertReferences(imagePaths)) {
+            queue.clear();
+        }
+    };
+
+    const editQueue = async () => {
+        const items = queue.getPaths().map(imagePath => ({
+            label: path.basename(imagePath),
+            description: path.dirname(imagePath),
+            imagePath,
+            picked: true
+        }));
+        if (items.length === 0) {
+            vscode.window.showInformationMessage(`${EXTENSION_NAME}: No images queued`);
+            return;
+        }
+        const picked = await vscode.window.showQuickPick(items, {
+            canPickMany: true,
+            placeHolder: 'Uncheck images to remove them from the queue'
+        });
+        if (picked) {
+            queue.replace(picked.map(item => item.imagePath));
+        }
+    };
+
+    context.subscriptions.push(
+        treeView,
+        queue,
+        watcher,
+
+        vscode.commands.registerCommand('claude-image-paste.toggleWatch', () =>
+            watcher.watching ? watcher.stop() : watcher.start()),
+        vscode.commands.registerCommand('claude-image-paste.insertQueued', insertQueued),
+        vscode.commands.registerCommand('claude-image-paste.editQueue', editQueue),
+        vscode.commands.registerCommand('claude-image-paste.clearQueue', () => queue.clear()),
+
+        vscode.commands.registerCommand('claude-image-paste.queue.remove', (item, selected) =>
+            queue.remove(targetPaths(item, selected))),
+        vscode.commands.registerCommand('claude-image-paste.queue.moveUp', (item) => {
+            const [imagePath] = targetPaths(item);
+            if (imagePath) {
+                queue.move(imagePath, -1);
+            }
+        }),
+        vscode.commands.registerCommand('claude-image-paste.queue.moveDown', (item) => {
+            const [imagePath] = targetPaths(item);
+            if (imagePath) {
+                queue.move(imagePath, 1);
+            }
+        }),
+
+        // Status bar item menu
+        vscode.commands.registerCommand('claude-image-paste.watchMenu', async () => {
+            const count = queue.getPaths().length;
+            const actions = [
+                { label: `$(terminal) Insert queued images (${count})`, command: 'claude-image-paste.insertQueued' },
+                { label: '$(edit) Edit queue...', command: 'claude-image-paste.editQueue' },
+                { label: '$(clear-all) Clear queue', command: 'claude-image-paste.clearQueue' },
+                watcher.watching
+                    ? { label: '$(eye-closed) Stop watching the clipboard', command: 'claude-image-paste.toggleWatch' }
+                    : { label: '$(eye) Start watching the clipboard', command: 'claude-image-paste.toggleWatch' }
+            ];
+            const picked = await vscode.window.showQuickPick(actions, { placeHolder: `${EXTENSION_NAME}: Clipboard watch` });
+            if (picked) {
+                await vscode.commands.executeCommand(picked.command);
+            }
+        }),
+
+        // A different clipboard provider applies from the next start
+        vscode.workspace.onDidChangeConfiguration(async event => {
+            if (watcher.watching && event.affectsConfiguration(`${CONFIG_SECTION}.clipboardProvider`)) {
+                watcher.stop();
+                await watcher.start();
+            }
+        })
+    );
+
+    return watcher;
+}
+
+module.exports = {
+    registerClipboardWatch
+};
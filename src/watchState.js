@@ -0,0 +1,180 @@
+// Clipboard watch state kept apart from the VS Code views: the order of the image queue and which
+// clipboard images are new
+const fs = require('fs');
+const { pickBestImageType } = require('./clipboard/common');
+const { hashData } = require('./manifest');
+
+// workspaceState key holding the queued image paths
+const QUEUE_KEY = 'imageQueue';
+
+// Hashes of clipboard images remembered per watch session; the oldest are forgotten first
+const MAX_SEEN_HASHES = 500;
+
+/**
+ * Ordered list of saved image paths, persisted in a Memento
+ */
+class PathQueue {
+    /**
+     * @param {import('vscode').Memento} workspaceState - Storage for the queue
+     */
+    constructor(workspaceState) {
+        this.workspaceState = workspaceState;
+        // Images deleted since they were queued are dropped
+        this.paths = (workspaceState.get(QUEUE_KEY) || []).filter(imagePath => fs.existsSync(imagePath));
+    }
+
+    /**
+     * @returns {string[]} Queued image paths, oldest first
+     */
+    getPaths() {
+        return [...this.paths];
+    }
+
+    /**
+     * Appends images that are not queued yet
+     * @param {string[]} imagePaths - Saved image paths
+     */
+    add(imagePaths) {
+        for (const imagePath of imagePaths) {
+            if (!this.paths.includes(imagePath)) {
+                this.paths.push(imagePath);
+            }
+        }
+        this.save();
+    }
+
+    /**
+     * Removes images from the queue (the files are kept)
+     * @param {string[]} imagePaths - Paths to remove
+     */
+    remove(imagePaths) {
+        this.paths = this.paths.filter(imagePath => !imagePaths.includes(imagePath));
+        this.save();
+    }
+
+    /**
+     * Moves an image up or down the queue
+     * @param {string} imagePath - Queued path
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    move(imagePath, offset) {
+        const index = this.paths.indexOf(imagePath);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= this.paths.length) {
+            return;
+        }
+        [this.paths[index], this.paths[target]] = [this.paths[target], this.paths[index]];
+        this.save();
+    }
+
+    /**
+     * Replaces the whole queue
+     * @param {string[]} imagePaths - New queue contents, in order
+     */
+    replace(imagePaths) {
+        this.paths = [...imagePaths];
+        this.save();
+    }
+
+    /**
+     * Empties the queue
+     */
+    clear() {
+        this.replace([]);
+    }
+
+    /**
+     * Persists the queue
+     */
+    save() {
+        this.workspaceState.update(QUEUE_KEY, this.paths);
+    }
+}
+
+/**
+ * Tells which clipboard images are new since watching started
+ * The provider's change token (the Windows clipboard sequence number) is checked first, so
+ * the image is only read when the clipboard changed; providers without one are read on every
+ * check while an image is on the clipboard. New images are recognized by their SHA-256 hash.
+ */
+class ClipboardChanges {
+    /**
+     * @param {number} [maxSeenHashes=MAX_SEEN_HASHES] - How many image hashes to remember
+     */
+    constructor(maxSeenHashes = MAX_SEEN_HASHES) {
+        this.maxSeenHashes = maxSeenHashes;
+        this.reset();
+    }
+
+    /**
+     * Forgets everything seen, for a new watch session
+     */
+    reset() {
+        this.lastToken = undefined;
+        // Insertion order is the order last seen, oldest first
+        this.seenHashes = new Set();
+        // The image already on the clipboard when watching starts is not new
+        this.isFirstCheck = true;
+    }
+
+    /**
+     * Remembers an image hash, forgetting the oldest beyond the limit
+     * @param {string} hash - SHA-256 of the image
+     * @returns {boolean} True if the hash was not remembered yet
+     */
+    see(hash) {
+        const seen = this.seenHashes.delete(hash);
+        this.seenHashes.add(hash);
+        if (this.seenHashes.size > this.maxSeenHashes) {
+            this.seenHashes.delete(this.seenHashes.values().next().value);
+        }
+        return !seen;
+    }
+
+    /**
+     * Reads the clipboard if it changed and returns the images not seen before
+     * @param {import('./clipboard').ClipboardProvider} provider - Clipboard provider
+     * @param {{platform: string, maxFiles: number}} context - Provider context
+     * @param {() => boolean} [isCurrent] - False once the watch session this check belongs to has ended
+     * @returns {Promise<import('./clipboard').ClipboardImage[]>} New images (empty on the first read)
+     * @throws {Error} When the clipboard could not be read (often briefly locked); the change is retried
+     */
+    async read(provider, context, isCurrent = () => true) {
+        const token = provider.readChangeToken ? await provider.readChangeToken(context) : null;
+        if (token !== null && token === this.lastToken) {
+            return [];
+        }
+
+        let targets;
+        try {
+            targets = await provider.listTargets(context);
+        } catch (error) {
+            // Clipboard tools exit non-zero when the clipboard is empty
+            targets = [];
+        }
+        // Only image data counts: copied files and text are left for a manual paste
+        if (!pickBestImageType(targets)) {
+            this.lastToken = token;
+            this.isFirstCheck = false;
+            return [];
+        }
+
+        // The token is only remembered once the read succeeded, so a locked clipboard is retried
+        const { images } = await provider.readImage(context);
+        if (!isCurrent()) {
+            return [];
+        }
+        this.lastToken = token;
+        // Until a read succeeds, the image that was on the clipboard at the start is still unknown
+        const isFirstCheck = this.isFirstCheck;
+        this.isFirstCheck = false;
+        const newImages = images.filter(image => this.see(hashData(image.data)));
+        return isFirstCheck ? [] : newImages;
+    }
+}
+
+module.exports = {
+    MAX_SEEN_HASHES,
+    PathQueue,
+    ClipboardChanges
+};
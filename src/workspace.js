@@ -0,0 +1,73 @@
+// Picking the workspace folder a paste belongs to (multi-root workspaces)
+const vscode = require('vscode');
+const { wslToWindowsPath } = require('./paths');
+
+/**
+ * Returns the current working directory of a terminal
+ * Prefers the live cwd reported by shell integration over the cwd the terminal was created with.
+ * @param {vscode.Terminal} terminal - Terminal to inspect
+ * @returns {string|null} Directory path, or null if unknown
+ */
+function getTerminalCwd(terminal) {
+    const cwd = terminal.shellIntegration?.cwd || terminal.creationOptions?.cwd;
+    if (!cwd) {
+        return null;
+    }
+    return typeof cwd === 'string' ? cwd : cwd.fsPath;
+}
+
+/**
+ * Finds the workspace folder containing a path
+ * On Windows, WSL paths (from a WSL terminal) are translated first.
+ * @param {string} fsPath - File or directory path
+ * @param {string} platform - Current platform: 'windows', 'wsl' or 'linux'
+ * @returns {vscode.WorkspaceFolder|undefined} Innermost folder containing the path
+ */
+function folderForPath(fsPath, platform) {
+    let localPath = fsPath;
+    if (platform === 'windows' && fsPath.startsWith('/')) {
+        try {
+            localPath = wslToWindowsPath(fsPath);
+        } catch (error) {
+            return undefined; // Linux path of an unknown distribution
+        }
+    }
+    return vscode.workspace.getWorkspaceFolder(vscode.Uri.file(localPath));
+}
+
+/**
+ * Resolves the workspace folder a paste belongs to
+ * Order: the folder containing the terminal's cwd, the folder of the editor's document,
+ * then the first workspace folder.
+ * @param {Object} target - Where the references go
+ * @param {vscode.Terminal} [target.terminal] - Target terminal
+ * @param {vscode.TextEditor} [target.editor] - Target editor (or the active editor as a fallback)
+ * @param {string} platform - Current platform: 'windows', 'wsl' or 'linux'
+ * @returns {vscode.WorkspaceFolder|undefined} Workspace folder, undefined if no folder is open
+ */
+function resolveWorkspaceFolder(target, platform) {
+    const folders = vscode.workspace.workspaceFolders;
+    if (!folders || folders.length === 0) {
+        return undefined;
+    }
+    if (folders.length === 1) {
+        return folders[0];
+    }
+
+    const cwd = target.terminal ? getTerminalCwd(target.terminal) : null;
+    const terminalFolder = cwd ? folderForPath(cwd, platform) : undefined;
+    if (terminalFolder) {
+        return terminalFolder;
+    }
+
+    const editor = target.editor || vscode.window.activeTextEditor;
+    const editorFolder = editor && !editor.document.isUntitled
+        ? vscode.workspace.getWorkspaceFolder(editor.document.uri)
+        : undefined;
+    return editorFolder || folders[0];
+}
+
+module.exports = {
+    getTerminalCwd,
+    resolveWorkspaceFolder
+};
@@ -0,0 +1,179 @@
+// Filename templates (src/filename.js): tokens, {counter} collisions and the filename checks
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    DEFAULT_FILENAME_TEMPLATE,
+    formatDate,
+    sanitizeTokenValue,
+    renderFilenameTemplate,
+    usesCounter,
+    validateFilename,
+    resolveImageFilename
+} = require('../src/filename');
+
+// 2025-01-03 09:05:07.042, local time
+const DATE = new Date(2025, 0, 3, 9, 5, 7, 42);
+const HASH = 'a3f5c2e9d1b4'.padEnd(64, '0');
+const values = fields => ({ date: DATE, hash: HASH, ext: 'png', ...fields });
+
+/**
+ * Creates a scratch directory removed when the test ends
+ * @param {import('node:test').TestContext} t - Test context
+ * @param {string[]} [files=[]] - Files to create in it
+ * @returns {string} The directory
+ */
+function createDirectory(t, files = []) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'filename-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    for (const file of files) {
+        fs.writeFileSync(path.join(directory, file), '');
+    }
+    return directory;
+}
+
+test('renderFilenameTemplate tokens', async t => {
+    const table = [
+        [DEFAULT_FILENAME_TEMPLATE, {}, 'img_20250103_090507.png'],
+        ['{date}_{time}', {}, '20250103_090507.png'],
+        ['{date:YYYY-MM-DD}_{time:HH.mm.ss.SSS}', {}, '2025-01-03_09.05.07.042.png'],
+        ['{date:YY}{date:MM}', {}, '2501.png'],
+        ['shot_{counter}', {}, 'shot_1.png'],
+        ['shot_{counter:3}', { counter: 12 }, 'shot_012.png'],
+        ['shot_{counter:2}', { counter: 123 }, 'shot_123.png'],
+        ['{hash}', {}, 'a3f5c2e9.png'],
+        ['{hash:4}', {}, 'a3f5.png'],
+        ['{hash:0}', {}, 'a.png'],
+        ['{workspace}_{gitBranch}', { workspace: 'my app', gitBranch: 'feature/login' }, 'my-app_feature-login.png'],
+        ['{terminalName}', { terminalName: 'Claude: "review"' }, 'Claude-review.png'],
+        ['{gitBranch}', {}, '.png'],
+        ['{date}.{ext}', { ext: 'jpg' }, '20250103.jpg'],
+        ['{ext}-{date}.{ext}', {}, 'png-20250103.png'],
+        ['no tokens', {}, 'no tokens.png']
+    ];
+    for (const [template, fields, expected] of table) {
+        await t.test(template, () => assert.equal(renderFilenameTemplate(template, values(fields)), expected));
+    }
+});
+
+test('renderFilenameTemplate rejects unknown tokens and bad arguments', async t => {
+    const table = [
+        ['{user}', /Unknown token \{user\}/],
+        ['{Date}', /Unknown token \{Date\}/],
+        ['{counter:x}', /\{counter:x\} needs a number/],
+        ['{counter:123}', /\{counter:123\} needs a number/],
+        ['{hash:-1}', /\{hash:-1\} needs a number/]
+    ];
+    for (const [template, expected] of table) {
+        await t.test(template, () => assert.throws(() => renderFilenameTemplate(template, values({})), expected));
+    }
+});
+
+test('formatDate keeps other characters', () => {
+    assert.equal(formatDate(DATE, 'DD/MM/YYYY at HHh'), '03/01/2025 at 09h');
+});
+
+test('sanitizeTokenValue', async t => {
+    const table = [
+        ['feature/login', 'feature-login'],
+        ['fix\\windows path', 'fix-windows-path'],
+        ['a<b>c:d"e|f?g*h', 'a-b-c-d-e-f-g-h'],
+        ['  spaced   out  ', 'spaced-out'],
+        ['..hidden.', 'hidden'],
+        ['--a--b--', 'a-b'],
+        ['tab\there\nnewline', 'tab-here-newline'],
+        ['', ''],
+        [undefined, '']
+    ];
+    for (const [value, expected] of table) {
+        await t.test(String(value), () => assert.equal(sanitizeTokenValue(value), expected));
+    }
+});
+
+test('usesCounter', () => {
+    assert.equal(usesCounter('shot_{counter}'), true);
+    assert.equal(usesCounter('shot_{counter:3}'), true);
+    assert.equal(usesCounter(DEFAULT_FILENAME_TEMPLATE), false);
+    assert.equal(usesCounter('counter'), false);
+});
+
+test('validateFilename', async t => {
+    const table = [
+        ['shot.png', null],
+        ['login page.JPG', null],
+        ['img_1.webp', null],
+        ['', /cannot be empty/],
+        ['   ', /cannot be empty/],
+        ['../shot.png', /path separators/],
+        ['shots\\a.png', /path separators/],
+        ['a:b.png', /invalid characters/],
+        ['a?.png', /invalid characters/],
+        ['CON.png', /reserved system names/],
+        ['lpt1.png', /reserved system names/],
+        ['CONSOLE.png', null],
+        [' shot.png', /start or end with spaces or dots/],
+        ['.shot.png', /start or end with spaces or dots/],
+        ['shot.png.', /start or end with spaces or dots/],
+        [`${'a'.repeat(252)}.png`, /too long/],
+        [`${'a'.repeat(251)}.png`, null],
+        ['shot', /valid image extension \(\.png recommended\)/],
+        ['shot.txt', /valid image extension/]
+    ];
+    for (const [value, expected] of table) {
+        await t.test(JSON.stringify(value.length > 20 ? `${value.slice(0, 8)}...(${value.length})` : value), () => {
+            const problem = validateFilename(value, '.png');
+            if (expected) {
+                assert.match(problem, expected);
+            } else {
+                assert.equal(problem, null);
+            }
+        });
+    }
+});
+
+test('resolveImageFilename takes the lowest free {counter}', async t => {
+    const table = [
+        ['empty directory', 'shot_{counter}', [], 'shot_1.png'],
+        ['first names taken', 'shot_{counter}', ['shot_1.png', 'shot_2.png'], 'shot_3.png'],
+        ['a gap is reused', 'shot_{counter}', ['shot_1.png', 'shot_3.png'], 'shot_2.png'],
+        ['padded', 'shot_{counter:3}', ['shot_001.png'], 'shot_002.png'],
+        ['other extensions do not collide', 'shot_{counter}', ['shot_1.jpg'], 'shot_1.png'],
+        ['counter in the middle', '{date}_{counter}_bug', ['20250103_1_bug.png'], '20250103_2_bug.png']
+    ];
+    for (const [name, template, files, expected] of table) {
+        await t.test(name, () => assert.equal(resolveImageFilename(template, createDirectory(t, files), values({})), expected));
+    }
+
+    await t.test('without {counter} a taken name is returned for the writer to suffix', () => {
+        const directory = createDirectory(t, ['img_20250103_090507.png']);
+        assert.equal(resolveImageFilename(DEFAULT_FILENAME_TEMPLATE, directory, values({})), 'img_20250103_090507.png');
+    });
+
+    await t.test('a missing directory counts as empty', () => {
+        assert.equal(resolveImageFilename('shot_{counter}', path.join(os.tmpdir(), 'filename-missing', 'x'), values({})),
+            'shot_1.png');
+    });
+});
+
+test('resolveImageFilename rejects templates giving invalid names', async t => {
+    const table = [
+        ['{gitBranch}', { gitBranch: 'main' }, null],
+        ['{user}', {}, /Invalid filenameTemplate: Unknown token \{user\}$/],
+        ['shots/{date}', {}, /Invalid filenameTemplate: File name cannot contain path separators \("shots\/20250103\.png"\)$/],
+        ['{gitBranch}', {}, /Invalid filenameTemplate: File name cannot start or end with spaces or dots \("\.png"\)$/],
+        ['CON', {}, /reserved system names/],
+        ['shot.{ext}', { ext: 'txt' }, /valid image extension \(\.txt recommended\)/]
+    ];
+    for (const [template, fields, expected] of table) {
+        await t.test(template, () => {
+            const directory = createDirectory(t);
+            if (expected) {
+                assert.throws(() => resolveImageFilename(template, directory, values(fields)), expected);
+            } else {
+                assert.equal(resolveImageFilename(template, directory, values(fields)), 'main.png');
+            }
+        });
+    }
+});
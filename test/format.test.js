@@ -0,0 +1,237 @@
+// Format detection from magic bytes (src/image/format.js) and conversion to a Claude-readable format
+// (src/image/convert.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { detectImageFormat, readImageDimensions, formatForExtension, isClaudeReadable } = require('../src/image/format');
+const { ensureSupportedFormat } = require('../src/image/convert');
+
+const PNG = fs.readFileSync(path.join(__dirname, 'fixtures', 'images', 'photo.png'));
+const JPEG = fs.readFileSync(path.join(__dirname, 'fixtures', 'images', 'photo.jpg'));
+const WEBP = fs.readFileSync(path.join(__dirname, 'fixtures', 'images', 'photo.webp'));
+const GIF = Buffer.from('R0lGODlhAQABAIAAAP///wAAACH5BAEAAAAALAAAAAABAAEAAAICRAEAOw==', 'base64');
+const TIFF = Buffer.from('4d4d002a00000008', 'hex');
+const SVG = Buffer.from('<?xml version="1.0"?>\n<!-- logo -->\n<svg xmlns="http://www.w3.org/2000/svg" width="12" height="4px"><rect width="12" height="4"/></svg>');
+
+/**
+ * Builds a 24-bit BMP filled with one colour
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels (negative for a top-down bitmap)
+ * @returns {Buffer} BMP file
+ */
+function bmp(width, height) {
+    const rowSize = Math.ceil(width * 3 / 4) * 4;
+    const data = Buffer.alloc(54 + rowSize * Math.abs(height), 0x80);
+    data.write('BM', 0, 'latin1');
+    data.writeUInt32LE(data.length, 2);
+    data.writeUInt32LE(0, 6);
+    data.writeUInt32LE(54, 10);
+    data.writeUInt32LE(40, 14);
+    data.writeInt32LE(width, 18);
+    data.writeInt32LE(height, 22);
+    data.writeUInt16LE(1, 26);
+    data.writeUInt16LE(24, 28);
+    data.writeUInt32LE(0, 30);
+    data.writeUInt32LE(rowSize * Math.abs(height), 34);
+    data.fill(0, 38, 54);
+    return data;
+}
+
+/**
+ * Builds an ICO file from its images
+ * @param {Array<{width: number, height: number, bitCount: number, data: Buffer}>} images - Entries
+ * @returns {Buffer} ICO file
+ */
+function ico(images) {
+    const header = Buffer.alloc(6 + images.length * 16);
+    header.writeUInt16LE(1, 2);
+    header.writeUInt16LE(images.length, 4);
+    let offset = header.length;
+    images.forEach((image, index) => {
+        const entry = 6 + index * 16;
+        header[entry] = image.width % 256;
+        header[entry + 1] = image.height % 256;
+        header.writeUInt16LE(1, entry + 4);
+        header.writeUInt16LE(image.bitCount, entry + 6);
+        header.writeUInt32LE(image.data.length, entry + 8);
+        header.writeUInt32LE(offset, entry + 12);
+        offset += image.data.length;
+    });
+    return Buffer.concat([header, ...images.map(image => image.data)]);
+}
+
+/**
+ * Builds the DIB of a 32-bit icon image filled with one colour
+ * @param {number} size - Width and height in pixels
+ * @returns {Buffer} BITMAPINFOHEADER, pixels and AND mask
+ */
+function iconDib(size) {
+    const header = Buffer.alloc(40);
+    header.writeUInt32LE(40, 0);
+    header.writeInt32LE(size, 4);
+    header.writeInt32LE(size * 2, 8);
+    header.writeUInt16LE(1, 12);
+    header.writeUInt16LE(32, 14);
+    const pixels = Buffer.alloc(size * size * 4, 0xFF);
+    const mask = Buffer.alloc(Math.ceil(size / 32) * 4 * size);
+    return Buffer.concat([header, pixels, mask]);
+}
+
+/**
+ * Builds the start of a WebP file with one image chunk
+ * @param {string} fourCC - 'VP8 ' or 'VP8L'
+ * @param {Buffer} payload - Start of the chunk payload
+ * @returns {Buffer} WebP header bytes
+ */
+function webp(fourCC, payload) {
+    const chunk = Buffer.alloc(8);
+    chunk.write(fourCC, 0, 'latin1');
+    chunk.writeUInt32LE(payload.length, 4);
+    const riff = Buffer.from('RIFF\0\0\0\0WEBP', 'latin1');
+    riff.writeUInt32LE(4 + chunk.length + payload.length, 4);
+    return Buffer.concat([riff, chunk, payload]);
+}
+
+const VP8_LOSSY = webp('VP8 ', Buffer.from([0x30, 0x01, 0x00, 0x9D, 0x01, 0x2A, 640 & 0xFF, 640 >> 8, 480 & 0xFF, 480 >> 8]));
+const VP8_LOSSLESS = (() => {
+    const payload = Buffer.alloc(5);
+    payload[0] = 0x2F;
+    payload.writeUInt32LE((300 - 1) | ((200 - 1) << 14), 1);
+    return webp('VP8L', payload);
+})();
+
+test('detectImageFormat', async t => {
+    const table = [
+        ['PNG', PNG, 'png'],
+        ['JPEG', JPEG, 'jpeg'],
+        ['GIF89a', GIF, 'gif'],
+        ['GIF87a', Buffer.concat([Buffer.from('GIF87a'), GIF.subarray(6)]), 'gif'],
+        ['WebP', WEBP, 'webp'],
+        ['BMP', bmp(2, 2), 'bmp'],
+        ['TIFF big-endian', TIFF, 'tiff'],
+        ['TIFF little-endian', Buffer.from('49492a0008000000', 'hex'), 'tiff'],
+        ['ICO', ico([{ width: 8, height: 6, bitCount: 32, data: PNG }]), 'ico'],
+        ['SVG after a declaration and a comment', SVG, 'svg'],
+        ['SVG with a BOM', Buffer.from('\uFEFF<svg viewBox="0 0 1 1"></svg>'), 'svg'],
+        ['HTML', Buffer.from('<!DOCTYPE html><html><svg></svg></html>'), null],
+        ['text', Buffer.from('just some text'), null],
+        ['empty', Buffer.alloc(0), null],
+        ['PNG signature cut short', PNG.subarray(0, 7), null],
+        ['GIF without its version', Buffer.from('GIF8'), null],
+        ['RIFF that is not WebP', Buffer.from('RIFF\0\0\0\0WAVE', 'latin1'), null],
+        ['BM too short for a BMP header', Buffer.from('BM\0\0'), null],
+        ['ICO with no images', Buffer.from('000001000000', 'hex'), null]
+    ];
+    for (const [name, data, expected] of table) {
+        await t.test(name, () => assert.equal(detectImageFormat(data)?.id ?? null, expected));
+    }
+});
+
+test('readImageDimensions', async t => {
+    const table = [
+        ['PNG', PNG, { width: 8, height: 6 }],
+        ['JPEG with EXIF, XMP and comments before the frame', JPEG, { width: 8, height: 6 }],
+        ['GIF', GIF, { width: 1, height: 1 }],
+        ['WebP extended (VP8X)', WEBP, { width: 8, height: 6 }],
+        ['WebP lossy (VP8)', VP8_LOSSY, { width: 640, height: 480 }],
+        ['WebP lossless (VP8L)', VP8_LOSSLESS, { width: 300, height: 200 }],
+        ['BMP bottom-up', bmp(3, 2), { width: 3, height: 2 }],
+        ['BMP top-down', bmp(3, -2), { width: 3, height: 2 }],
+        ['ICO', ico([{ width: 8, height: 6, bitCount: 32, data: PNG }]), { width: 8, height: 6 }],
+        ['ICO 256 pixels (stored as 0)', ico([{ width: 256, height: 256, bitCount: 32, data: PNG }]), { width: 256, height: 256 }],
+        ['SVG with width and height', SVG, { width: 12, height: 4 }],
+        ['SVG with a viewBox only', Buffer.from('<svg viewBox="0 0 10 10"></svg>'), null],
+        ['TIFF', TIFF, null],
+        ['not an image', Buffer.from('just some text'), null]
+    ];
+    for (const [name, data, expected] of table) {
+        await t.test(name, () => assert.deepEqual(readImageDimensions(data), expected));
+    }
+});
+
+test('readImageDimensions with truncated headers', async t => {
+    const table = [
+        ['PNG before IHDR', PNG.subarray(0, 20)],
+        ['JPEG before the frame header', JPEG.subarray(0, 40)],
+        ['JPEG losing sync', Buffer.concat([JPEG.subarray(0, 2), Buffer.alloc(20)])],
+        ['GIF before the screen size', GIF.subarray(0, 7)],
+        ['WebP VP8X before the canvas size', WEBP.subarray(0, 26)],
+        ['WebP VP8 before the frame size', VP8_LOSSY.subarray(0, 27)],
+        ['WebP VP8L before the size bits', VP8_LOSSLESS.subarray(0, 22)],
+        ['WebP with an unknown first chunk', Buffer.concat([WEBP.subarray(0, 12), Buffer.from('ALPH')])]
+    ];
+    for (const [name, data] of table) {
+        await t.test(name, () => assert.equal(readImageDimensions(data), null));
+    }
+});
+
+test('formatForExtension and isClaudeReadable', async t => {
+    const table = [
+        ['.png', 'png', true],
+        ['.JPG', 'jpeg', true],
+        ['.jpeg', 'jpeg', true],
+        ['.gif', 'gif', true],
+        ['.webp', 'webp', true],
+        ['.bmp', 'bmp', false],
+        ['.tif', 'tiff', false],
+        ['.ico', 'ico', false],
+        ['.svg', 'svg', false]
+    ];
+    for (const [extension, id, readable] of table) {
+        await t.test(extension, () => {
+            const format = formatForExtension(extension);
+            assert.equal(format.id, id);
+            assert.equal(isClaudeReadable(format), readable);
+        });
+    }
+    assert.equal(formatForExtension('.txt'), null);
+    assert.equal(formatForExtension(''), null);
+});
+
+test('ensureSupportedFormat keeps formats Claude reads', async t => {
+    const table = [['shot.png', PNG], ['photo.jpg', JPEG], ['anim.gif', GIF], ['photo.webp', WEBP], ['noext', PNG]];
+    for (const [fileName, data] of table) {
+        await t.test(fileName, async () => {
+            const result = await ensureSupportedFormat(data, fileName);
+            assert.equal(result.data, data);
+            assert.equal(result.fileName, fileName);
+        });
+    }
+});
+
+test('ensureSupportedFormat converts other formats to PNG', async t => {
+    const table = [
+        ['BMP', 'shot.bmp', bmp(3, 2), { width: 3, height: 2 }],
+        ['ICO with a PNG image', 'app.ico', ico([{ width: 8, height: 6, bitCount: 32, data: PNG }]), { width: 8, height: 6 }],
+        ['ICO: the largest image', 'app.ico', ico([
+            { width: 2, height: 2, bitCount: 32, data: iconDib(2) },
+            { width: 4, height: 4, bitCount: 32, data: iconDib(4) }
+        ]), { width: 4, height: 4 }],
+        ['SVG', 'logo.svg', SVG, { width: 12, height: 4 }]
+    ];
+    for (const [name, fileName, data, dimensions] of table) {
+        await t.test(name, async () => {
+            const result = await ensureSupportedFormat(data, fileName);
+            assert.equal(result.fileName, `${path.basename(fileName, path.extname(fileName))}.png`);
+            assert.equal(detectImageFormat(result.data).id, 'png');
+            assert.deepEqual(readImageDimensions(result.data), dimensions);
+        });
+    }
+});
+
+test('ensureSupportedFormat rejects contents that are not what the name says', async t => {
+    const table = [
+        ['shot.png', JPEG, /"shot\.png" is not a PNG file \(its contents are JPEG\)/],
+        ['shot.jpg', bmp(2, 2), /"shot\.jpg" is not a JPEG file \(its contents are BMP\)/],
+        ['notes.png', Buffer.from('just some text'), /"notes\.png" does not contain recognizable image data/],
+        ['broken.bmp', Buffer.concat([bmp(2, 2).subarray(0, 26), Buffer.alloc(4)]), /Could not convert BMP image "broken\.bmp" to PNG/],
+        ['empty.ico', ico([]), /does not contain recognizable image data/]
+    ];
+    for (const [fileName, data, expected] of table) {
+        await t.test(fileName, () => assert.rejects(ensureSupportedFormat(data, fileName, fileName), expected));
+    }
+
+    await t.test('the display name is used in the message', () =>
+        assert.rejects(ensureSupportedFormat(JPEG, 'img_1.png', 'holiday.png'), /"holiday\.png" is not a PNG file/));
+});
@@ -0,0 +1,154 @@
+// Images in the clipboard's text formats (src/clipboard/formats.js), checked against copied clipboard contents
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+    decodeClipboardText,
+    parseDataUri,
+    parseRawBase64,
+    parseSvgText,
+    extractHtmlImages,
+    fileUriToPath,
+    parseTextPaths,
+    parseImageText
+} = require('../src/clipboard/formats');
+
+const PNG_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+const GIF_BASE64 = 'R0lGODlhAQABAIAAAP///wAAACH5BAEAAAAALAAAAAABAAEAAAICRAEAOw==';
+
+/**
+ * Reads a clipboard fixture
+ * @param {string} name - File name under test/fixtures/clipboard
+ * @returns {string} Its contents
+ */
+function fixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', 'clipboard', name), 'utf8');
+}
+
+const formatsOf = images => images.map(image => image.format.id);
+
+test('CF_HTML from a browser: <img src> data URIs in document order, remote images ignored', () => {
+    const images = extractHtmlImages(fixture('browser-images.html'));
+    assert.deepEqual(formatsOf(images), ['png', 'gif']);
+    assert.equal(images[0].data.toString('base64'), PNG_BASE64);
+    assert.equal(images[1].data.toString('base64'), GIF_BASE64);
+});
+
+test('CF_HTML with inline SVG: each <svg> element, with the namespace added when missing', () => {
+    const images = extractHtmlImages(fixture('inline-svg.html'));
+    assert.deepEqual(formatsOf(images), ['svg', 'svg']);
+    assert.match(images[0].data.toString(), /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="16"/);
+    assert.match(images[1].data.toString(), /^<SVG xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="8"/);
+});
+
+test('HTML without embedded images', () => {
+    assert.deepEqual(extractHtmlImages('<p>text</p><img src="https://example.com/a.png">'), []);
+    assert.deepEqual(extractHtmlImages('<img src="data:image/png;base64,bm90IGFuIGltYWdl">'), []);
+});
+
+test('HTML attributes: quoting styles and entities', () => {
+    const unquoted = extractHtmlImages(`<img src=data:image/png;base64,${PNG_BASE64}>`);
+    assert.deepEqual(formatsOf(unquoted), ['png']);
+
+    const escapedSvg = 'data:image/svg+xml,%3Csvg xmlns=&quot;http://www.w3.org/2000/svg&quot;%3E%3C/svg%3E';
+    assert.deepEqual(formatsOf(extractHtmlImages(`<img src="${escapedSvg}">`)), ['svg']);
+});
+
+test('parseDataUri', async t => {
+    const table = [
+        [`data:image/png;base64,${PNG_BASE64}`, 'png'],
+        [`  DATA:image/PNG;BASE64,${PNG_BASE64}\n`, 'png'],
+        [`data:image/png;name=shot.png;base64,${PNG_BASE64}`, 'png'],
+        [`data:image/png;base64,${PNG_BASE64.slice(0, 40)}\n${PNG_BASE64.slice(40)}`, 'png'],
+        [`data:image/gif;base64,${GIF_BASE64}`, 'gif'],
+        ['data:image/svg+xml,%3Csvg%20xmlns%3D%22http%3A%2F%2Fwww.w3.org%2F2000%2Fsvg%22%2F%3E', 'svg'],
+        ['data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg"><rect/></svg>', 'svg'],
+        // The declared type does not matter, the bytes do
+        [`data:image/jpeg;base64,${PNG_BASE64}`, 'png'],
+        [`data:text/plain;base64,${PNG_BASE64}`, null],
+        ['data:image/png;base64,not*base64', null],
+        ['data:image/png;base64,bm90IGFuIGltYWdl', null],
+        ['data:image/svg+xml,%E0%A4%A', null],
+        [`see data:image/png;base64,${PNG_BASE64}`, null]
+    ];
+    for (const [input, expected] of table) {
+        await t.test(input.slice(0, 60), () => assert.equal(parseDataUri(input)?.format.id ?? null, expected));
+    }
+});
+
+test('parseRawBase64', () => {
+    assert.equal(parseRawBase64(`${PNG_BASE64.slice(0, 30)}\r\n${PNG_BASE64.slice(30)}`).format.id, 'png');
+    assert.equal(parseRawBase64('R0lGODlh'), null);
+    assert.equal(parseRawBase64('VGhpcyBpcyBqdXN0IGEgc2VudGVuY2UgaW4gYmFzZTY0Lg=='), null);
+    assert.equal(parseRawBase64('just some words that are long enough to pass'), null);
+});
+
+test('SVG markup copied from a design tool', () => {
+    const image = parseSvgText(fixture('design-tool.svg'));
+    assert.equal(image.format.id, 'svg');
+    assert.match(image.data.toString(), /^<\?xml/);
+
+    assert.equal(parseSvgText('<svg xmlns="http://www.w3.org/2000/svg">'), null);
+    assert.equal(parseSvgText('<div></div><p>not svg</svg>'), null);
+});
+
+test('parseImageText tries data URIs, SVG markup, then raw base64', () => {
+    assert.equal(parseImageText(`data:image/gif;base64,${GIF_BASE64}`).format.id, 'gif');
+    assert.equal(parseImageText(fixture('design-tool.svg')).format.id, 'svg');
+    assert.equal(parseImageText(PNG_BASE64).format.id, 'png');
+    assert.equal(parseImageText('C:\\Users\\me\\shot.png'), null);
+});
+
+test('quoted Windows paths copied from Explorer', () => {
+    assert.deepEqual(parseTextPaths(fixture('explorer-paths.txt')), [
+        'C:\\Users\\me\\Pictures\\My Screenshots\\shot 1.png',
+        'C:\\Users\\me\\Pictures\\diagram.JPG',
+        'D:\\scans\\page.tiff',
+        '\\\\nas\\share\\photos\\cat.webp'
+    ]);
+});
+
+test('file:// URIs and quoted POSIX paths', () => {
+    assert.deepEqual(parseTextPaths(fixture('file-uris.txt')), [
+        '/home/me/Pictures/a b.png',
+        '/home/me/Pictures/it\'s here.png',
+        'C:\\Users\\me\\shot.png',
+        '\\\\server\\share\\img.gif',
+        '/tmp/x.png'
+    ]);
+});
+
+test('text that is not only a list of paths gives no paths', async t => {
+    const table = [
+        'C:\\Users\\me\\shot.png\nand some notes',
+        'relative/shot.png',
+        '"C:\\Users\\me\\shot.png',
+        '//not-a-unc-path.png',
+        'file://%zz/broken.png',
+        'https://example.com/a.png',
+        ''
+    ];
+    for (const text of table) {
+        await t.test(JSON.stringify(text), () => assert.deepEqual(parseTextPaths(text), []));
+    }
+});
+
+test('fileUriToPath', () => {
+    assert.equal(fileUriToPath('file:///C:/My%20Pictures/a.png'), 'C:\\My Pictures\\a.png');
+    assert.equal(fileUriToPath('file://host/share/a.png'), '\\\\host\\share\\a.png');
+    assert.equal(fileUriToPath('file:///home/me/a%23b.png'), '/home/me/a#b.png');
+    assert.equal(fileUriToPath('https://example.com/a.png'), null);
+    assert.equal(fileUriToPath('not a uri'), null);
+});
+
+test('decodeClipboardText honours byte order marks', () => {
+    const html = fixture('inline-svg.html');
+    assert.equal(decodeClipboardText(Buffer.from(html, 'utf8')), html);
+    assert.equal(decodeClipboardText(Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from(html, 'utf8')])), html);
+    assert.equal(decodeClipboardText(Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(html, 'utf16le')])), html);
+
+    const bigEndian = Buffer.from(html, 'utf16le');
+    bigEndian.swap16();
+    assert.equal(decodeClipboardText(Buffer.concat([Buffer.from([0xFE, 0xFF]), bigEndian])), html);
+});
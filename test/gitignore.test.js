@@ -0,0 +1,148 @@
+// Git ignore rules for the save directory (src/gitignore.js) and repository lookup (src/git.js), on
+// hand-made .git layouts (git itself is not needed)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findRepository, readGitBranch } = require('../src/git');
+const { ensureIgnored, removeUnusedEntries } = require('../src/gitignore');
+
+/**
+ * Creates a scratch directory removed when the test ends
+ * @param {import('node:test').TestContext} t - Test context
+ * @returns {string} The directory
+ */
+function createRoot(t) {
+    const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'gitignore-')));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    return root;
+}
+
+/**
+ * Writes a file, creating its directory
+ * @param {string} filePath - File to write
+ * @param {string} content - Its content
+ */
+function write(filePath, content) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+}
+
+/**
+ * Creates a git directory with a HEAD on a branch
+ * @param {string} gitDir - Directory to create
+ * @param {string} [branch='main'] - Checked-out branch
+ */
+function createGitDir(gitDir, branch = 'main') {
+    write(path.join(gitDir, 'HEAD'), `ref: refs/heads/${branch}\n`);
+}
+
+const read = filePath => (fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : '');
+
+test('the entry for a save directory in a nested repository is written there and removed from there', t => {
+    const workspace = path.join(createRoot(t), 'workspace');
+    createGitDir(path.join(workspace, '.git'));
+    createGitDir(path.join(workspace, 'app', '.git'));
+    const saveDirectory = path.join(workspace, 'app', 'shots');
+
+    ensureIgnored(saveDirectory, 'gitignore', workspace);
+    assert.match(read(path.join(workspace, 'app', '.gitignore')), /^\/shots\/$/m);
+    assert.equal(read(path.join(workspace, '.gitignore')), '');
+
+    // Without the save directory only the workspace folder's repository is looked at
+    removeUnusedEntries(workspace, 'off');
+    assert.match(read(path.join(workspace, 'app', '.gitignore')), /\/shots\//);
+
+    removeUnusedEntries(workspace, 'off', saveDirectory);
+    assert.equal(read(path.join(workspace, 'app', '.gitignore')), '');
+});
+
+test('a submodule uses the info/exclude in the parent .git/modules directory', t => {
+    const workspace = path.join(createRoot(t), 'workspace');
+    createGitDir(path.join(workspace, '.git'));
+    createGitDir(path.join(workspace, '.git', 'modules', 'lib'));
+    write(path.join(workspace, 'lib', '.git'), 'gitdir: ../.git/modules/lib\n');
+    const saveDirectory = path.join(workspace, 'lib', 'shots');
+    const excludePath = path.join(workspace, '.git', 'modules', 'lib', 'info', 'exclude');
+
+    assert.deepEqual(findRepository(saveDirectory), {
+        root: path.join(workspace, 'lib'),
+        gitDir: path.join(workspace, '.git', 'modules', 'lib')
+    });
+    ensureIgnored(saveDirectory, 'info-exclude', workspace);
+    assert.match(read(excludePath), /^\/shots\/$/m);
+
+    removeUnusedEntries(workspace, 'gitignore', saveDirectory);
+    assert.equal(read(excludePath), '');
+});
+
+test('a linked worktree outside the workspace writes to its main repository', t => {
+    const root = createRoot(t);
+    const mainGitDir = path.join(root, 'main', '.git');
+    createGitDir(mainGitDir);
+    createGitDir(path.join(mainGitDir, 'worktrees', 'feature'), 'feature');
+    write(path.join(mainGitDir, 'worktrees', 'feature', 'commondir'), '../..\n');
+    const workspace = path.join(root, 'feature');
+    write(path.join(workspace, '.git'), `gitdir: ${path.join(mainGitDir, 'worktrees', 'feature')}\n`);
+
+    assert.equal(readGitBranch(workspace, workspace), 'feature');
+    ensureIgnored(path.join(workspace, 'shots'), 'info-exclude', workspace);
+    assert.match(read(path.join(mainGitDir, 'info', 'exclude')), /^\/shots\/$/m);
+});
+
+test('a .git file naming a directory elsewhere is not followed', async t => {
+    const root = createRoot(t);
+    const outside = path.join(root, 'outside');
+    createGitDir(outside, 'secret');
+    const workspace = path.join(root, 'workspace');
+    fs.mkdirSync(workspace);
+
+    const targets = [outside, '../outside', path.join(root, 'modules', 'x'), path.join(workspace, 'missing')];
+    createGitDir(path.join(root, 'modules', 'x'));
+    for (const target of targets) {
+        await t.test(target, () => {
+            write(path.join(workspace, '.git'), `gitdir: ${target}\n`);
+            assert.equal(findRepository(path.join(workspace, 'shots'), workspace), null);
+            assert.equal(readGitBranch(workspace, workspace), null);
+
+            ensureIgnored(path.join(workspace, 'shots'), 'info-exclude', workspace);
+            ensureIgnored(path.join(workspace, 'shots'), 'gitignore', workspace);
+            removeUnusedEntries(workspace, 'off', path.join(workspace, 'shots'));
+            assert.equal(fs.existsSync(path.join(outside, 'info')), false);
+            assert.equal(fs.existsSync(path.join(root, 'modules', 'x', 'info')), false);
+            assert.equal(fs.existsSync(path.join(workspace, '.gitignore')), false);
+        });
+    }
+});
+
+test('a git directory inside the workspace is followed, but not a commondir pointing elsewhere', t => {
+    const root = createRoot(t);
+    const workspace = path.join(root, 'workspace');
+    const gitDir = path.join(workspace, '.repo');
+    createGitDir(gitDir);
+    write(path.join(gitDir, 'commondir'), '../../outside\n');
+    fs.mkdirSync(path.join(root, 'outside'));
+    write(path.join(workspace, '.git'), 'gitdir: .repo\n');
+
+    assert.equal(readGitBranch(workspace, workspace), 'main');
+    ensureIgnored(path.join(workspace, 'shots'), 'info-exclude', workspace);
+    assert.match(read(path.join(gitDir, 'info', 'exclude')), /^\/shots\/$/m);
+    assert.equal(fs.existsSync(path.join(root, 'outside', 'info')), false);
+});
+
+test('an existing entry is not written twice and switching modes moves it', t => {
+    const workspace = path.join(createRoot(t), 'workspace');
+    createGitDir(path.join(workspace, '.git'));
+    write(path.join(workspace, '.gitignore'), 'node_modules/\n');
+    const saveDirectory = path.join(workspace, 'docs', 'shots');
+
+    ensureIgnored(saveDirectory, 'gitignore', workspace);
+    ensureIgnored(saveDirectory, 'gitignore', workspace);
+    assert.equal(read(path.join(workspace, '.gitignore')).match(/\/docs\/shots\//g).length, 1);
+
+    removeUnusedEntries(workspace, 'info-exclude', saveDirectory);
+    assert.equal(read(path.join(workspace, '.gitignore')), 'node_modules/\n');
+    ensureIgnored(saveDirectory, 'info-exclude', workspace);
+    assert.match(read(path.join(workspace, '.git', 'info', 'exclude')), /^\/docs\/shots\/$/m);
+});
@@ -0,0 +1,118 @@
+// Clipboard helper process (src/clipboard/helper.js) against a stand-in helper speaking the same protocol
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HelperProcess } = require('../src/clipboard/helper');
+const { decodeImageLine } = require('../src/clipboard/powershell');
+
+const FAKE_HELPER = path.join(__dirname, 'fixtures', 'fake-helper');
+
+/**
+ * Creates a helper running the stand-in, shut down when the test ends
+ * @param {import('node:test').TestContext} t - Test context
+ * @param {Object} [options] - HelperProcess options
+ * @returns {HelperProcess} The helper
+ */
+function createHelper(t, options = { timeout: 5000 }) {
+    const helper = new HelperProcess(process.execPath, [FAKE_HELPER], options);
+    t.after(() => helper.dispose());
+    return helper;
+}
+
+/**
+ * Decodes the IMAGE lines of a response
+ * @param {string[]} lines - Data lines
+ * @returns {import('../src/clipboard/index').ClipboardImage[]} Verified images
+ */
+function decodeImages(lines) {
+    return lines
+        .filter(line => line.startsWith('IMAGE|'))
+        .map((line, index) => decodeImageLine(line.slice('IMAGE|'.length), index));
+}
+
+test('each request gets the response carrying its own id', async t => {
+    const helper = createHelper(t);
+    const answers = await Promise.all(['one', 'two', 'three'].map(text => helper.request('ECHO', text)));
+    assert.deepEqual(answers, [['DATA|one'], ['DATA|two'], ['DATA|three']]);
+
+    // Answers for other ids are not taken as the end of this request
+    assert.deepEqual(await helper.request('NOISE', 'mine'), ['OK|104', 'ERROR|0|stale', 'DATA|mine']);
+});
+
+test('an ERROR response rejects with the helper message and keeps the data lines', async t => {
+    const helper = createHelper(t);
+    await assert.rejects(helper.request('FAIL', 'No image in clipboard'), error => {
+        assert.equal(error.message, 'No image in clipboard');
+        assert.deepEqual(error.lines, ['DATA|partial']);
+        return true;
+    });
+    assert.deepEqual(await helper.request('ECHO', 'still running'), ['DATA|still running']);
+});
+
+test('requests with line breaks or separators in the command are refused', async t => {
+    const helper = createHelper(t);
+    await assert.rejects(helper.request('ECHO', 'a\nb'), /Invalid helper request/);
+    await assert.rejects(helper.request('EC|HO'), /Invalid helper request/);
+    assert.equal(helper.isRunning(), false);
+});
+
+test('images are only accepted when their length and hash match', async t => {
+    const helper = createHelper(t);
+
+    const [image] = decodeImages(await helper.request('IMAGE', 'good'));
+    assert.equal(image.data.toString('hex'), '89504e470d0a1a0a0000000d49484452');
+    assert.equal(image.sourceName, 'shot.png');
+    assert.match(image.fileName, /\.png$/);
+
+    const short = await helper.request('IMAGE', 'short');
+    assert.throws(() => decodeImages(short), error => error.transfer && /incomplete: received 8 of 16 bytes/.test(error.message));
+
+    const badHash = await helper.request('IMAGE', 'badhash');
+    assert.throws(() => decodeImages(badHash), error => error.transfer && /SHA-256/.test(error.message));
+
+    assert.throws(() => decodeImageLine('image/png|abc|00|AAAA', 0), /Malformed/);
+    assert.throws(() => decodeImageLine(`image/png|${1024 ** 3}|00|AAAA`, 0), error => error.oversized);
+});
+
+test('a helper that crashes is restarted and the request retried once', async t => {
+    const helper = createHelper(t);
+    const [firstPid] = await helper.request('PID');
+
+    const marker = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'helper-')), 'crashed');
+    t.after(() => fs.rmSync(path.dirname(marker), { recursive: true, force: true }));
+    const [retriedPid] = await helper.request('CRASH_ONCE', marker);
+    assert.ok(fs.existsSync(marker));
+    assert.notEqual(retriedPid, firstPid);
+
+    // Crashing again on the retry gives up, and the next request starts a fresh helper
+    await assert.rejects(helper.request('EXIT'), error => error.exited && /exit code 3/.test(error.message));
+    const [nextPid] = await helper.request('PID');
+    assert.notEqual(nextPid, retriedPid);
+});
+
+test('a request that is not answered in time fails and the helper is replaced', async t => {
+    const helper = createHelper(t, { timeout: 300 });
+    const [firstPid] = await helper.request('PID');
+
+    await assert.rejects(helper.request('HANG'), error => error.killed && /did not answer within 300 ms/.test(error.message));
+    assert.equal(helper.isRunning(), false);
+
+    const [nextPid] = await helper.request('PID');
+    assert.notEqual(nextPid, firstPid);
+});
+
+test('output lines longer than maxLineLength fail the request', async t => {
+    const helper = createHelper(t, { timeout: 5000, maxLineLength: 20 });
+    await assert.rejects(helper.request('ECHO', 'x'.repeat(40)), error => error.oversized);
+    assert.deepEqual(await helper.request('ECHO', 'short'), ['DATA|short']);
+});
+
+test('a disposed helper refuses new requests', async t => {
+    const helper = createHelper(t);
+    await helper.request('PID');
+    helper.dispose();
+    assert.equal(helper.isRunning(), false);
+    await assert.rejects(helper.request('PID'), /shut down/);
+});
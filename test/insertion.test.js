@@ -0,0 +1,123 @@
+// Insertion profiles (src/insertion.js): picking the profile for a terminal and rendering its template
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_PROFILE, selectInsertionProfile, buildInsertionText } = require('../src/insertion');
+
+const profile = fields => ({ ...DEFAULT_PROFILE, ...fields });
+
+test('selectInsertionProfile', async t => {
+    const profiles = [
+        { name: 'aider', terminalNamePattern: 'aider', template: '/add {relPath}' },
+        { name: 'scripts', terminalNamePattern: '^review|script', template: '--image {path}' },
+        { name: 'catch-all', template: '{path}' }
+    ];
+    const table = [
+        ['aider', 'aider'],
+        ['AIDER (2)', 'aider'],
+        ['review', 'scripts'],
+        ['my script', 'scripts'],
+        ['claude', 'catch-all']
+    ];
+    for (const [terminalName, expected] of table) {
+        await t.test(terminalName, () => assert.equal(selectInsertionProfile(profiles, terminalName).name, expected));
+    }
+
+    await t.test('the first matching profile wins', () => {
+        const overlapping = [{ name: 'first', terminalNamePattern: 'claude', template: '@{path}' }, ...profiles];
+        assert.equal(selectInsertionProfile(overlapping, 'claude aider').name, 'first');
+    });
+
+    await t.test('no profile matches or none configured', () => {
+        assert.equal(selectInsertionProfile(profiles.slice(0, 2), 'claude'), DEFAULT_PROFILE);
+        assert.equal(selectInsertionProfile([], 'claude'), DEFAULT_PROFILE);
+        assert.equal(selectInsertionProfile(undefined, 'claude'), DEFAULT_PROFILE);
+    });
+
+    await t.test('missing fields take the defaults', () => {
+        const selected = selectInsertionProfile([{ template: '/add {path}' }], 'aider');
+        assert.deepEqual(selected, { ...DEFAULT_PROFILE, name: 'profile 1', template: '/add {path}' });
+    });
+});
+
+test('selectInsertionProfile rejects invalid profiles', async t => {
+    const table = [
+        [{ name: 'x', template: '/add' }, /Invalid insertion profile "x": template needs/],
+        [{ template: 42 }, /"profile 1": template needs/],
+        [{ name: 'x', template: '{path}', pathStyle: 'unc' }, /pathStyle must be one of posix, absolute, relative, windows/],
+        [{ name: 'x', template: '{path}', terminalNamePattern: '(' }, /Invalid insertion profile "x": Invalid regular expression/]
+    ];
+    for (const [value, expected] of table) {
+        await t.test(JSON.stringify(value), () => assert.throws(() => selectInsertionProfile([value], 'claude'), expected));
+    }
+});
+
+test('buildInsertionText quotes the placeholder values, never the template text', async t => {
+    const linux = { platform: 'linux', shell: 'bash', workspacePath: '/home/me/project' };
+    const spaced = '/home/me/project/shots/login page.png';
+    const plain = '/home/me/project/shots/img_1.png';
+    const table = [
+        [profile({}), [spaced], '@\'/home/me/project/shots/login page.png\''],
+        [profile({}), [plain, spaced], '@/home/me/project/shots/img_1.png @\'/home/me/project/shots/login page.png\''],
+        [profile({ template: '--image={path}' }), [spaced], '--image=\'/home/me/project/shots/login page.png\''],
+        [profile({ template: '--image {path}' }), [spaced], '--image \'/home/me/project/shots/login page.png\''],
+        [profile({ template: '/add {relPath}', separator: '\n' }), [plain, spaced], '/add shots/img_1.png\n/add \'shots/login page.png\''],
+        [profile({ template: '{name}', separator: ',' }), [plain, spaced], 'img_1.png,\'login page.png\''],
+        [profile({ template: '[{name}]({relPath})' }), [plain], '[img_1.png](shots/img_1.png)'],
+        [profile({ pathStyle: 'relative' }), [spaced], '@\'shots/login page.png\'']
+    ];
+    for (const [selected, imagePaths, expected] of table) {
+        await t.test(`${selected.template} ${imagePaths.length}`, () =>
+            assert.equal(buildInsertionText(selected, imagePaths, linux), expected));
+    }
+
+    await t.test('no quoting with shell "none"', () => {
+        assert.equal(buildInsertionText(profile({ template: '--image={path}' }), [spaced], { ...linux, shell: 'none' }),
+            `--image=${spaced}`);
+    });
+
+    await t.test('quote characters in the template are left alone', () => {
+        assert.equal(buildInsertionText(profile({ template: 'look at "{name}"' }), [plain], linux), 'look at "img_1.png"');
+    });
+});
+
+test('buildInsertionText path forms', async t => {
+    const wsl = { platform: 'wsl', shell: 'bash', workspacePath: '/home/me/project' };
+    const originalDistro = process.env.WSL_DISTRO_NAME;
+    process.env.WSL_DISTRO_NAME = 'Ubuntu';
+    t.after(() => {
+        if (originalDistro === undefined) {
+            delete process.env.WSL_DISTRO_NAME;
+        } else {
+            process.env.WSL_DISTRO_NAME = originalDistro;
+        }
+    });
+
+    await t.test('windows style from WSL', () => {
+        assert.equal(buildInsertionText(profile({ pathStyle: 'windows' }), ['/mnt/c/Users/me/shot.png'], wsl),
+            '@\'C:\\Users\\me\\shot.png\'');
+        assert.equal(buildInsertionText(profile({ template: '{winPath}' }), ['/home/me/project/a.png'], { ...wsl, shell: 'cmd' }),
+            '"\\\\wsl$\\Ubuntu\\home\\me\\project\\a.png"');
+    });
+
+    await t.test('posix and relative styles on Windows', () => {
+        const windows = { platform: 'windows', shell: 'powershell', workspacePath: 'C:\\work' };
+        assert.match(buildInsertionText(profile({}), ['C:\\work\\shots\\a.png'], windows), /^@\/[\w/]*c\/work\/shots\/a\.png$/);
+        assert.equal(buildInsertionText(profile({ pathStyle: 'relative' }), ['C:\\work\\shots\\a.png'], windows), '@shots/a.png');
+        assert.equal(buildInsertionText(profile({ pathStyle: 'absolute' }), ['C:\\work\\my shots\\a.png'], windows),
+            '@\'C:\\work\\my shots\\a.png\'');
+    });
+
+    await t.test('relative style outside the workspace falls back to the full path', () => {
+        assert.equal(buildInsertionText(profile({ pathStyle: 'relative' }), ['/tmp/shot.png'], wsl), '@/tmp/shot.png');
+        assert.equal(buildInsertionText(profile({ template: '{relPath}' }), ['/tmp/shot.png'], { ...wsl, workspacePath: undefined }),
+            '/tmp/shot.png');
+    });
+
+    await t.test('a mapped path replaces {path} whatever the style', () => {
+        const mapPath = imagePath => (imagePath.startsWith('/home/me/project/') ? `/app/${imagePath.slice(17)}` : null);
+        const context = { ...wsl, mapPath };
+        assert.equal(buildInsertionText(profile({ pathStyle: 'windows' }), ['/home/me/project/shots/a b.png'], context),
+            '@\'/app/shots/a b.png\'');
+        assert.equal(buildInsertionText(profile({}), ['/tmp/shot.png'], context), '@/tmp/shot.png');
+    });
+});
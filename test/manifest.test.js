@@ -0,0 +1,97 @@
+// Image manifest (src/manifest.js) and the retention cleanup that deletes the files it lists
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MANIFEST_FILENAME, readManifest, recordImage } = require('../src/manifest');
+const { listTrackedImages, applyRetention } = require('../src/retention');
+
+/**
+ * Creates a save directory inside a scratch directory that also holds files it must never touch
+ * @param {import('node:test').TestContext} t - Test context (removes the directory afterwards)
+ * @returns {{root: string, saveDirectory: string}} Scratch and save directories
+ */
+function createSaveDirectory(t) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    const saveDirectory = path.join(root, 'project', '.claude-images');
+    fs.mkdirSync(saveDirectory, { recursive: true });
+    fs.mkdirSync(path.join(root, '.ssh'));
+    fs.writeFileSync(path.join(root, '.ssh', 'id_rsa'), 'private key');
+    fs.writeFileSync(path.join(root, 'project', 'secret.png'), 'not pasted');
+    fs.writeFileSync(path.join(root, 'project', 'notes.txt'), 'notes');
+    return { root, saveDirectory };
+}
+
+const entry = (name, createdAt = 0) => ({ name, hash: null, size: 1, createdAt });
+
+test('readManifest drops entries that are not plain image filenames', t => {
+    const { saveDirectory } = createSaveDirectory(t);
+    fs.writeFileSync(path.join(saveDirectory, MANIFEST_FILENAME), JSON.stringify({
+        version: 1,
+        images: [
+            entry('img_20250103_120000.png'),
+            entry('Shot 1.JPG'),
+            entry('../../.ssh/id_rsa'),
+            entry('../secret.png'),
+            entry('..\\secret.png'),
+            entry('sub/img.png'),
+            entry('/etc/passwd.png'),
+            entry('C:\\Windows\\win.png'),
+            entry('..'),
+            entry('notes.txt'),
+            entry('img'),
+            { name: 42 },
+            { hash: 'abc' },
+            null
+        ]
+    }));
+
+    assert.deepEqual(readManifest(saveDirectory).images.map(image => image.name),
+        ['img_20250103_120000.png', 'Shot 1.JPG']);
+});
+
+test('retention never deletes files named by a hostile manifest', t => {
+    const { root, saveDirectory } = createSaveDirectory(t);
+    for (const name of ['a.png', 'b.png', 'c.png']) {
+        fs.writeFileSync(path.join(saveDirectory, name), 'image');
+    }
+    fs.writeFileSync(path.join(saveDirectory, MANIFEST_FILENAME), JSON.stringify({
+        version: 1,
+        images: [
+            entry('../../.ssh/id_rsa', 1),
+            entry('../secret.png', 2),
+            entry('../notes.txt', 3),
+            entry('a.png', 4),
+            entry('b.png', 5),
+            entry('c.png', 6)
+        ]
+    }));
+
+    assert.deepEqual(listTrackedImages(saveDirectory).map(image => image.name).sort(), ['a.png', 'b.png', 'c.png']);
+    applyRetention(saveDirectory, { maxImages: 1, maxAgeDays: 0, maxTotalMegabytes: 0 });
+
+    assert.ok(fs.existsSync(path.join(root, '.ssh', 'id_rsa')));
+    assert.ok(fs.existsSync(path.join(root, 'project', 'secret.png')));
+    assert.ok(fs.existsSync(path.join(root, 'project', 'notes.txt')));
+    assert.equal(fs.readdirSync(saveDirectory).filter(name => name.endsWith('.png')).length, 1);
+
+    // The hostile entries are gone from the rewritten manifest
+    const written = JSON.parse(fs.readFileSync(path.join(saveDirectory, MANIFEST_FILENAME), 'utf8'));
+    assert.ok(written.images.every(image => !image.name.includes('..')));
+});
+
+test('recordImage keeps existing entries and replaces one with the same name', t => {
+    const { saveDirectory } = createSaveDirectory(t);
+    const imagePath = path.join(saveDirectory, 'img.png');
+    fs.writeFileSync(imagePath, 'image');
+    recordImage(imagePath, 'first');
+    fs.writeFileSync(imagePath, 'edited image');
+    recordImage(imagePath, null);
+
+    const { images } = readManifest(saveDirectory);
+    assert.equal(images.length, 1);
+    assert.equal(images[0].hash, null);
+    assert.equal(images[0].size, 'edited image'.length);
+});
@@ -0,0 +1,161 @@
+// Metadata stripping (src/image/metadata.js) on JPEG, PNG and WebP fixtures carrying GPS EXIF, XMP and text
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { stripMetadata, readOrientation } = require('../src/image/metadata');
+
+/**
+ * Reads an image fixture
+ * @param {string} name - File name under test/fixtures/images
+ * @returns {Buffer} Its bytes
+ */
+function fixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', 'images', name));
+}
+
+/**
+ * Splits a JPEG into its segments up to the first scan
+ * @param {Buffer} data - JPEG bytes
+ * @returns {{segments: Array<{marker: number, payload: Buffer}>, scan: Buffer}} Segments and the data from SOS on
+ */
+function jpegSegments(data) {
+    const segments = [];
+    let offset = 2;
+    while (data[offset + 1] !== 0xDA) {
+        const end = offset + 2 + data.readUInt16BE(offset + 2);
+        segments.push({ marker: data[offset + 1], payload: data.subarray(offset + 4, end) });
+        offset = end;
+    }
+    return { segments, scan: data.subarray(offset) };
+}
+
+/**
+ * Lists the chunks of a PNG (length-type-data-CRC) or WebP (RIFF) file
+ * @param {Buffer} data - Image bytes
+ * @param {'png'|'webp'} format - Container format
+ * @returns {Array<{type: string, payload: Buffer}>} Chunks in file order
+ */
+function chunks(data, format) {
+    const list = [];
+    let offset = format === 'png' ? 8 : 12;
+    while (offset < data.length) {
+        if (format === 'png') {
+            const length = data.readUInt32BE(offset);
+            list.push({ type: data.toString('latin1', offset + 4, offset + 8), payload: data.subarray(offset + 8, offset + 8 + length) });
+            offset += 12 + length;
+        } else {
+            const size = data.readUInt32LE(offset + 4);
+            list.push({ type: data.toString('latin1', offset, offset + 4), payload: data.subarray(offset + 8, offset + 8 + size) });
+            offset += 8 + size + (size % 2);
+        }
+    }
+    return list;
+}
+
+const withoutPrefix = exif => (exif.toString('latin1', 0, 4) === 'Exif' ? exif.subarray(6) : exif);
+
+const FORMATS = {
+    jpeg: {
+        file: 'photo.jpg',
+        orientation: 6,
+        pixels: data => jpegSegments(data).scan,
+        exif: data => jpegSegments(data).segments.filter(segment => segment.marker === 0xE1).map(segment => segment.payload)
+    },
+    png: {
+        file: 'photo.png',
+        orientation: 8,
+        pixels: data => Buffer.concat(chunks(data, 'png').filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.payload)),
+        exif: data => chunks(data, 'png').filter(chunk => chunk.type === 'eXIf').map(chunk => chunk.payload)
+    },
+    webp: {
+        file: 'photo.webp',
+        orientation: 3,
+        pixels: data => chunks(data, 'webp').find(chunk => /^VP8[ L]$/.test(chunk.type)).payload,
+        exif: data => chunks(data, 'webp').filter(chunk => chunk.type === 'EXIF').map(chunk => chunk.payload)
+    }
+};
+
+for (const [format, expected] of Object.entries(FORMATS)) {
+    test(`${format}: GPS EXIF, XMP and text are removed and the pixels kept`, () => {
+        const original = fixture(expected.file);
+        assert.match(original.toString('latin1'), /SecretCam/);
+        assert.equal(readOrientation(withoutPrefix(expected.exif(original)[0])), expected.orientation);
+
+        const { data, removed, unreadable } = stripMetadata(original);
+        assert.equal(unreadable, undefined);
+        assert.ok(removed.includes('EXIF'));
+        assert.ok(removed.includes(format === 'png' ? 'text chunks' : 'XMP'));
+        assert.doesNotMatch(data.toString('latin1'), /SecretCam|GPSLatitude|xmpmeta/);
+        assert.deepEqual(expected.exif(data), []);
+        assert.ok(expected.pixels(data).equals(expected.pixels(original)));
+        assert.ok(data.length < original.length);
+    });
+
+    test(`${format}: keepOrientation keeps only the orientation`, () => {
+        const { data } = stripMetadata(fixture(expected.file), { keepOrientation: true });
+        assert.doesNotMatch(data.toString('latin1'), /SecretCam|GPSLatitude|xmpmeta/);
+        const exif = expected.exif(data);
+        assert.equal(exif.length, 1);
+        assert.equal(readOrientation(withoutPrefix(exif[0])), expected.orientation);
+        assert.ok(expected.pixels(data).equals(expected.pixels(fixture(expected.file))));
+    });
+
+    test(`${format}: stripping twice changes nothing more`, () => {
+        const once = stripMetadata(fixture(expected.file), { keepOrientation: true }).data;
+        assert.ok(stripMetadata(once, { keepOrientation: true }).data.equals(once));
+    });
+
+    test(`${format}: truncated or corrupt files are reported unreadable and returned unchanged`, async t => {
+        const original = fixture(expected.file);
+        const corrupt = Buffer.from(original);
+        // Break the length field of the second segment/chunk so it runs past the end of the file
+        const secondBlock = { jpeg: 2 + 2 + original.readUInt16BE(4), png: 8 + 25, webp: 12 + 18 }[format];
+        corrupt.writeUInt16BE(0xFFFF, secondBlock + (format === 'jpeg' ? 2 : 0));
+        if (format !== 'jpeg') {
+            corrupt.writeUInt16BE(0xFFFF, secondBlock + (format === 'png' ? 0 : 6));
+        }
+        const inputs = {
+            'cut in the middle': original.subarray(0, Math.floor(original.length / 2)),
+            'cut inside a header': original.subarray(0, secondBlock + 3),
+            'length past the end': corrupt
+        };
+        for (const [name, input] of Object.entries(inputs)) {
+            await t.test(name, () => {
+                const result = stripMetadata(input);
+                assert.equal(result.unreadable, true);
+                assert.deepEqual(result.removed, []);
+                assert.equal(result.data, input);
+            });
+        }
+    });
+}
+
+test('images without metadata are returned as they are', () => {
+    for (const expected of Object.values(FORMATS)) {
+        const clean = stripMetadata(fixture(expected.file)).data;
+        const result = stripMetadata(clean);
+        assert.equal(result.data, clean);
+        assert.deepEqual(result.removed, []);
+        assert.equal(result.unreadable, undefined);
+    }
+});
+
+test('other formats are not touched and not reported unreadable', () => {
+    const gif = Buffer.from('R0lGODlhAQABAIAAAP///wAAACH5BAEAAAAALAAAAAABAAEAAAICRAEAOw==', 'base64');
+    assert.deepEqual(stripMetadata(gif), { data: gif, removed: [] });
+    const text = Buffer.from('not an image');
+    assert.deepEqual(stripMetadata(text), { data: text, removed: [] });
+});
+
+test('readOrientation', async t => {
+    const table = [
+        ['too short', Buffer.from('MM\0*'), null],
+        ['not TIFF', Buffer.from('XX\0*\0\0\0\x08\0\0'), null],
+        ['IFD past the end', Buffer.from('MM\0*\0\0\0\xff', 'latin1'), null],
+        ['entries cut off', Buffer.from('MM\0*\0\0\0\x08\0\x05\x01\x12', 'latin1'), null]
+    ];
+    for (const [name, data, expected] of table) {
+        await t.test(name, () => assert.equal(readOrientation(data), expected));
+    }
+});
@@ -0,0 +1,115 @@
+// Path mappings (src/pathMapping.js): rewriting saved image paths for terminals running in a container or over SSH
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parsePathMappings, listProcessTree, selectPathMappings, mapImagePath } = require('../src/pathMapping');
+
+const rule = (hostPath, terminalPath, fields = {}) => ({ terminalNamePattern: 'docker', hostPath, terminalPath, ...fields });
+
+test('parsePathMappings', async t => {
+    await t.test('rules keep their order and unnamed rules are numbered', () => {
+        const mappings = parsePathMappings([
+            rule('/home/me/project', '/app', { name: 'app' }),
+            rule('/home/me/data', '/data')
+        ]);
+        assert.deepEqual(mappings.map(mapping => mapping.name), ['app', 'mapping 2']);
+        assert.equal(mappings[1].hostPath, '/home/me/data');
+    });
+
+    await t.test('no setting or not a list', () => {
+        assert.deepEqual(parsePathMappings(undefined), []);
+        assert.deepEqual(parsePathMappings({ hostPath: '/a' }), []);
+    });
+
+    const invalid = [
+        [{ terminalNamePattern: 'x', terminalPath: '/app' }, /"mapping 1": hostPath and terminalPath are required/],
+        [{ terminalNamePattern: 'x', hostPath: ' ', terminalPath: '/app' }, /hostPath and terminalPath are required/],
+        [{ terminalNamePattern: 'x', hostPath: '/a', terminalPath: 7 }, /hostPath and terminalPath are required/],
+        [{ name: 'db', hostPath: '/a', terminalPath: '/b' }, /"db": set terminalNamePattern or processPattern/],
+        [{ name: 'db', processPattern: '(', hostPath: '/a', terminalPath: '/b' }, /"db": Invalid regular expression/],
+        [{ terminalNamePattern: '[', hostPath: '/a', terminalPath: '/b' }, /Invalid regular expression/]
+    ];
+    for (const [value, expected] of invalid) {
+        await t.test(JSON.stringify(value), () => assert.throws(() => parsePathMappings([value]), expected));
+    }
+});
+
+test('mapImagePath on Linux and WSL', async t => {
+    const linux = { platform: 'linux', workspacePath: '/home/me/project' };
+    const table = [
+        ['inside the host folder', [rule('/home/me/project', '/app')], '/home/me/project/shots/a.png', '/app/shots/a.png'],
+        ['the host folder itself', [rule('/home/me/project', '/app')], '/home/me/project', '/app'],
+        ['trailing separator on hostPath', [rule('/home/me/project/', '/app')], '/home/me/project/a.png', '/app/a.png'],
+        ['trailing separators on terminalPath', [rule('/home/me/project', '/app//')], '/home/me/project/a.png', '/app/a.png'],
+        ['spaces are kept', [rule('/home/me/project', '/app')], '/home/me/project/login page.png', '/app/login page.png'],
+        ['relative hostPath from the workspace folder', [rule('shots', '/shots')], '/home/me/project/shots/a.png', '/shots/a.png'],
+        ['"." is the workspace folder', [rule('.', '/app')], '/home/me/project/a.png', '/app/a.png'],
+        ['the first covering rule wins', [rule('/home/me', '/me'), rule('/home/me/project', '/app')],
+            '/home/me/project/a.png', '/me/project/a.png'],
+        ['rules that do not cover the path are skipped', [rule('/srv', '/srv'), rule('/home/me/project', '/app')],
+            '/home/me/project/a.png', '/app/a.png'],
+        ['outside every rule', [rule('/home/me/project', '/app')], '/tmp/a.png', null],
+        ['a sibling folder sharing the prefix', [rule('/home/me/project', '/app')], '/home/me/project2/a.png', null],
+        ['a parent folder', [rule('/home/me/project', '/app')], '/home/me/a.png', null],
+        ['no rules', [], '/home/me/project/a.png', null]
+    ];
+    for (const [name, mappings, imagePath, expected] of table) {
+        await t.test(name, () => assert.equal(mapImagePath(mappings, imagePath, linux), expected));
+    }
+
+    await t.test('relative hostPath without a workspace folder is skipped', () => {
+        const mappings = [rule('shots', '/shots'), rule('/tmp', '/host-tmp')];
+        assert.equal(mapImagePath(mappings, '/tmp/a.png', { platform: 'linux' }), '/host-tmp/a.png');
+        assert.equal(mapImagePath(mappings.slice(0, 1), '/home/me/shots/a.png', { platform: 'linux' }), null);
+    });
+
+    await t.test('a Windows hostPath from WSL', () => {
+        const wsl = { platform: 'wsl', workspacePath: '/mnt/c/work' };
+        assert.equal(mapImagePath([rule('C:\\work\\', '/app')], '/mnt/c/work/shots/a.png', wsl), '/app/shots/a.png');
+        assert.equal(mapImagePath([rule('C:\\work', '/app')], '/mnt/d/work/a.png', wsl), null);
+    });
+});
+
+test('mapImagePath on Windows', async t => {
+    const windows = { platform: 'windows', workspacePath: 'C:\\work' };
+    const table = [
+        ['backslashes become slashes', [rule('C:\\work', '/app')], 'C:\\work\\shots\\a.png', '/app/shots/a.png'],
+        ['trailing separator on hostPath', [rule('C:\\work\\', '/app')], 'C:\\work\\a.png', '/app/a.png'],
+        ['trailing backslash on terminalPath', [rule('C:\\work', '/app\\')], 'C:\\work\\a.png', '/app/a.png'],
+        ['drive letters in any case', [rule('c:\\Work', '/app')], 'C:\\work\\a.png', '/app/a.png'],
+        ['relative hostPath', [rule('shots', '/shots')], 'C:\\work\\shots\\a.png', '/shots/a.png'],
+        ['another drive', [rule('C:\\work', '/app')], 'D:\\work\\a.png', null],
+        ['a sibling folder sharing the prefix', [rule('C:\\work', '/app')], 'C:\\workshop\\a.png', null]
+    ];
+    for (const [name, mappings, imagePath, expected] of table) {
+        await t.test(name, () => assert.equal(mapImagePath(mappings, imagePath, windows), expected));
+    }
+});
+
+test('selectPathMappings matches terminal names and processes', async () => {
+    const mappings = parsePathMappings([
+        rule('/a', '/a', { name: 'compose', terminalNamePattern: 'compose|docker' }),
+        rule('/b', '/b', { name: 'ssh', terminalNamePattern: undefined, processPattern: '^ssh ' }),
+        rule('/c', '/c', { name: 'any claude', terminalNamePattern: 'CLAUDE' })
+    ]);
+    const terminal = name => ({ name, processId: Promise.resolve(undefined) });
+    assert.deepEqual((await selectPathMappings(mappings, terminal('Docker: app'))).map(mapping => mapping.name), ['compose']);
+    assert.deepEqual((await selectPathMappings(mappings, terminal('claude'))).map(mapping => mapping.name), ['any claude']);
+    assert.deepEqual(await selectPathMappings(mappings, terminal('bash')), []);
+});
+
+test('listProcessTree walks the children of a process', t => {
+    const procRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'proc-'));
+    t.after(() => fs.rmSync(procRoot, { recursive: true, force: true }));
+    const processes = { 10: ['bash', '20 30'], 20: ['ssh\0dev-box', '40'], 30: ['', ''], 40: ['claude', ''] };
+    for (const [pid, [cmdline, children]] of Object.entries(processes)) {
+        fs.mkdirSync(path.join(procRoot, pid, 'task', pid), { recursive: true });
+        fs.writeFileSync(path.join(procRoot, pid, 'cmdline'), cmdline);
+        fs.writeFileSync(path.join(procRoot, pid, 'task', pid, 'children'), children);
+    }
+
+    assert.deepEqual(listProcessTree(10, procRoot), ['bash', 'ssh dev-box', 'claude']);
+    assert.deepEqual(listProcessTree(99, procRoot), []);
+});
@@ -0,0 +1,126 @@
+// Windows <-> WSL path translation (src/paths.js); runs on any Linux box, WSL is not required
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    parseAutomountRoot,
+    getAutomountRoot,
+    configurePathTranslation,
+    isWindowsPath,
+    windowsToWslPath,
+    wslToWindowsPath
+} = require('../src/paths');
+
+const WSL = { automountRoot: '/mnt/', distroName: 'Ubuntu' };
+
+test('windowsToWslPath', async t => {
+    const table = [
+        ['C:\\Users\\me\\shot.png', WSL, '/mnt/c/Users/me/shot.png'],
+        ['c:/Users/me/shot.png', WSL, '/mnt/c/Users/me/shot.png'],
+        ['D:\\', WSL, '/mnt/d'],
+        ['C:\\Users\\me\\My Screenshots\\a b.png', WSL, '/mnt/c/Users/me/My Screenshots/a b.png'],
+        ['C:\\Users\\me\\shot.png', { ...WSL, automountRoot: '/windir' }, '/windir/c/Users/me/shot.png'],
+        ['C:\\Users\\me\\shot.png', { ...WSL, automountRoot: '/' }, '/c/Users/me/shot.png'],
+        ['\\\\wsl$\\Ubuntu\\home\\me\\shot.png', WSL, '/home/me/shot.png'],
+        ['\\\\wsl.localhost\\Ubuntu\\home\\me\\a b.png', WSL, '/home/me/a b.png'],
+        ['\\\\wsl.localhost\\ubuntu', WSL, '/'],
+        ['\\\\wsl$\\Debian\\home\\me\\shot.png', WSL, '\\\\wsl$\\Debian\\home\\me\\shot.png'],
+        ['\\\\?\\C:\\Users\\me\\shot.png', WSL, '/mnt/c/Users/me/shot.png'],
+        ['\\\\?\\UNC\\server\\share\\shot.png', WSL, '//server/share/shot.png'],
+        ['\\\\server\\share\\shot.png', WSL, '//server/share/shot.png']
+    ];
+    for (const [input, options, expected] of table) {
+        await t.test(input, () => assert.equal(windowsToWslPath(input, options), expected));
+    }
+});
+
+test('wslToWindowsPath', async t => {
+    const table = [
+        ['/mnt/c/Users/me/shot.png', WSL, 'C:\\Users\\me\\shot.png'],
+        ['/mnt/d', WSL, 'D:\\'],
+        ['/mnt/c/Users/me/My Screenshots/a b.png', WSL, 'C:\\Users\\me\\My Screenshots\\a b.png'],
+        ['/windir/c/Users/me/shot.png', { ...WSL, automountRoot: '/windir/' }, 'C:\\Users\\me\\shot.png'],
+        ['/c/Users/me/shot.png', { ...WSL, automountRoot: '/' }, 'C:\\Users\\me\\shot.png'],
+        ['/home/me/shot.png', WSL, '\\\\wsl$\\Ubuntu\\home\\me\\shot.png'],
+        ['/home/me/a b.png', { ...WSL, uncPrefix: '\\\\wsl.localhost' }, '\\\\wsl.localhost\\Ubuntu\\home\\me\\a b.png'],
+        ['/mnt/wsl/shared.png', WSL, '\\\\wsl$\\Ubuntu\\mnt\\wsl\\shared.png'],
+        ['//server/share/shot.png', WSL, '\\\\server\\share\\shot.png']
+    ];
+    for (const [input, options, expected] of table) {
+        await t.test(input, () => assert.equal(wslToWindowsPath(input, options), expected));
+    }
+
+    await t.test('unknown distribution', () => {
+        assert.throws(() => wslToWindowsPath('/home/me/shot.png', { automountRoot: '/mnt/', distroName: '' }),
+            /WSL distribution unknown/);
+    });
+});
+
+test('parseAutomountRoot', async t => {
+    const table = [
+        ['', '/mnt/'],
+        ['[automount]\nroot = /windir/\n', '/windir/'],
+        ['[automount]\nroot=/windir\n', '/windir/'],
+        ['[automount]\nroot = "/"  # drives at /c, /d\n', '/'],
+        ['[network]\nroot = /elsewhere/\n[automount]\nenabled = true\n', '/mnt/'],
+        ['[Automount]\r\nRoot = //drives//\r\n', '/drives/']
+    ];
+    for (const [content, expected] of table) {
+        await t.test(JSON.stringify(content), () => assert.equal(parseAutomountRoot(content), expected));
+    }
+});
+
+test('isWindowsPath', () => {
+    assert.equal(isWindowsPath('C:\\Users'), true);
+    assert.equal(isWindowsPath('c:/Users'), true);
+    assert.equal(isWindowsPath('\\\\wsl$\\Ubuntu'), true);
+    assert.equal(isWindowsPath('/mnt/c/Users'), false);
+    assert.equal(isWindowsPath('relative\\path'), false);
+});
+
+test('useWslpath takes the automount root from wslpath and falls back when it fails', async t => {
+    const binDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'wslpath-'));
+    const originalPath = process.env.PATH;
+    const fakeWslpath = script => fs.writeFileSync(path.join(binDirectory, 'wslpath'), `#!/bin/sh\n${script}\n`, { mode: 0o755 });
+    process.env.PATH = `${binDirectory}${path.delimiter}${originalPath}`;
+    t.after(async () => {
+        process.env.PATH = originalPath;
+        await configurePathTranslation({ useWslpath: false });
+        fs.rmSync(binDirectory, { recursive: true, force: true });
+    });
+    const builtInRoot = await configurePathTranslation({ useWslpath: false });
+
+    await t.test('root reported by wslpath', async () => {
+        fakeWslpath('[ "$1" = "-u" ] && [ "$2" = "C:\\\\" ] && echo /windir/c');
+        assert.equal(await configurePathTranslation({ useWslpath: true }), '/windir/');
+        assert.equal(windowsToWslPath('C:\\Users\\me\\a b.png'), '/windir/c/Users/me/a b.png');
+        assert.equal(wslToWindowsPath('/windir/c/Users/me/a b.png'), 'C:\\Users\\me\\a b.png');
+    });
+
+    await t.test('wslpath fails', async () => {
+        fakeWslpath('echo "wslpath: C:\\\\: Invalid argument" >&2; exit 1');
+        assert.equal(await configurePathTranslation({ useWslpath: true }), builtInRoot);
+        assert.equal(windowsToWslPath('C:\\Users\\me\\shot.png'), `${builtInRoot}c/Users/me/shot.png`);
+    });
+
+    await t.test('wslpath prints something else', async () => {
+        fakeWslpath('echo "not a path"');
+        assert.equal(await configurePathTranslation({ useWslpath: true }), builtInRoot);
+    });
+
+    await t.test('wslpath missing', async () => {
+        fs.rmSync(path.join(binDirectory, 'wslpath'));
+        process.env.PATH = binDirectory;
+        assert.equal(await configurePathTranslation({ useWslpath: true }), builtInRoot);
+        process.env.PATH = `${binDirectory}${path.delimiter}${originalPath}`;
+    });
+
+    await t.test('setting turned off again', async () => {
+        fakeWslpath('echo /windir/c');
+        await configurePathTranslation({ useWslpath: true });
+        assert.equal(await configurePathTranslation({ useWslpath: false }), builtInRoot);
+        assert.equal(getAutomountRoot(), builtInRoot);
+    });
+});
@@ -0,0 +1,86 @@
+// Downscaling and recompression (src/image/process.js): what is decoded, resized or left alone
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { processImage, resolveOutputMimeType } = require('../src/image/process');
+const { readImageDimensions } = require('../src/image/format');
+
+// 8x6 PNG
+const PNG = fs.readFileSync(path.join(__dirname, 'fixtures', 'images', 'photo.png'));
+
+const options = fields => ({
+    maxWidth: 100,
+    maxHeight: 100,
+    maxBytes: 1024 * 1024,
+    outputFormat: 'original',
+    quality: 85,
+    keepOriginal: false,
+    ...fields
+});
+
+/**
+ * Copies a PNG with its pixel data destroyed but its header intact, so decoding it fails
+ * @param {Buffer} data - PNG bytes
+ * @returns {Buffer} Undecodable PNG
+ */
+function withCorruptPixels(data) {
+    const corrupt = Buffer.from(data);
+    corrupt.fill(0xAB, 33);
+    return corrupt;
+}
+
+test('an image within the limits is returned as it is, without decoding it', async () => {
+    const data = withCorruptPixels(PNG);
+    const result = await processImage(data, 'img.png', options({}));
+    assert.deepEqual(result, { data, fileName: 'img.png', original: null });
+});
+
+test('an image the header does not describe is decoded to check it', async () => {
+    await assert.rejects(processImage(withCorruptPixels(PNG).subarray(0, 20), 'img.png', options({})));
+});
+
+test('an image over a limit or needing a new format is decoded and re-encoded', async t => {
+    const table = [
+        ['too wide', options({ maxWidth: 4 }), 'img.png', { width: 4, height: 3 }],
+        ['too tall', options({ maxHeight: 3 }), 'img.png', { width: 4, height: 3 }],
+        ['too heavy', options({ maxBytes: 300 }), 'img.png', { width: 8, height: 6 }],
+        ['new format', options({ outputFormat: 'jpeg' }), 'img.jpg', { width: 8, height: 6 }]
+    ];
+    for (const [name, processing, fileName, dimensions] of table) {
+        await t.test(name, async () => {
+            const result = await processImage(PNG, 'img.png', processing);
+            assert.equal(result.fileName, fileName);
+            assert.deepEqual(readImageDimensions(result.data), dimensions);
+            assert.ok(result.data.length <= processing.maxBytes);
+            assert.equal(result.original, null);
+        });
+    }
+
+    await t.test('keepOriginal', async () => {
+        const result = await processImage(PNG, 'img.png', options({ maxWidth: 4, keepOriginal: true }));
+        assert.deepEqual(result.original, { data: PNG, fileName: 'img_original.png' });
+    });
+});
+
+test('formats the codec does not handle are returned unchanged', async () => {
+    const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="900" height="900"/>');
+    assert.deepEqual(await processImage(svg, 'img.svg', options({ maxWidth: 10 })), { data: svg, fileName: 'img.svg', original: null });
+});
+
+test('resolveOutputMimeType', async t => {
+    const table = [
+        ['image/png', 'original', 'image/png'],
+        ['image/jpeg', 'original', 'image/jpeg'],
+        ['image/webp', 'original', 'image/webp'],
+        ['image/bmp', 'original', 'image/png'],
+        ['image/tiff', 'original', 'image/png'],
+        ['image/gif', 'original', 'image/png'],
+        ['image/png', 'jpeg', 'image/jpeg'],
+        ['image/gif', 'webp', 'image/webp'],
+        ['image/jpeg', 'png', 'image/png']
+    ];
+    for (const [source, outputFormat, expected] of table) {
+        await t.test(`${source} ${outputFormat}`, () => assert.equal(resolveOutputMimeType(source, outputFormat), expected));
+    }
+});
@@ -0,0 +1,173 @@
+// Remote windows (src/clipboard/remote.js, src/remote/transport.js): the local clipboard read through the
+// companion extension, with VS Code's command and extension APIs replaced by test doubles
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const remote = require('../src/clipboard/remote');
+const { resolveProvider, getImageFromClipboard } = require('../src/clipboard');
+const {
+    UI_EXTENSION_ID,
+    UI_CLIPBOARD_COMMAND,
+    isRemoteClipboardWindow,
+    encodeClipboardResult,
+    decodeClipboardResult,
+    createCommandTransport
+} = require('../src/remote/transport');
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+/**
+ * Creates a transport whose companion is simulated by a function
+ * @param {Object} [options]
+ * @param {boolean} [options.installed=true] - Whether the companion extension is installed
+ * @param {string|undefined} [options.remoteName='ssh-remote'] - vscode.env.remoteName (undefined in local windows)
+ * @param {(request: Object) => Promise<*>} [options.companion] - Answers the clipboard command
+ * @returns {{transport: import('../src/remote/transport').ClipboardTransport, requests: Object[]}}
+ *   The transport and the requests it sent
+ */
+function createTransport(options = {}) {
+    const { installed = true, companion = async () => null } = options;
+    const remoteName = 'remoteName' in options ? options.remoteName : 'ssh-remote';
+    const requests = [];
+    const commands = {
+        executeCommand: async (command, request) => {
+            assert.equal(command, UI_CLIPBOARD_COMMAND);
+            requests.push(request);
+            if (!installed) {
+                throw new Error(`command '${command}' not found`);
+            }
+            return companion(request);
+        }
+    };
+    const extensions = { getExtension: id => (installed && id === UI_EXTENSION_ID ? { id } : undefined) };
+    return { transport: createCommandTransport({ commands, extensions, remoteName }), requests };
+}
+
+/**
+ * Uses a transport for the remote provider and hides local clipboard tools, for one test
+ * @param {import('node:test').TestContext} t - Test context
+ * @param {import('../src/remote/transport').ClipboardTransport} transport - Transport to use
+ */
+function useTransport(t, transport) {
+    const { DISPLAY, WAYLAND_DISPLAY } = process.env;
+    delete process.env.DISPLAY;
+    delete process.env.WAYLAND_DISPLAY;
+    remote.setTransport(transport);
+    t.after(() => {
+        remote.setTransport(null);
+        Object.assign(process.env, DISPLAY === undefined ? {} : { DISPLAY },
+            WAYLAND_DISPLAY === undefined ? {} : { WAYLAND_DISPLAY });
+    });
+}
+
+test('only remote windows other than WSL read the clipboard through the companion', () => {
+    assert.equal(isRemoteClipboardWindow('ssh-remote'), true);
+    assert.equal(isRemoteClipboardWindow('dev-container'), true);
+    assert.equal(isRemoteClipboardWindow('codespaces'), true);
+    assert.equal(isRemoteClipboardWindow('wsl'), false);
+    assert.equal(isRemoteClipboardWindow(undefined), false);
+});
+
+test('companion missing: the provider is unavailable and pasting explains what to install', async t => {
+    const { transport, requests } = createTransport({ installed: false });
+    useTransport(t, transport);
+
+    assert.equal(remote.isRemoteWindow(), true);
+    assert.equal(await remote.isAvailable(), false);
+    await assert.rejects(resolveProvider('linux', 'auto'), /Install the "Claude Code Image Paste \(UI\)" companion/);
+    await assert.rejects(resolveProvider('linux', 'remote'), /is not available on this system/);
+    assert.deepEqual(requests, []);
+});
+
+test('local and WSL windows never use the companion', async t => {
+    for (const remoteName of [undefined, 'wsl']) {
+        const { transport } = createTransport({ remoteName });
+        useTransport(t, transport);
+        assert.equal(remote.isRemoteWindow(), false);
+        assert.equal(await remote.isAvailable(), false);
+    }
+});
+
+test('no transport set: the provider is unavailable and reads fail', async () => {
+    remote.setTransport(null);
+    assert.equal(remote.isRemoteWindow(), false);
+    assert.equal(await remote.isAvailable(), false);
+    await assert.rejects(remote.readImage({ maxFiles: 1 }), /not connected/);
+});
+
+test('companion error: its message reaches the user unchanged', async t => {
+    const { transport } = createTransport({
+        companion: async () => {
+            throw new Error('No image found in clipboard. Copy an image first.');
+        }
+    });
+    useTransport(t, transport);
+
+    await assert.rejects(getImageFromClipboard('linux', 'auto', 1), /^Error: No image found in clipboard\. Copy an image first\.$/);
+    await assert.rejects(remote.listTargets(), /No image found/);
+});
+
+test('companion sends an invalid or corrupted response', async t => {
+    let payload = null;
+    const { transport } = createTransport({ companion: async () => payload });
+    useTransport(t, transport);
+
+    await assert.rejects(remote.readImage({ maxFiles: 1 }), /invalid response/);
+
+    payload = encodeClipboardResult({ images: [{ data: PNG, fileName: 'img.png' }], skipped: [] });
+    payload.images[0].data = PNG.subarray(0, 8).toString('base64');
+    await assert.rejects(remote.readImage({ maxFiles: 1 }), /corrupted in transfer/);
+
+    payload = encodeClipboardResult({ images: [{ data: PNG, fileName: 'img.png' }], skipped: [] });
+    payload.images[0].sha256 = crypto.createHash('sha256').update('other').digest('hex');
+    await assert.rejects(remote.readImage({ maxFiles: 1 }), /corrupted in transfer/);
+});
+
+test('successful read: images arrive verified with their names and the skipped files', async t => {
+    const { transport, requests } = createTransport({
+        companion: async request => {
+            switch (request.method) {
+                case 'targets':
+                    return ['image/png', 42];
+                case 'token':
+                    return 17;
+                case 'read':
+                    return encodeClipboardResult({
+                        images: [
+                            { data: PNG, fileName: 'img_1.png', sourceName: 'shot.png' },
+                            { data: Buffer.from('GIF89a'), fileName: 'img_2.gif' }
+                        ],
+                        skipped: ['notes.txt']
+                    });
+                default:
+                    throw new Error(`Unknown clipboard request: ${request.method}`);
+            }
+        }
+    });
+    useTransport(t, transport);
+
+    assert.equal(await remote.isAvailable(), true);
+    assert.equal((await resolveProvider('linux', 'auto')).id, 'remote');
+    assert.deepEqual(await remote.listTargets(), ['image/png', '42']);
+    assert.equal(await remote.readChangeToken(), '17');
+
+    const result = await getImageFromClipboard('linux', 'auto', 5);
+    assert.deepEqual(requests.at(-1), { method: 'read', maxFiles: 5 });
+    assert.deepEqual(result.skipped, ['notes.txt']);
+    assert.deepEqual(result.images.map(image => [image.fileName, image.sourceName]),
+        [['img_1.png', 'shot.png'], ['img_2.gif', undefined]]);
+    assert.ok(result.images[0].data.equals(PNG));
+    assert.equal(result.images[1].data.toString(), 'GIF89a');
+});
+
+test('encodeClipboardResult and decodeClipboardResult round-trip through JSON', () => {
+    const payload = JSON.parse(JSON.stringify(encodeClipboardResult({
+        images: [{ data: PNG, fileName: 'img.png' }],
+        skipped: []
+    })));
+    const { images, skipped } = decodeClipboardResult(payload);
+    assert.ok(images[0].data.equals(PNG));
+    assert.equal(images[0].fileName, 'img.png');
+    assert.equal('sourceName' in images[0], false);
+    assert.deepEqual(skipped, []);
+});
@@ -0,0 +1,89 @@
+// Shell detection and quoting of inserted paths (src/shell.js, and the @path references built from them)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeShellName, detectShell, quoteForShell } = require('../src/shell');
+const { buildInsertionText, DEFAULT_PROFILE } = require('../src/insertion');
+
+test('quoteForShell: a path with a space', async t => {
+    const table = [
+        ['bash', '/home/me/login page.png', '\'/home/me/login page.png\''],
+        ['zsh', '/home/me/login page.png', '\'/home/me/login page.png\''],
+        ['fish', '/home/me/login page.png', '\'/home/me/login page.png\''],
+        ['powershell', 'C:\\First Last\\login page.png', '\'C:\\First Last\\login page.png\''],
+        ['cmd', 'C:\\First Last\\login page.png', '"C:\\First Last\\login page.png"'],
+        ['none', '/home/me/login page.png', '/home/me/login page.png']
+    ];
+    for (const [shell, filePath, expected] of table) {
+        await t.test(shell, () => assert.equal(quoteForShell(filePath, shell), expected));
+    }
+});
+
+test('quoteForShell: safe paths stay unquoted', async t => {
+    const table = [
+        ['bash', '/home/me/img_20250103-1.png'],
+        ['fish', '/home/me/shot.png'],
+        ['powershell', 'C:\\Users\\me\\shot.png'],
+        ['cmd', 'C:\\Users\\me\\shot.png']
+    ];
+    for (const [shell, filePath] of table) {
+        await t.test(`${shell} ${filePath}`, () => assert.equal(quoteForShell(filePath, shell), filePath));
+    }
+    // Backslashes are escapes in POSIX shells
+    assert.equal(quoteForShell('C:\\Users\\me\\shot.png', 'bash'), '\'C:\\Users\\me\\shot.png\'');
+});
+
+test('quoteForShell: quotes and other special characters in the path', async t => {
+    const table = [
+        ['bash', '/home/me/it\'s $HOME.png', '\'/home/me/it\'\\\'\'s $HOME.png\''],
+        ['zsh', '/home/me/a;b.png', '\'/home/me/a;b.png\''],
+        ['fish', '/home/me/it\'s\\x.png', '\'/home/me/it\\\'s\\\\x.png\''],
+        ['powershell', 'C:\\me\\it\'s $env.png', '\'C:\\me\\it\'\'s $env.png\''],
+        ['powershell', 'C:\\me\\it\u2019s.png', '\'C:\\me\\it\u2019\u2019s.png\''],
+        ['cmd', 'C:\\me\\a&b.png', '"C:\\me\\a&b.png"']
+    ];
+    for (const [shell, filePath, expected] of table) {
+        await t.test(`${shell} ${filePath}`, () => assert.equal(quoteForShell(filePath, shell), expected));
+    }
+});
+
+test('normalizeShellName', async t => {
+    const table = [
+        ['pwsh', 'powershell'],
+        ['C:\\Program Files\\PowerShell\\7\\pwsh.exe', 'powershell'],
+        ['C:\\Windows\\System32\\cmd.exe', 'cmd'],
+        ['Command Prompt', 'cmd'],
+        ['/usr/bin/fish', 'fish'],
+        ['/bin/zsh', 'zsh'],
+        ['/bin/sh', 'bash'],
+        ['Ubuntu (WSL)', 'bash'],
+        ['node', null],
+        [undefined, null]
+    ];
+    for (const [value, expected] of table) {
+        await t.test(String(value), () => assert.equal(normalizeShellName(value), expected));
+    }
+});
+
+test('detectShell prefers shell integration, then the shell path, then the terminal name', () => {
+    const terminal = (state, shellPath, name) => ({ state: { shell: state }, creationOptions: { shellPath }, name });
+    assert.equal(detectShell(terminal('fish', '/bin/bash', 'zsh'), 'linux'), 'fish');
+    assert.equal(detectShell(terminal(undefined, '/bin/zsh', 'bash'), 'linux'), 'zsh');
+    assert.equal(detectShell(terminal(undefined, undefined, 'pwsh'), 'linux'), 'powershell');
+    assert.equal(detectShell(terminal(undefined, undefined, 'claude'), 'windows'), 'powershell');
+});
+
+test('Claude Code references keep the @ outside the quotes in every shell', async t => {
+    const table = [
+        ['bash', 'linux', '/home/me/login page.png', '@\'/home/me/login page.png\''],
+        ['zsh', 'linux', '/home/me/login page.png', '@\'/home/me/login page.png\''],
+        ['fish', 'linux', '/home/me/login page.png', '@\'/home/me/login page.png\''],
+        ['powershell', 'windows', 'C:\\First Last\\login page.png', '@\'C:\\First Last\\login page.png\''],
+        ['cmd', 'windows', 'C:\\First Last\\login page.png', '@"C:\\First Last\\login page.png"']
+    ];
+    for (const [shell, platform, imagePath, expected] of table) {
+        await t.test(shell, () => {
+            const profile = { ...DEFAULT_PROFILE, pathStyle: platform === 'windows' ? 'absolute' : 'posix' };
+            assert.equal(buildInsertionText(profile, [imagePath], { platform, shell }), expected);
+        });
+    }
+});
@@ -0,0 +1,211 @@
+// Clipboard watch state (src/watchState.js): the image queue order and the change-token polling, with a
+// simulated clipboard provider
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MAX_SEEN_HASHES, PathQueue, ClipboardChanges } = require('../src/watchState');
+
+const CONTEXT = { platform: 'linux', maxFiles: 10 };
+
+/**
+ * Creates an in-memory Memento
+ * @param {Object} [values={}] - Stored values
+ * @returns {{get: Function, update: Function, values: Object}} Memento double
+ */
+function createMemento(values = {}) {
+    return {
+        values,
+        get: key => values[key],
+        update: async (key, value) => {
+            values[key] = value;
+        }
+    };
+}
+
+/**
+ * Simulates a clipboard provider whose contents the test sets
+ * @param {Object} [options]
+ * @param {boolean} [options.tokens=true] - Whether the provider has a change token
+ * @returns {Object} Provider with `copy(...names)`, `copyText()`, `lock()` and call counters
+ */
+function createClipboard({ tokens = true } = {}) {
+    const clipboard = {
+        token: 0,
+        images: [],
+        locked: false,
+        reads: 0,
+        copy(...names) {
+            this.token++;
+            this.images = names.map(name => ({ data: Buffer.from(name), fileName: `${name}.png` }));
+        },
+        copyText() {
+            this.token++;
+            this.images = [];
+        },
+        listTargets: async () => (clipboard.images.length > 0 ? ['TARGETS', 'image/png'] : ['UTF8_STRING']),
+        readImage: async () => {
+            clipboard.reads++;
+            if (clipboard.locked) {
+                throw new Error('Clipboard is locked');
+            }
+            return { images: clipboard.images, skipped: [] };
+        }
+    };
+    if (tokens) {
+        clipboard.readChangeToken = async () => String(clipboard.token);
+    }
+    return clipboard;
+}
+
+const names = images => images.map(image => image.fileName);
+
+test('PathQueue keeps images in the order they were queued', async t => {
+    const memento = createMemento();
+    const queue = new PathQueue(memento);
+
+    await t.test('add appends and skips images already queued', () => {
+        queue.add(['/a.png', '/b.png']);
+        queue.add(['/b.png', '/c.png']);
+        assert.deepEqual(queue.getPaths(), ['/a.png', '/b.png', '/c.png']);
+        assert.deepEqual(memento.values.imageQueue, ['/a.png', '/b.png', '/c.png']);
+    });
+
+    await t.test('move swaps with the neighbour and stops at the ends', () => {
+        queue.move('/c.png', -1);
+        assert.deepEqual(queue.getPaths(), ['/a.png', '/c.png', '/b.png']);
+        queue.move('/a.png', -1);
+        queue.move('/b.png', 1);
+        queue.move('/missing.png', 1);
+        assert.deepEqual(queue.getPaths(), ['/a.png', '/c.png', '/b.png']);
+        queue.move('/a.png', 1);
+        assert.deepEqual(memento.values.imageQueue, ['/c.png', '/a.png', '/b.png']);
+    });
+
+    await t.test('remove, replace and clear', () => {
+        queue.remove(['/a.png', '/missing.png']);
+        assert.deepEqual(queue.getPaths(), ['/c.png', '/b.png']);
+        queue.replace(['/b.png', '/d.png']);
+        assert.deepEqual(queue.getPaths(), ['/b.png', '/d.png']);
+        queue.clear();
+        assert.deepEqual(memento.values.imageQueue, []);
+    });
+
+    await t.test('getPaths returns a copy', () => {
+        queue.add(['/a.png']);
+        queue.getPaths().push('/b.png');
+        assert.deepEqual(queue.getPaths(), ['/a.png']);
+    });
+});
+
+test('PathQueue drops stored images that were deleted', t => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'queue-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const kept = path.join(directory, 'kept.png');
+    fs.writeFileSync(kept, '');
+
+    const queue = new PathQueue(createMemento({ imageQueue: [path.join(directory, 'gone.png'), kept] }));
+    assert.deepEqual(queue.getPaths(), [kept]);
+    assert.deepEqual(new PathQueue(createMemento()).getPaths(), []);
+});
+
+test('ClipboardChanges with a change token', async t => {
+    const clipboard = createClipboard();
+    const changes = new ClipboardChanges();
+    clipboard.copy('before');
+
+    await t.test('the image on the clipboard when watching starts is not new', async () => {
+        assert.deepEqual(await changes.read(clipboard, CONTEXT), []);
+        assert.equal(clipboard.reads, 1);
+    });
+
+    await t.test('an unchanged token is not read again', async () => {
+        assert.deepEqual(await changes.read(clipboard, CONTEXT), []);
+        assert.deepEqual(await changes.read(clipboard, CONTEXT), []);
+        assert.equal(clipboard.reads, 1);
+    });
+
+    await t.test('a new image is returned once', async () => {
+        clipboard.copy('first');
+        assert.deepEqual(names(await changes.read(clipboard, CONTEXT)), ['first.png']);
+        assert.deepEqual(await changes.read(clipboard, CONTEXT), []);
+    });
+
+    await t.test('an image seen before is not new, even under a new token', async () => {
+        clipboard.copy('before');
+        assert.deepEqual(await changes.read(clipboard, CONTEXT), []);
+        clipboard.copy('first', 'second');
+        assert.deepEqual(names(await changes.read(clipboard, CONTEXT)), ['second.png']);
+    });
+
+    await t.test('text on the clipboard is skipped without reading it', async () => {
+        const reads = clipboard.reads;
+        clipboard.copyText();
+        assert.deepEqual(await changes.read(clipboard, CONTEXT), []);
+        assert.deepEqual(await changes.read(clipboard, CONTEXT), []);
+        assert.equal(clipboard.reads, reads);
+    });
+
+    await t.test('a locked clipboard is read again on the next check', async () => {
+        clipboard.copy('third');
+        clipboard.locked = true;
+        await assert.rejects(changes.read(clipboard, CONTEXT), /locked/);
+        clipboard.locked = false;
+        assert.deepEqual(names(await changes.read(clipboard, CONTEXT)), ['third.png']);
+    });
+
+    await t.test('a read finishing after the session ended changes nothing', async () => {
+        clipboard.copy('fourth');
+        assert.deepEqual(await changes.read(clipboard, CONTEXT, () => false), []);
+        assert.deepEqual(names(await changes.read(clipboard, CONTEXT)), ['fourth.png']);
+    });
+
+    await t.test('reset starts a new session', async () => {
+        changes.reset();
+        assert.deepEqual(await changes.read(clipboard, CONTEXT), []);
+        clipboard.copy('first');
+        assert.deepEqual(names(await changes.read(clipboard, CONTEXT)), ['first.png']);
+    });
+});
+
+test('ClipboardChanges without a change token reads every time but returns new images only', async () => {
+    const clipboard = createClipboard({ tokens: false });
+    const changes = new ClipboardChanges();
+    clipboard.copy('before');
+    assert.deepEqual(await changes.read(clipboard, CONTEXT), []);
+    assert.deepEqual(await changes.read(clipboard, CONTEXT), []);
+    clipboard.copy('first');
+    assert.deepEqual(names(await changes.read(clipboard, CONTEXT)), ['first.png']);
+    assert.deepEqual(await changes.read(clipboard, CONTEXT), []);
+    assert.equal(clipboard.reads, 4);
+});
+
+test('ClipboardChanges when the first check finds no image', async () => {
+    const clipboard = createClipboard();
+    const changes = new ClipboardChanges();
+    clipboard.copyText();
+    assert.deepEqual(await changes.read(clipboard, CONTEXT), []);
+    clipboard.copy('first');
+    assert.deepEqual(names(await changes.read(clipboard, CONTEXT)), ['first.png']);
+});
+
+test('ClipboardChanges remembers a bounded number of images, forgetting the least recently seen', async () => {
+    assert.ok(MAX_SEEN_HASHES >= 100);
+    const clipboard = createClipboard();
+    const changes = new ClipboardChanges(3);
+    clipboard.copy('a');
+    await changes.read(clipboard, CONTEXT);
+    for (const name of ['b', 'c', 'a', 'd']) {
+        clipboard.copy(name);
+        await changes.read(clipboard, CONTEXT);
+    }
+    assert.equal(changes.seenHashes.size, 3);
+
+    // "a" was seen again after "b", so "b" is the one forgotten
+    clipboard.copy('a');
+    assert.deepEqual(await changes.read(clipboard, CONTEXT), []);
+    clipboard.copy('b');
+    assert.deepEqual(names(await changes.read(clipboard, CONTEXT)), ['b.png']);
+    assert.equal(changes.seenHashes.size, 3);
+});
@@ -0,0 +1,32 @@
+// Companion extension: runs on the machine showing the VS Code window and reads its clipboard for
+// Claude Code Image Paste running on an SSH host, in a dev container or in a codespace.
+// The shared modules are copied from ../src when packaging (see vscode:prepublish).
+const vscode = require('vscode');
+const { EXTENSION_NAME } = require('./src/constants');
+const { setLogChannel } = require('./src/log');
+const { disposeProviders } = require('./src/clipboard');
+const { registerUiClipboardReader } = require('./src/remote/uiReader');
+
+/**
+ * Registers the clipboard command the workspace-side extension calls
+ * @param {vscode.ExtensionContext} context - VS Code extension context
+ */
+function activate(context) {
+    const logChannel = vscode.window.createOutputChannel(`${EXTENSION_NAME} (UI)`, { log: true });
+    setLogChannel(logChannel);
+    context.subscriptions.push(logChannel, { dispose: () => setLogChannel(null) });
+
+    registerUiClipboardReader(context);
+}
+
+/**
+ * Stops the clipboard helper process
+ */
+function deactivate() {
+    disposeProviders();
+}
+
+module.exports = {
+    activate,
+    deactivate
+};